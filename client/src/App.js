@@ -1,11 +1,105 @@
 // client/src/App.js
 
-import React, { useState, useEffect } from 'react';
-import { nip19 } from 'nostr-tools';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 import Screenshot from './screenshot.png';
 
 const API_URL = process.env.REACT_APP_API_URL || '/api';
+// RSS, Atom and JSON feeds per topic are served next to the API.
+const FEEDS_URL = API_URL.replace(/\/api$/, '/feeds');
+
+const SORT_OPTIONS = [
+  { value: 'recent', label: '🕒 Recent', description: 'Newest posts first' },
+  { value: 'top', label: '🏆 Top', description: 'Most engaged-with this week' },
+  { value: 'trending', label: '🔥 Trending', description: "What's being cited most right now" },
+];
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'apa', label: 'APA references' },
+  { value: 'chicago', label: 'Chicago references' },
+  { value: 'bibtex', label: 'BibTeX' },
+  { value: 'csl', label: 'CSL JSON (Zotero)' },
+];
+
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'misleading', label: 'Misleading' },
+  { value: 'abusive', label: 'Abusive or hateful' },
+  { value: 'sexual', label: 'Sexual content' },
+  { value: 'other', label: 'Something else' },
+];
+
+const QUEUE_FILTERS = [
+  { value: 'held,reported', label: 'Needs review' },
+  { value: 'hidden', label: 'Hidden' },
+  { value: 'approved', label: 'Approved' },
+];
+
+// How the server's last fetch from a network went (see /api/feed).
+const NETWORK_PROBLEMS = {
+  partial: "some servers didn't answer, so posts may be missing",
+  rate_limited: 'rate limited',
+  auth_error: "couldn't sign in",
+  timeout: 'timed out',
+  error: 'unavailable',
+};
+
+const describeNetworkProblem = ({ status, retryAfter }) => {
+  const wait = retryAfter ? Math.ceil((new Date(retryAfter) - Date.now()) / 60000) : 0;
+  const retry = wait > 0 ? `, retrying in ${wait} min` : '';
+  return `${NETWORK_PROBLEMS[status] || 'unavailable'}${retry}`;
+};
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+const countryName = (code) => {
+  try {
+    return regionNames.of(code);
+  } catch (error) {
+    return code;
+  }
+};
+
+const postKey = (post) => `${post.network}:${post.id}`;
+
+// Bookmarks saved before posts shared one schema are the raw items of each
+// network's old feed. The server converts them the way it does on import;
+// any it can't convert are kept as they are.
+const convertBookmarks = async (bookmarks) => {
+  try {
+    const response = await fetch(`${API_URL}/bookmarks/convert`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ posts: bookmarks }),
+    });
+    if (!response.ok) return bookmarks;
+    const { posts } = await response.json();
+    return bookmarks.map((item, index) => (item.network ? item : posts[index] || item));
+  } catch (error) {
+    console.error('Error converting saved posts:', error);
+    return bookmarks;
+  }
+};
+
+// Newest first, with later copies of a post (from `incoming`) replacing older
+// ones. As in the server's feed, a story shows once, as its newest post.
+const mergePosts = (incoming, existing) => {
+  const byKey = new Map();
+  [...existing, ...incoming].forEach((post) => byKey.set(postKey(post), post));
+
+  const stories = new Set();
+  return Array.from(byKey.values())
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .filter((post) => {
+      if (!post.story) return true;
+      if (stories.has(post.story.url)) return false;
+      stories.add(post.story.url);
+      return true;
+    });
+};
 
 const LoadingIndicator = () => (
   <div className="loading-indicator">
@@ -13,6 +107,1039 @@ const LoadingIndicator = () => (
   </div>
 );
 
+const EmbedCard = ({ card }) => (
+  <div className="embed-card">
+    <a href={card.url} target="_blank" rel="noopener noreferrer">
+      {card.image && <img src={card.image} alt="" loading="lazy" />}
+      <div className="embed-content">
+        <h4>{card.title || card.url}</h4>
+        {card.title && <h5>{card.siteName || card.url}</h5>}
+        {card.description && <p>{card.description}</p>}
+      </div>
+    </a>
+  </div>
+);
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+// The average color a blurhash encodes, shown while the media loads.
+const blurhashColor = (hash) => {
+  if (!hash || hash.length < 6) return undefined;
+  let value = 0;
+  for (const char of hash.slice(2, 6)) {
+    const digit = BASE83.indexOf(char);
+    if (digit < 0) return undefined;
+    value = value * 83 + digit;
+  }
+  return `#${value.toString(16).padStart(6, '0')}`;
+};
+
+// Bluesky videos are HLS playlists, which only some browsers play natively.
+const isPlaylist = (url) => /\.m3u8(?:[?#]|$)/i.test(url);
+const canPlayPlaylists = document
+  .createElement('video')
+  .canPlayType('application/vnd.apple.mpegurl');
+
+const AltText = ({ alt }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  return (
+    <>
+      <button
+        className="alt-badge"
+        title={alt}
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        ALT
+      </button>
+      {isOpen && <div className="alt-text">{alt}</div>}
+    </>
+  );
+};
+
+const MediaThumb = ({ media }) =>
+  media.type === 'image' || media.previewUrl ? (
+    <img src={media.previewUrl || media.url} alt={media.alt || ''} loading="lazy" />
+  ) : isPlaylist(media.url) ? (
+    <span className="media-placeholder" aria-label={media.alt || 'Video'} />
+  ) : (
+    <video src={media.url} preload="metadata" muted playsInline aria-label={media.alt || ''} />
+  );
+
+// One attachment at full size. Videos the browser can't play link to the
+// post instead.
+const LightboxMedia = ({ media, permalink }) => {
+  if (media.type === 'image') {
+    return <img src={media.url} alt={media.alt || ''} />;
+  }
+  if (isPlaylist(media.url) && !canPlayPlaylists) {
+    return (
+      <a href={permalink} target="_blank" rel="noopener noreferrer" className="lightbox-external">
+        {media.previewUrl && <img src={media.previewUrl} alt={media.alt || ''} />}
+        <span>Watch on the original post</span>
+      </a>
+    );
+  }
+  return media.type === 'gifv' ? (
+    <video src={media.url} autoPlay loop muted playsInline aria-label={media.alt || ''} />
+  ) : (
+    <video src={media.url} poster={media.previewUrl || undefined} controls autoPlay />
+  );
+};
+
+const Lightbox = ({ media, index, onIndex, onClose, permalink }) => {
+  const current = media[index];
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+      if (event.key === 'ArrowLeft' && index > 0) onIndex(index - 1);
+      if (event.key === 'ArrowRight' && index < media.length - 1) onIndex(index + 1);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [index, media.length, onIndex, onClose]);
+
+  return (
+    <div className="lightbox" role="dialog" aria-modal="true" onClick={onClose}>
+      <div className="lightbox-content" onClick={(event) => event.stopPropagation()}>
+        <LightboxMedia key={current.url} media={current} permalink={permalink} />
+        {current.alt && <p className="lightbox-alt">{current.alt}</p>}
+        <div className="lightbox-controls">
+          {media.length > 1 && (
+            <>
+              <button disabled={index === 0} onClick={() => onIndex(index - 1)}>
+                ‹ Previous
+              </button>
+              <span>
+                {index + 1} / {media.length}
+              </span>
+              <button disabled={index === media.length - 1} onClick={() => onIndex(index + 1)}>
+                Next ›
+              </button>
+            </>
+          )}
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// A post's attachments as a grid of thumbnails that open in a lightbox.
+// Sensitive media stays blurred until the reader asks to see it; audio plays
+// in place.
+const MediaGallery = ({ media = [], sensitive, contentWarning, permalink }) => {
+  const [isRevealed, setIsRevealed] = useState(!sensitive);
+  const [openIndex, setOpenIndex] = useState(null);
+  const visual = media.filter((item) => item.type !== 'audio');
+  const audio = media.filter((item) => item.type === 'audio');
+  if (media.length === 0) return null;
+
+  return (
+    <div className="media">
+      {visual.length > 0 && (
+        <div className={`media-gallery media-count-${Math.min(visual.length, 4)}`}>
+          {visual.map((item, index) => (
+            <div
+              key={item.url}
+              className="media-item"
+              style={{
+                backgroundColor: blurhashColor(item.blurhash),
+                aspectRatio:
+                  visual.length === 1 && item.width && item.height
+                    ? `${item.width} / ${item.height}`
+                    : undefined,
+              }}
+            >
+              <button
+                className={`media-open ${isRevealed ? '' : 'blurred'}`}
+                onClick={() => setOpenIndex(index)}
+                disabled={!isRevealed}
+                aria-label={item.alt ? `Open: ${item.alt}` : `Open ${item.type}`}
+              >
+                <MediaThumb media={item} />
+                {item.type !== 'image' && <span className="media-play">▶</span>}
+              </button>
+              {isRevealed && item.alt && <AltText alt={item.alt} />}
+            </div>
+          ))}
+          {!isRevealed && (
+            <button className="media-reveal" onClick={() => setIsRevealed(true)}>
+              {contentWarning ? `Sensitive: ${contentWarning}` : 'Sensitive content'}
+              <span>Show</span>
+            </button>
+          )}
+        </div>
+      )}
+      {audio.map((item) => (
+        <audio key={item.url} src={item.url} controls preload="none" aria-label={item.alt || ''} />
+      ))}
+      {openIndex !== null && (
+        <Lightbox
+          media={visual}
+          index={openIndex}
+          onIndex={setOpenIndex}
+          onClose={() => setOpenIndex(null)}
+          permalink={permalink}
+        />
+      )}
+    </div>
+  );
+};
+
+// Previews already fetched this session, keyed by URL (null when the server
+// couldn't unfurl the link).
+const previewCache = new Map();
+
+const LinkPreview = ({ url }) => {
+  const [preview, setPreview] = useState(previewCache.get(url));
+
+  useEffect(() => {
+    if (previewCache.has(url)) return;
+
+    let cancelled = false;
+    const fetchPreview = async () => {
+      try {
+        const response = await fetch(`${API_URL}/preview?url=${encodeURIComponent(url)}`);
+        const data = response.ok ? await response.json() : null;
+        previewCache.set(url, data);
+        if (!cancelled) setPreview(data);
+      } catch (error) {
+        console.error('Error fetching link preview:', error);
+      }
+    };
+    fetchPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return <EmbedCard card={preview ? { ...preview, url } : { url }} />;
+};
+
+const AccountForm = ({ onSubmit }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (mode) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(mode, username, password);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      className="account-form"
+      onSubmit={(event) => {
+        event.preventDefault();
+        submit('login');
+      }}
+    >
+      <p>Sign in to keep your saved posts on every device, with notes, tags and collections.</p>
+      <input
+        value={username}
+        onChange={(event) => setUsername(event.target.value)}
+        placeholder="Username"
+        autoComplete="username"
+        aria-label="Username"
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(event) => setPassword(event.target.value)}
+        placeholder="Password"
+        autoComplete="current-password"
+        aria-label="Password"
+      />
+      <button type="submit" disabled={submitting}>
+        Sign in
+      </button>
+      <button type="button" disabled={submitting} onClick={() => submit('register')}>
+        Create account
+      </button>
+      {error && <div className="error-message">{error}</div>}
+    </form>
+  );
+};
+
+const ExportMenu = ({ onExport }) => {
+  const [format, setFormat] = useState(EXPORT_FORMATS[0].value);
+  const [error, setError] = useState(null);
+
+  const download = async () => {
+    setError(null);
+    try {
+      await onExport(format);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <select
+        value={format}
+        onChange={(event) => setFormat(event.target.value)}
+        aria-label="Export format"
+      >
+        {EXPORT_FORMATS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <button onClick={download}>Export</button>
+      {error && <span className="error-message">{error}</span>}
+    </div>
+  );
+};
+
+// Who publishes the sources a post cites, from the server's source registry.
+// Preprints are called out: they haven't been peer-reviewed.
+const SourceBadges = ({ citations = [] }) => {
+  const sources = [];
+  citations.forEach(({ source }) => {
+    if (source && !sources.some((seen) => seen.name === source.name && seen.type === source.type)) {
+      sources.push(source);
+    }
+  });
+  if (sources.length === 0) return null;
+
+  return (
+    <div className="source-badges">
+      {sources.map((source) => (
+        <span
+          key={`${source.name}:${source.type}`}
+          className={`source-badge ${source.type}`}
+          title={[source.name, source.label, source.country && countryName(source.country)]
+            .filter(Boolean)
+            .join(' · ')}
+        >
+          <strong>{source.name}</strong> {source.label}
+          {source.peerReviewed === false && (
+            <span className="not-peer-reviewed">Not peer-reviewed</span>
+          )}
+          {source.peerReviewed === true && <span className="peer-reviewed">Peer-reviewed</span>}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+// Flag a post for the moderators; the reader picks a reason first.
+const ReportButton = ({ onReport }) => {
+  const [open, setOpen] = useState(false);
+  const [reported, setReported] = useState(false);
+  const [error, setError] = useState(null);
+
+  const report = async (reason) => {
+    setError(null);
+    try {
+      await onReport(reason);
+      setReported(true);
+      setOpen(false);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  if (reported) {
+    return <span className="report-button reported">Reported</span>;
+  }
+  return (
+    <div className="report">
+      <button className="report-button" title="Report this post" onClick={() => setOpen(!open)}>
+        ⚑
+      </button>
+      {open && (
+        <div className="report-reasons">
+          {REPORT_REASONS.map((reason) => (
+            <button key={reason.value} onClick={() => report(reason.value)}>
+              {reason.label}
+            </button>
+          ))}
+          {error && <span className="error-message">{error}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const COMPOSE_NETWORKS = [
+  { name: 'bluesky', label: '🦋 Bluesky', limit: 300 },
+  { name: 'mastodon', label: '🐘 Mastodon', limit: 500 },
+  { name: 'nostr', label: '🕊️ Nostr', limit: null },
+];
+
+// The text as posted: the cited URL goes at the end unless it's already in
+// the text, as cited or as typed. Must match the server's composeText, since
+// Nostr events are signed here.
+const composeText = (text, url, typed = url) => {
+  const trimmed = text.trim();
+  const present = [url, typed].some((form) => form && trimmed.includes(form));
+  return present ? trimmed : `${trimmed}\n\n${url}`.trim();
+};
+
+// Connect a Bluesky account with an app password, or a Mastodon account
+// through its instance's sign-in page.
+const ConnectionForm = ({ network, apiFetch, onConnected }) => {
+  const [identifier, setIdentifier] = useState('');
+  const [password, setPassword] = useState('');
+  const [instance, setInstance] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    try {
+      if (network === 'bluesky') {
+        await apiFetch('/connections/bluesky', {
+          method: 'POST',
+          body: { identifier, password },
+        });
+        onConnected();
+      } else {
+        const { authorizeUrl } = await apiFetch('/connections/mastodon', {
+          method: 'POST',
+          body: { instance },
+        });
+        window.location.assign(authorizeUrl);
+      }
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <form className="connection-form" onSubmit={submit}>
+      {network === 'bluesky' ? (
+        <>
+          <input
+            value={identifier}
+            onChange={(event) => setIdentifier(event.target.value)}
+            placeholder="you.bsky.social"
+            aria-label="Bluesky handle"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            placeholder="App password"
+            aria-label="Bluesky app password"
+          />
+        </>
+      ) : (
+        <input
+          value={instance}
+          onChange={(event) => setInstance(event.target.value)}
+          placeholder="mastodon.social"
+          aria-label="Mastodon instance"
+        />
+      )}
+      <button type="submit">Connect</button>
+      {network === 'bluesky' && (
+        <a href="https://bsky.app/settings/app-passwords" target="_blank" rel="noopener noreferrer">
+          Create an app password
+        </a>
+      )}
+      {error && <span className="error-message">{error}</span>}
+    </form>
+  );
+};
+
+// Write a post citing a source and publish it to the reader's networks.
+// The cited link is checked against the chosen topic as it's typed.
+const Composer = ({ apiFetch, topics, initialTopic, notice }) => {
+  const [topic, setTopic] = useState(initialTopic || topics[0]?.slug || '');
+  const [url, setUrl] = useState('');
+  const [text, setText] = useState('');
+  const [selected, setSelected] = useState({});
+  const [connections, setConnections] = useState([]);
+  const [citation, setCitation] = useState(null);
+  const [connecting, setConnecting] = useState(null);
+  const [publishing, setPublishing] = useState(false);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(notice?.error || null);
+
+  const loadConnections = useCallback(async () => {
+    try {
+      const data = await apiFetch('/connections');
+      setConnections(data.connections);
+    } catch (error) {
+      console.error('Error fetching connections:', error);
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    loadConnections();
+  }, [loadConnections]);
+
+  useEffect(() => {
+    setCitation(null);
+    if (!url.trim() || !topic) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ topic, url: url.trim() });
+        setCitation(await apiFetch(`/publish/check?${params}`));
+      } catch (error) {
+        setCitation({ error: error.message });
+      }
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [apiFetch, url, topic]);
+
+  const accountFor = (network) =>
+    connections.find((connection) => connection.network === network)?.account;
+  const canPost = (network) => (network === 'nostr' ? Boolean(window.nostr) : accountFor(network));
+
+  const networks = COMPOSE_NETWORKS.filter(
+    (network) => selected[network.name] && canPost(network.name)
+  );
+  // The server posts the link as the check normalized it, so that's the form
+  // counted and signed. The typed link is sent so the server can tell it's
+  // already in the text.
+  const cited = citation && !citation.error ? citation.url : null;
+  const content = composeText(text, cited || url.trim(), url.trim());
+  const limit = Math.min(...networks.map((network) => network.limit || Infinity));
+  const length = Array.from(content).length;
+  const activeTopic = topics.find((candidate) => candidate.slug === topic);
+  const ready = networks.length > 0 && text.trim() && cited && length <= limit;
+
+  const disconnect = async (network) => {
+    try {
+      await apiFetch(`/connections/${network}`, { method: 'DELETE' });
+    } catch (error) {
+      setError(error.message);
+    }
+    loadConnections();
+  };
+
+  const publish = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setResults(null);
+    setPublishing(true);
+    try {
+      const names = networks.map((network) => network.name);
+      // NIP-07: the browser extension holds the key and signs the post.
+      const nostrEvent = names.includes('nostr')
+        ? await window.nostr.signEvent({
+            kind: 1,
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [['r', cited]],
+            content,
+          })
+        : undefined;
+      const data = await apiFetch('/publish', {
+        method: 'POST',
+        body: { text, url: url.trim(), networks: names, nostrEvent },
+      });
+      setResults(data.results);
+      if (data.results.every((result) => result.status === 'published')) {
+        setText('');
+        setUrl('');
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  return (
+    <form className="composer" onSubmit={publish}>
+      {notice?.connected && (
+        <div className="composer-notice">Your {notice.connected} account is connected.</div>
+      )}
+      <label>
+        Topic
+        <select value={topic} onChange={(event) => setTopic(event.target.value)}>
+          {topics.map((option) => (
+            <option key={option.slug} value={option.slug}>
+              {option.emoji} {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <input
+        type="url"
+        value={url}
+        onChange={(event) => setUrl(event.target.value)}
+        placeholder="Link to the source you're citing"
+        aria-label="Cited source URL"
+      />
+      {citation?.error && <div className="error-message">{citation.error}</div>}
+      {citation && !citation.error && (
+        <>
+          {citation.domain === null && activeTopic && (
+            <div className="composer-warning">
+              This link isn't one of the {activeTopic.label} tab's sources (
+              {activeTopic.domains.join(', ')}), so your post won't show up there.
+            </div>
+          )}
+          <SourceBadges citations={[citation]} />
+          <LinkPreview url={citation.url} />
+        </>
+      )}
+      <textarea
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+        placeholder="What does it say?"
+        rows={4}
+        aria-label="Post text"
+      />
+      <div className={`composer-count ${length > limit ? 'over' : ''}`}>
+        {length}
+        {limit !== Infinity && ` / ${limit}`}
+      </div>
+      <div className="composer-networks">
+        {COMPOSE_NETWORKS.map((network) => (
+          <div key={network.name} className="composer-network">
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(selected[network.name]) && Boolean(canPost(network.name))}
+                disabled={!canPost(network.name)}
+                onChange={(event) =>
+                  setSelected({ ...selected, [network.name]: event.target.checked })
+                }
+              />
+              {network.label}
+            </label>
+            {network.name === 'nostr' ? (
+              <span className="connection-account">
+                {window.nostr ? 'Signed by your browser extension' : 'Needs a NIP-07 extension'}
+              </span>
+            ) : accountFor(network.name) ? (
+              <span className="connection-account">
+                {accountFor(network.name)}
+                <button type="button" onClick={() => disconnect(network.name)}>
+                  Disconnect
+                </button>
+              </span>
+            ) : (
+              <button
+                type="button"
+                className="connect-button"
+                onClick={() => setConnecting(connecting === network.name ? null : network.name)}
+              >
+                Connect
+              </button>
+            )}
+            {connecting === network.name && !accountFor(network.name) && (
+              <ConnectionForm
+                network={network.name}
+                apiFetch={apiFetch}
+                onConnected={() => {
+                  setConnecting(null);
+                  loadConnections();
+                }}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+      {error && <div className="error-message">{error}</div>}
+      {results && (
+        <ul className="publish-results">
+          {results.map((result) => (
+            <li key={result.network} className={result.status}>
+              {result.status === 'published' ? (
+                <a href={result.permalink} target="_blank" rel="noopener noreferrer">
+                  Posted to {result.network}
+                </a>
+              ) : (
+                `Couldn't post to ${result.network}: ${result.error}`
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <button type="submit" disabled={publishing || !ready}>
+        {publishing ? 'Posting…' : 'Post'}
+      </button>
+    </form>
+  );
+};
+
+// The admins' page: posts held or reported for review, and the blocklists
+// and keyword filters that hold them.
+// The conversation around a post: the posts it replies to above it and the
+// replies to it, nested, below. Threads are fetched live from the post's
+// network, so they can show replies the feed never stored.
+const ThreadView = ({ apiFetch, post, renderPost, renderReply, onBack }) => {
+  const [thread, setThread] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setThread(null);
+    setError(null);
+    const params = new URLSearchParams({ network: post.network, id: post.id });
+    apiFetch(`/thread?${params}`)
+      .then((data) => !cancelled && setThread(data))
+      .catch((error) => !cancelled && setError(error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [apiFetch, post.network, post.id]);
+
+  const renderReplies = (replies) =>
+    replies.length > 0 && (
+      <ul className="thread-replies">
+        {replies.map((reply) => (
+          <li key={reply.post.id}>
+            {renderReply(reply.post)}
+            {renderReplies(reply.replies)}
+          </li>
+        ))}
+      </ul>
+    );
+
+  return (
+    <div className="thread">
+      <button className="thread-back" onClick={onBack}>
+        ← Back
+      </button>
+      {thread?.ancestors.length > 0 && (
+        <div className="thread-ancestors">{thread.ancestors.map((item) => renderReply(item))}</div>
+      )}
+      {renderPost(thread ? thread.post : post)}
+      {error && <div className="error-message">{error}</div>}
+      {!thread && !error && <LoadingIndicator />}
+      {thread &&
+        (thread.replies.length > 0 ? (
+          renderReplies(thread.replies)
+        ) : (
+          <div className="no-posts">No replies yet</div>
+        ))}
+    </div>
+  );
+};
+
+const ModerationQueue = ({ apiFetch, renderPost, networks }) => {
+  const [filter, setFilter] = useState(QUEUE_FILTERS[0].value);
+  const [queue, setQueue] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [newRule, setNewRule] = useState({ kind: 'keyword', network: '*', value: '' });
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [queueData, rulesData] = await Promise.all([
+        apiFetch(`/admin/queue?status=${filter}`),
+        apiFetch('/admin/rules'),
+      ]);
+      setQueue(queueData.queue);
+      setRules(rulesData.rules);
+    } catch (error) {
+      setError(error.message);
+    }
+  }, [apiFetch, filter]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (request) => {
+    setError(null);
+    try {
+      await request();
+    } catch (error) {
+      setError(error.message);
+    }
+    load();
+  };
+
+  const review = (entry, decision) =>
+    run(() =>
+      apiFetch('/admin/review', {
+        method: 'POST',
+        body: { network: entry.network, id: entry.id, decision },
+      })
+    );
+
+  const addRule = (event) => {
+    event.preventDefault();
+    if (!newRule.value.trim()) return;
+    run(async () => {
+      await apiFetch('/admin/rules', { method: 'POST', body: newRule });
+      setNewRule({ ...newRule, value: '' });
+    });
+  };
+
+  const removeRule = ({ kind, network, value }) =>
+    run(() =>
+      apiFetch(`/admin/rules?${new URLSearchParams({ kind, network, value })}`, {
+        method: 'DELETE',
+      })
+    );
+
+  return (
+    <div className="moderation">
+      <div className="moderation-queue">
+        <div className="queue-filters">
+          {QUEUE_FILTERS.map((option) => (
+            <button
+              key={option.value}
+              className={filter === option.value ? 'active' : ''}
+              onClick={() => setFilter(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        {queue.map((entry) => (
+          <div key={`${entry.network}:${entry.id}`} className="queue-entry">
+            <div className="queue-reasons">
+              <strong>{entry.status}</strong>
+              {entry.reasons.map((reason) => (
+                <span key={reason}>{reason}</span>
+              ))}
+              {entry.reports.map(({ reason, count }) => (
+                <span key={reason}>
+                  {count} {count === 1 ? 'report' : 'reports'}: {reason}
+                </span>
+              ))}
+            </div>
+            {renderPost(entry.post)}
+            <div className="queue-actions">
+              {entry.status !== 'approved' && (
+                <button onClick={() => review(entry, 'approve')}>Approve</button>
+              )}
+              {entry.status !== 'hidden' && (
+                <button onClick={() => review(entry, 'hide')}>Hide</button>
+              )}
+              <button onClick={() => review(entry, 'block')}>Block author</button>
+            </div>
+          </div>
+        ))}
+        {queue.length === 0 && <div className="no-posts">Nothing to review</div>}
+      </div>
+      <aside className="moderation-rules">
+        <h3>Rules</h3>
+        <form onSubmit={addRule}>
+          <select
+            value={newRule.kind}
+            onChange={(event) => setNewRule({ ...newRule, kind: event.target.value })}
+            aria-label="Rule kind"
+          >
+            <option value="keyword">Keyword</option>
+            <option value="domain">Domain</option>
+            <option value="author">Author</option>
+          </select>
+          <select
+            value={newRule.network}
+            onChange={(event) => setNewRule({ ...newRule, network: event.target.value })}
+            aria-label="Network"
+          >
+            <option value="*">All networks</option>
+            {networks.map((network) => (
+              <option key={network.name} value={network.name}>
+                {network.label}
+              </option>
+            ))}
+          </select>
+          <input
+            value={newRule.value}
+            onChange={(event) => setNewRule({ ...newRule, value: event.target.value })}
+            placeholder={
+              newRule.kind === 'author' ? 'DID, pubkey or profile URL' : 'Keyword or domain'
+            }
+            aria-label="Rule"
+          />
+          <button type="submit">Add</button>
+        </form>
+        <ul>
+          {rules.map((rule) => (
+            <li key={`${rule.source}:${rule.kind}:${rule.network}:${rule.value}`}>
+              {rule.kind} · {rule.network === '*' ? 'all' : rule.network} · {rule.value}
+              {rule.source === 'admin' ? (
+                <button title="Remove rule" onClick={() => removeRule(rule)}>
+                  ×
+                </button>
+              ) : (
+                <span className="rule-source" title="Set in config/moderation.json">
+                  config
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </aside>
+    </div>
+  );
+};
+
+// Note, tags and collections of one saved post. Text fields are saved when
+// they lose focus.
+const BookmarkDetails = ({ bookmark, collections, onUpdate }) => {
+  const [note, setNote] = useState(bookmark.note);
+  const [tags, setTags] = useState(bookmark.tags.join(', '));
+
+  const saveTags = () => {
+    const list = tags
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    if (list.join(',') !== bookmark.tags.join(',')) onUpdate(bookmark.id, { tags: list });
+  };
+
+  const toggleCollection = (id) => {
+    const ids = bookmark.collections.includes(id)
+      ? bookmark.collections.filter((collectionId) => collectionId !== id)
+      : [...bookmark.collections, id];
+    onUpdate(bookmark.id, { collections: ids });
+  };
+
+  return (
+    <div className="bookmark-details">
+      <textarea
+        value={note}
+        onChange={(event) => setNote(event.target.value)}
+        onBlur={() => note !== bookmark.note && onUpdate(bookmark.id, { note })}
+        placeholder="Add a note"
+        rows={2}
+      />
+      <input
+        value={tags}
+        onChange={(event) => setTags(event.target.value)}
+        onBlur={saveTags}
+        placeholder="Tags, separated by commas"
+        aria-label="Tags"
+      />
+      {collections.length > 0 && (
+        <div className="bookmark-collections">
+          {collections.map((collection) => (
+            <label key={collection.id}>
+              <input
+                type="checkbox"
+                checked={bookmark.collections.includes(collection.id)}
+                onChange={() => toggleCollection(collection.id)}
+              />
+              {collection.name}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// The Saved page for signed-in readers: collections and tags on the side,
+// the matching bookmarks with their notes in the middle.
+const CollectionBrowser = ({
+  saved,
+  renderPost,
+  onUpdate,
+  onCreateCollection,
+  onDeleteCollection,
+  onExport,
+}) => {
+  const [activeCollection, setActiveCollection] = useState(null);
+  const [activeTag, setActiveTag] = useState(null);
+  const [newCollection, setNewCollection] = useState('');
+
+  const visible = saved.bookmarks.filter(
+    (bookmark) =>
+      (activeCollection === null || bookmark.collections.includes(activeCollection)) &&
+      (activeTag === null || bookmark.tags.includes(activeTag))
+  );
+
+  const createCollection = async (event) => {
+    event.preventDefault();
+    if (!newCollection.trim()) return;
+    await onCreateCollection(newCollection.trim());
+    setNewCollection('');
+  };
+
+  return (
+    <div className="collection-browser">
+      <aside className="collections">
+        <button
+          className={activeCollection === null ? 'active' : ''}
+          onClick={() => setActiveCollection(null)}
+        >
+          All saved ({saved.bookmarks.length})
+        </button>
+        {saved.collections.map((collection) => (
+          <div key={collection.id} className="collection">
+            <button
+              className={activeCollection === collection.id ? 'active' : ''}
+              onClick={() => setActiveCollection(collection.id)}
+            >
+              {collection.name} ({collection.count})
+            </button>
+            <button
+              className="delete-collection"
+              title="Delete collection (keeps its posts)"
+              onClick={() => {
+                if (activeCollection === collection.id) setActiveCollection(null);
+                onDeleteCollection(collection.id);
+              }}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <form onSubmit={createCollection}>
+          <input
+            value={newCollection}
+            onChange={(event) => setNewCollection(event.target.value)}
+            placeholder="New collection"
+            aria-label="New collection"
+          />
+        </form>
+        {saved.tags.length > 0 && (
+          <div className="tag-filter">
+            {saved.tags.map(({ tag, count }) => (
+              <button
+                key={tag}
+                className={activeTag === tag ? 'active' : ''}
+                onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+              >
+                #{tag} ({count})
+              </button>
+            ))}
+          </div>
+        )}
+      </aside>
+      <div className="collection-posts">
+        {visible.length > 0 && (
+          <ExportMenu
+            onExport={(format) =>
+              onExport(format, { collection: activeCollection, tag: activeTag })
+            }
+          />
+        )}
+        {visible.map((bookmark) => (
+          <div key={bookmark.id}>
+            {renderPost(bookmark.post)}
+            <BookmarkDetails
+              key={bookmark.updatedAt}
+              bookmark={bookmark}
+              collections={saved.collections}
+              onUpdate={onUpdate}
+            />
+          </div>
+        ))}
+        {visible.length === 0 && <div className="no-posts">Nothing saved here yet</div>}
+      </div>
+    </div>
+  );
+};
+
 const AgeConfirmationModal = ({ isVisible, onConfirm }) => {
   if (!isVisible) return null;
   return (
@@ -34,19 +1161,29 @@ const AgeConfirmationModal = ({ isVisible, onConfirm }) => {
 };
 
 const App = () => {
-  const [feed, setFeed] = useState({ blueskyFeed: [], nostrFeed: [], mastodonFeed: [] });
+  const [feed, setFeed] = useState({ networks: [], posts: [], nextCursor: null });
+  const [newPosts, setNewPosts] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [errors, setErrors] = useState({ bluesky: null, nostr: null, mastodon: null });
-  const [activeTab, setActiveTab] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [topics, setTopics] = useState([]);
+  const [activeTopic, setActiveTopic] = useState(null);
+  const [sort, setSort] = useState('recent');
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [composerNotice, setComposerNotice] = useState(null);
   const [isAgeConfirmed, setIsAgeConfirmed] = useState(false);
   const [bookmarks, setBookmarks] = useState([]);
   const [currentPage, setCurrentPage] = useState('main');
-  const [enabledNetworks, setEnabledNetworks] = useState({
-    nostr: true,
-    bluesky: true,
-    mastodon: true,
-  });
+  // The post whose thread is open, and the page to go back to.
+  const [openThread, setOpenThread] = useState(null);
+  const [disabledNetworks, setDisabledNetworks] = useState({});
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState({ query: '', posts: [], nextCursor: null });
+  const [searching, setSearching] = useState(false);
+  const [auth, setAuth] = useState(() => JSON.parse(localStorage.getItem('auth')) || null);
+  const [saved, setSaved] = useState({ bookmarks: [], collections: [], tags: [] });
+  // Set after signing in when some posts saved in this browser couldn't be imported.
+  const [importNotice, setImportNotice] = useState(null);
 
   const preferredLanguages = navigator.language || 'en-US';
 
@@ -56,8 +1193,45 @@ const App = () => {
       setIsAgeConfirmed(true);
     }
 
-    const savedBookmarks = JSON.parse(localStorage.getItem('bookmarks')) || [];
-    setBookmarks(savedBookmarks);
+    const storedBookmarks = JSON.parse(localStorage.getItem('bookmarks')) || [];
+    setBookmarks(storedBookmarks);
+    if (storedBookmarks.some((bookmark) => !bookmark.network)) {
+      convertBookmarks(storedBookmarks).then((converted) => {
+        localStorage.setItem('bookmarks', JSON.stringify(converted));
+        setBookmarks(converted);
+      });
+    }
+  }, []);
+
+  // Back from connecting a Mastodon account: reopen the composer.
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const connected = params.get('connected');
+    const connectionError = params.get('connectionError');
+    if (connected || connectionError) {
+      setComposerNotice({ connected, error: connectionError });
+      setIsModalOpen(true);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchTopics = async () => {
+      try {
+        const response = await fetch(`${API_URL}/topics`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        setTopics(data.topics);
+        setActiveTopic((current) => current || data.topics[0]?.slug || null);
+      } catch (error) {
+        console.error('Error fetching topics:', error);
+        setError('Failed to fetch topics');
+        setLoading(false);
+      }
+    };
+    fetchTopics();
   }, []);
 
   const handleConfirmAge = () => {
@@ -66,15 +1240,15 @@ const App = () => {
   };
 
   useEffect(() => {
-    if (currentPage === 'main') {
+    if (currentPage === 'main' && activeTopic) {
       const fetchFeed = async () => {
         setLoading(true);
-        setErrors({ bluesky: null, nostr: null, mastodon: null });
-        setFeed({ blueskyFeed: [], nostrFeed: [], mastodonFeed: [] });
+        setError(null);
+        setFeed({ networks: [], posts: [], nextCursor: null });
 
         try {
           const response = await fetch(
-            `${API_URL}/feed?activeTab=${activeTab}&preferredLanguages=${preferredLanguages}`
+            `${API_URL}/feed?topic=${activeTopic}&sort=${sort}&preferredLanguages=${preferredLanguages}`
           );
           if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -83,18 +1257,120 @@ const App = () => {
           setFeed(data);
         } catch (error) {
           console.error('Error fetching feeds:', error);
-          setErrors({
-            bluesky: 'Failed to fetch Bluesky feed',
-            nostr: 'Failed to fetch Nostr feed',
-            mastodon: 'Failed to fetch Mastodon feed',
-          });
+          setError('Failed to fetch feed');
         } finally {
           setLoading(false);
         }
       };
       fetchFeed();
     }
-  }, [activeTab, preferredLanguages, currentPage]);
+  }, [activeTopic, sort, preferredLanguages, currentPage]);
+
+  // Posts ingested while the feed is open wait behind a "new posts" banner
+  // instead of moving the feed under the reader. Ranked orders don't update.
+  useEffect(() => {
+    setNewPosts([]);
+    if (currentPage !== 'main' || sort !== 'recent' || !activeTopic) return;
+
+    const source = new EventSource(`${API_URL}/stream?topic=${activeTopic}`);
+    source.addEventListener('posts', (event) => {
+      const { posts } = JSON.parse(event.data);
+      setNewPosts((current) => mergePosts(posts, current));
+    });
+    return () => source.close();
+  }, [activeTopic, sort, currentPage]);
+
+  // Networks whose last fetch failed; their older posts still show.
+  const networkProblems = feed.networks.filter(
+    (network) => network.status && network.status.status !== 'ok' && !disabledNetworks[network.name]
+  );
+
+  const unseenPosts = newPosts.filter(
+    (post) =>
+      !disabledNetworks[post.network] &&
+      !feed.posts.some((shown) => postKey(shown) === postKey(post))
+  );
+
+  const showNewPosts = () => {
+    setFeed((prev) => ({ ...prev, posts: mergePosts(newPosts, prev.posts) }));
+    setNewPosts([]);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || !feed.nextCursor) return;
+
+    const topic = activeTopic;
+    const order = sort;
+    setLoadingMore(true);
+    try {
+      const response = await fetch(
+        `${API_URL}/feed?topic=${topic}&sort=${order}&cursor=${encodeURIComponent(feed.nextCursor)}`
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      // Drop the page if the reader switched topics or order while it was loading.
+      setFeed((prev) =>
+        prev.topic?.slug === topic && prev.sort === order
+          ? { ...prev, posts: [...prev.posts, ...data.posts], nextCursor: data.nextCursor }
+          : prev
+      );
+    } catch (error) {
+      console.error('Error fetching more posts:', error);
+      setError('Failed to fetch older posts');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [activeTopic, sort, feed.nextCursor, loading, loadingMore]);
+
+  // Load the next page when the end of the feed scrolls into view.
+  const feedEndRef = useRef(null);
+  useEffect(() => {
+    const sentinel = feedEndRef.current;
+    if (!sentinel || currentPage !== 'main' || !isAgeConfirmed) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, currentPage, isAgeConfirmed]);
+
+  // Search results replace the feed; a cursor asks for the next page of the
+  // same query.
+  const runSearch = async (query, cursor = null) => {
+    setSearching(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ q: query });
+      if (cursor) params.set('cursor', cursor);
+      const response = await fetch(`${API_URL}/search?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      setSearchResults((prev) =>
+        cursor ? { ...data, posts: [...prev.posts, ...data.posts] } : data
+      );
+    } catch (error) {
+      console.error('Error searching posts:', error);
+      setError('Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    if (!searchQuery.trim()) return;
+    setCurrentPage('search');
+    runSearch(searchQuery.trim());
+  };
 
   const formatTimeAgo = (dateString) => {
     const date = new Date(dateString);
@@ -115,104 +1391,182 @@ const App = () => {
     }
   };
 
-  const renderEmbed = (embed) => {
-    if (embed?.$type === 'app.bsky.embed.external') {
-      const { uri, title, description } = embed.external;
-      return (
-        <div className="embed-card">
-          <a href={uri} target="_blank" rel="noopener noreferrer">
-            <div className="embed-content">
-              <h4>{title}</h4>
-              <h5>{uri}</h5>
-              <p>{description}</p>
-            </div>
-          </a>
-        </div>
-      );
-    }
-    return null;
-  };
+  const renderLinks = (item) =>
+    item.links
+      .filter((link) => link !== item.card?.url)
+      .map((link) => <LinkPreview key={link} url={link} />);
+
+  // Search results show the matching part of the post, highlighted.
+  const renderBody = (item) =>
+    item.snippet ? (
+      <div className="search-snippet" dangerouslySetInnerHTML={{ __html: item.snippet }} />
+    ) : item.html ? (
+      <div dangerouslySetInnerHTML={{ __html: item.html }} />
+    ) : (
+      <div className="post-text">{item.text}</div>
+    );
 
-  const renderLink = (facets, embed) => {
-    if (embed?.$type !== 'app.bsky.embed.external') {
-      if (!facets || !Array.isArray(facets)) {
-        return null;
+  // Requests on behalf of the signed-in reader. Errors carry the server's
+  // message; an expired session signs the reader out.
+  const apiFetch = useCallback(
+    async (path, { method = 'GET', body } = {}) => {
+      const response = await fetch(`${API_URL}${path}`, {
+        method,
+        headers: {
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(auth && { Authorization: `Bearer ${auth.token}` }),
+        },
+        body: body && JSON.stringify(body),
+      });
+      if (response.status === 401 && auth) {
+        localStorage.removeItem('auth');
+        setAuth(null);
       }
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      return response.status === 204 ? null : response.json();
+    },
+    [auth]
+  );
+
+  const loadSaved = useCallback(async () => {
+    try {
+      setSaved(await apiFetch('/bookmarks'));
+    } catch (error) {
+      console.error('Error fetching saved posts:', error);
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    if (auth) loadSaved();
+  }, [auth, loadSaved]);
 
-      const uriLink = facets.reduce((link, facet) => {
-        if (link) return link;
-        return (
-          facet.features?.find(
-            (feature) => feature.$type === 'app.bsky.richtext.facet#link'
-          )?.uri || ''
+  // Leave the moderation page when the admin signs out.
+  useEffect(() => {
+    if (!auth?.user.admin) setCurrentPage((page) => (page === 'moderation' ? 'main' : page));
+  }, [auth]);
+
+  // Posts saved in this browser before signing in move to the account on
+  // first sign-in.
+  const handleAccount = async (mode, username, password) => {
+    const session = await apiFetch(`/auth/${mode}`, {
+      method: 'POST',
+      body: { username, password },
+    });
+
+    if (bookmarks.length > 0) {
+      const response = await fetch(`${API_URL}/bookmarks/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.token}` },
+        body: JSON.stringify({ posts: bookmarks }),
+      });
+      // Posts the server couldn't import stay in this browser rather than being lost.
+      const result = response.ok ? await response.json() : null;
+      if (result && result.skipped === 0) {
+        localStorage.removeItem('bookmarks');
+        setBookmarks([]);
+        setImportNotice(null);
+      } else {
+        const kept = result ? result.skippedIndexes.map((index) => bookmarks[index]) : bookmarks;
+        localStorage.setItem('bookmarks', JSON.stringify(kept));
+        setBookmarks(kept);
+        setImportNotice(
+          `${kept.length} post${kept.length === 1 ? '' : 's'} saved in this browser couldn't be ` +
+            'added to your account and are still kept here.'
         );
-      }, '');
+      }
+    }
 
-      return uriLink ? (
-        <div className="embed-card">
-          <a href={uriLink} target="_blank" rel="noopener noreferrer">
-            <div className="embed-content">
-              <h4>{uriLink}</h4>
-            </div>
-          </a>
-        </div>
-      ) : null;
+    // Signing in loads the account's saved posts, imports included.
+    localStorage.setItem('auth', JSON.stringify(session));
+    setAuth(session);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out:', error);
     }
-    return null;
+    localStorage.removeItem('auth');
+    setAuth(null);
+    setImportNotice(null);
+    setSaved({ bookmarks: [], collections: [], tags: [] });
   };
 
-  const renderNostrContent = (content) => {
-    const urlRegex = /(https?:\/\/[^\s]+)/g;
-    const parts = content.split(urlRegex);
+  // Download saved posts as a file: the account's, optionally one collection
+  // or tag of them, or those saved in this browser.
+  const handleExport = async (format, { collection = null, tag = null } = {}) => {
+    const params = new URLSearchParams({ format });
+    if (collection !== null) params.set('collection', collection);
+    if (tag !== null) params.set('tag', tag);
 
-    return (
-      <>
-        {parts.map((part, index) => {
-          if (part.match(urlRegex)) {
-            return (
-              <div key={index} className="embed-card">
-                <a href={part} target="_blank" rel="noopener noreferrer">
-                  <div className="embed-content">
-                    <h4>{part}</h4>
-                  </div>
-                </a>
-              </div>
-            );
-          }
-          return <span key={index}>{part}</span>;
-        })}
-      </>
-    );
-  };
+    const response = auth
+      ? await fetch(`${API_URL}/bookmarks/export?${params}`, {
+          headers: { Authorization: `Bearer ${auth.token}` },
+        })
+      : await fetch(`${API_URL}/export?${params}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ posts: bookmarks }),
+        });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
 
-  const renderMastodonContent = (content) => {
-    const urlRegex = /(https?:\/\/[^\s<]+[^<.,:;"')\]\s])/g;
-    const links = content.match(urlRegex) || [];
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || `saved-posts-${format}`;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-    const textContent = content.replace(urlRegex, '');
+  const handleReport = (item, reason) =>
+    apiFetch('/reports', {
+      method: 'POST',
+      body: { network: item.network, id: item.id, reason },
+    });
 
-    return (
-      <>
-        <div dangerouslySetInnerHTML={{ __html: textContent }} />
-        {links.map((link, index) => (
-          <div key={index} className="embed-card">
-            <a href={link} target="_blank" rel="noopener noreferrer">
-              <div className="embed-content">
-                <h4>{link}</h4>
-              </div>
-            </a>
-          </div>
-        ))}
-      </>
+  const savedBookmarkFor = (item) =>
+    saved.bookmarks.find(
+      (bookmark) => bookmark.network === item.network && bookmark.postId === item.id
     );
+
+  const updateSaved = async (request) => {
+    try {
+      await request();
+    } catch (error) {
+      console.error('Error updating saved posts:', error);
+    }
+    loadSaved();
   };
 
   const handleBookmark = (item) => {
+    if (auth) {
+      const existing = savedBookmarkFor(item);
+      // Saved posts show in full, not as the search snippet they were found by.
+      const { snippet, ...post } = item;
+      updateSaved(() =>
+        existing
+          ? apiFetch(`/bookmarks/${existing.id}`, { method: 'DELETE' })
+          : apiFetch('/bookmarks', { method: 'POST', body: { post } })
+      );
+      return;
+    }
+
     const newBookmarks = [...bookmarks];
     const index = newBookmarks.findIndex((bookmark) => bookmark.id === item.id);
 
     if (index === -1) {
-      newBookmarks.push(item);
+      // Saved posts show in full, not as the search snippet they were found by.
+      const { snippet, ...post } = item;
+      newBookmarks.push(post);
     } else {
       newBookmarks.splice(index, 1);
     }
@@ -222,171 +1576,224 @@ const App = () => {
   };
 
   const isBookmarked = (item) => {
+    if (auth) return Boolean(savedBookmarkFor(item));
     return bookmarks.some((bookmark) => bookmark.id === item.id);
   };
 
-  const renderPost = (item, source) => {
-    const bookmarkButton = (
+  const networkLabel = (name) => {
+    const network = feed.networks.find((candidate) => candidate.name === name);
+    return network ? `${network.icon}${network.label}` : name;
+  };
+
+  const networkIcon = (name) =>
+    feed.networks.find((candidate) => candidate.name === name)?.icon || name;
+
+  // Counts the network didn't report are left out.
+  const renderEngagement = (item) => {
+    const { likes, reposts, replies, quotes } = item.engagement || {};
+    const counts = [
+      ['♥', likes, 'likes'],
+      ['↻', reposts, 'reposts'],
+      ['💬', replies, 'replies'],
+      ['❝', quotes, 'quotes'],
+    ].filter(([, count]) => count !== null && count !== undefined);
+    if (counts.length === 0) return null;
+
+    return (
+      <span className="engagement">
+        {counts.map(([icon, count, label]) => (
+          <span key={label} title={`${count} ${label}`}>
+            {icon} {count}
+          </span>
+        ))}
+      </span>
+    );
+  };
+
+  // Other posts citing the same source, collapsed into this card.
+  const renderStory = (item) => {
+    if (!item.story || item.story.count < 2) return null;
+    const { people, count, networks, posts } = item.story;
+
+    return (
+      <details className="story">
+        <summary>
+          Cited by {people} {people === 1 ? 'person' : 'people'} in {count} posts{' '}
+          {networks.map(networkIcon).join('')}
+        </summary>
+        <ul>
+          {posts
+            .filter((post) => !(post.network === item.network && post.id === item.id))
+            .map((post) => (
+              <li key={`${post.network}:${post.id}`}>
+                <a href={post.permalink} target="_blank" rel="noopener noreferrer">
+                  {networkIcon(post.network)} {post.author.name}
+                </a>{' '}
+                · {formatTimeAgo(post.createdAt)}
+              </li>
+            ))}
+        </ul>
+      </details>
+    );
+  };
+
+  // The post a quote post quotes, as a card under its text.
+  const renderQuote = (item) =>
+    item.quote && (
+      <a className="quote" href={item.quote.permalink} target="_blank" rel="noopener noreferrer">
+        <span className="quote-author">
+          {item.quote.author.avatar && (
+            <img className="author-avatar" src={item.quote.author.avatar} alt="" loading="lazy" />
+          )}
+          {item.quote.author.name} · {formatTimeAgo(item.quote.createdAt)}
+        </span>
+        <span className="post-text">{item.quote.text}</span>
+      </a>
+    );
+
+  const showThread = (item) => {
+    setOpenThread({ post: item, returnTo: currentPage });
+    setCurrentPage('thread');
+    window.scrollTo(0, 0);
+  };
+
+  // Posts around the one a thread is opened on. They needn't be stored, so
+  // they can't be bookmarked or reported.
+  const renderReply = (item) => (
+    <div className="thread-post" key={postKey(item)}>
+      <a
+        className="viewLink"
+        href={item.author.url || item.permalink}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        {item.author.avatar && (
+          <img className="author-avatar" src={item.author.avatar} alt="" loading="lazy" />
+        )}
+        {item.author.name}
+      </a>{' '}
+      · {formatTimeAgo(item.createdAt)}
+      {renderBody(item)}
+      <MediaGallery
+        media={item.media}
+        sensitive={item.sensitive}
+        contentWarning={item.contentWarning}
+        permalink={item.permalink}
+      />
+      {renderQuote(item)}
+      <div className="row">
+        {renderEngagement(item)}
+        <a
+          style={{ marginLeft: 'auto' }}
+          className="viewLink"
+          href={item.permalink}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          from {networkLabel(item.network)}
+        </a>
+      </div>
+    </div>
+  );
+
+  const renderPost = (item) => (
+    <div className="item" key={`${item.network}:${item.id}`}>
       <button
         onClick={() => handleBookmark(item)}
         className={`bookmark-button ${isBookmarked(item) ? 'bookmarked' : ''}`}
       >
         {isBookmarked(item) ? '★' : '☆'}
       </button>
-    );
-
-    switch (source) {
-      case 'bluesky':
-        return (
-          <div className="item" key={item.post.uri}>
-            {bookmarkButton}
-            <p>{formatTimeAgo(item.post.indexedAt)}</p>
-            {renderEmbed(item.post.embed)}
-            {renderLink(item.post.facets, item.post.embed)}
-            <div dangerouslySetInnerHTML={{ __html: item.markdown }} />
-            <div className="row">
-              <a
-                style={{ marginRight: 'auto', fontSize: '10pt' }}
-                className="viewLink"
-                href={`https://bsky.app/profile/${item.post.author.did}/post/${
-                  item.post.uri.split('/').pop()
-                }`}
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                by {item.post.author.displayName}
-              </a>
-              <a
-                style={{ marginLeft: 'auto' }}
-                className="viewLink"
-                href={`https://bsky.app/profile/${item.post.author.did}/post/${
-                  item.post.uri.split('/').pop()
-                }`}
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                from 🦋Bluesky {tabNames[activeTab].split(' ')[1]}
-              </a>
-            </div>
-          </div>
-        );
-      case 'nostr':
-        return (
-          <div className="item" key={item.id}>
-            {bookmarkButton}
-            <p>{formatTimeAgo(new Date(item.created_at * 1000).toISOString())}</p>
-            <div>{renderNostrContent(item.content)}</div>
-            <div className="row">
-              <a
-                style={{ marginRight: 'auto', fontSize: '10pt' }}
-                className="viewLink"
-                href={`https://njump.me/${nip19.noteEncode(item.id)}`}
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                by {nip19.npubEncode(item.pubkey).slice(0, 12)}...
-              </a>
-              <a
-                style={{ marginLeft: 'auto' }}
-                className="viewLink"
-                href={`https://njump.me/${nip19.noteEncode(item.id)}`}
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                from 🕊️NOSTR {tabNames[activeTab].split(' ')[1]}
-              </a>
-            </div>
-          </div>
-        );
-      case 'mastodon':
-        return (
-          <div className="item" key={item.id}>
-            {bookmarkButton}
-            <p>{formatTimeAgo(item.createdAt)}</p>
-            {renderMastodonContent(item.content)}
-            <div className="row">
-              <a
-                style={{ marginRight: 'auto', fontSize: '10pt' }}
-                className="viewLink"
-                href={item.url}
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                by {item.account.displayName}
-              </a>
-              <a
-                style={{ marginLeft: 'auto' }}
-                className="viewLink"
-                href={item.url}
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                from 🐘Mastodon {tabNames[activeTab].split(' ')[1]}
-              </a>
-            </div>
-          </div>
-        );
-      default:
-        return null;
-    }
-  };
-
-  const tabNames = ['📈Sources', '🏛️Gov', '🪙Econ', '🧬Sci', '🍿Film', '🎙️Pod', '🎸Music'];
+      <ReportButton onReport={(reason) => handleReport(item, reason)} />
+      <p>{formatTimeAgo(item.createdAt)}</p>
+      <SourceBadges citations={item.citations} />
+      {item.card && <EmbedCard card={item.card} />}
+      {renderLinks(item)}
+      {renderBody(item)}
+      <MediaGallery
+        media={item.media}
+        sensitive={item.sensitive}
+        contentWarning={item.contentWarning}
+        permalink={item.permalink}
+      />
+      {renderQuote(item)}
+      {renderStory(item)}
+      <div className="row">
+        <a
+          style={{ marginRight: 'auto', fontSize: '10pt' }}
+          className="viewLink"
+          href={item.author.url || item.permalink}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          {item.author.avatar && (
+            <img className="author-avatar" src={item.author.avatar} alt="" loading="lazy" />
+          )}
+          by {item.author.name}
+          {item.author.nip05 && (
+            <span className="verified" title={`Verified as ${item.author.nip05}`}>
+              {' '}
+              ✔
+            </span>
+          )}
+        </a>
+        {renderEngagement(item)}
+        {!(currentPage === 'thread' && postKey(item) === postKey(openThread.post)) && (
+          <button className="thread-button" onClick={() => showThread(item)}>
+            Thread
+          </button>
+        )}
+        <a
+          style={{ marginLeft: 'auto' }}
+          className="viewLink"
+          href={item.permalink}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          from {networkLabel(item.network)}
+        </a>
+      </div>
+    </div>
+  );
 
+  // Bookmarks are converted to the shared schema when loaded (see
+  // convertBookmarks); any that weren't recognized stay in storage but can't
+  // be rendered.
   const filteredCombinedFeed =
     currentPage === 'main'
-      ? [
-          ...(enabledNetworks.bluesky
-            ? feed.blueskyFeed.map((item) => ({ ...item, source: 'bluesky' }))
-            : []),
-          ...(enabledNetworks.nostr
-            ? feed.nostrFeed.map((item) => ({ ...item, source: 'nostr' }))
-            : []),
-          ...(enabledNetworks.mastodon
-            ? feed.mastodonFeed.map((item) => ({ ...item, source: 'mastodon' }))
-            : []),
-        ].sort((a, b) => {
-          const dateA = new Date(
-            a.source === 'nostr'
-              ? a.created_at * 1000
-              : a.post?.indexedAt || a.createdAt
-          );
-          const dateB = new Date(
-            b.source === 'nostr'
-              ? b.created_at * 1000
-              : b.post?.indexedAt || b.createdAt
-          );
-          return dateB - dateA;
-        })
-      : bookmarks;
+      ? feed.posts.filter((item) => !disabledNetworks[item.network])
+      : currentPage === 'search'
+      ? searchResults.posts.filter((item) => !disabledNetworks[item.network])
+      : bookmarks.filter((item) => item.network);
 
   const handleModalOpen = () => setIsModalOpen(true);
-  const handleModalClose = () => setIsModalOpen(false);
+  const handleModalClose = () => {
+    setIsModalOpen(false);
+    setComposerNotice(null);
+  };
 
   const toggleNetwork = (network) => {
-    setEnabledNetworks((prev) => ({
+    setDisabledNetworks((prev) => ({
       ...prev,
       [network]: !prev[network],
     }));
   };
 
-  const NetworkButton = ({ network, icon, description }) => (
+  const NetworkButton = ({ network }) => (
     <div className="network-button-container">
       <button
-        onClick={() => toggleNetwork(network)}
-        className={`network-button ${enabledNetworks[network] ? 'active' : ''}`}
+        onClick={() => toggleNetwork(network.name)}
+        className={`network-button ${!disabledNetworks[network.name] ? 'active' : ''}`}
       >
-        {icon} {network.charAt(0).toUpperCase() + network.slice(1)}
+        {network.icon} {network.label}
       </button>
       <div className="tooltip">
-        <p>{description}</p>
-        <a
-          href={`https://${network === 'nostr' ? 'nostr.org' : network === 'bluesky' ? 'bsky.social/about' : 'joinmastodon.org'}`}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Learn more
-        </a>
+        <p>{network.description}</p>
+        {network.homepage && (
+          <a href={network.homepage} target="_blank" rel="noopener noreferrer">
+            Learn more
+          </a>
+        )}
       </div>
     </div>
   );
@@ -410,62 +1817,162 @@ const App = () => {
               >
                 📎Saved
               </button>
+              {auth?.user.admin && (
+                <button
+                  onClick={() => setCurrentPage('moderation')}
+                  className={currentPage === 'moderation' ? 'active' : ''}
+                >
+                  🛡Moderation
+                </button>
+              )}
             </div>
             <div>
               <h1 className="appTitle">Community Sources</h1>
             </div>
-            <div className="networks">
-              <NetworkButton
-                network="nostr"
-                icon="🕊️"
-                description="Nostr is a decentralized social network built on open protocols."
-              />
-              <NetworkButton
-                network="bluesky"
-                icon="🦋"
-                description="Bluesky is a decentralized social network focused on a new approach to social media."
-              />
-              <NetworkButton
-                network="mastodon"
-                icon="🐘"
-                description="Mastodon is a free, open-source social network server."
+            <form className="search-form" onSubmit={handleSearch} role="search">
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(event) => setSearchQuery(event.target.value)}
+                placeholder='Search posts, e.g. "bea.gov" gdp'
+                aria-label="Search posts"
               />
+            </form>
+            <div className="networks">
+              {feed.networks.map((network) => (
+                <NetworkButton key={network.name} network={network} />
+              ))}
             </div>
           </div>
 
           {currentPage === 'main' && (
             <div className="tabs">
-              {tabNames.map((tab, index) => (
+              {topics.map((topic) => (
                 <button
-                  key={index}
-                  onClick={() => setActiveTab(index)}
-                  className={activeTab === index ? 'active' : ''}
+                  key={topic.slug}
+                  onClick={() => setActiveTopic(topic.slug)}
+                  className={activeTopic === topic.slug ? 'active' : ''}
                 >
-                  {tab}
+                  {topic.emoji}
+                  {topic.label}
                 </button>
               ))}
             </div>
           )}
 
+          {currentPage === 'main' && (
+            <div className="sort-options">
+              {SORT_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setSort(option.value)}
+                  className={sort === option.value ? 'active' : ''}
+                  title={option.description}
+                >
+                  {option.label}
+                </button>
+              ))}
+              {activeTopic && (
+                <a
+                  className="feed-link"
+                  href={`${FEEDS_URL}/${activeTopic}.rss`}
+                  title="Follow this topic in a feed reader (Atom and JSON Feed: .atom, .json)"
+                >
+                  RSS
+                </a>
+              )}
+            </div>
+          )}
+
           <div className="feed">
             {loading && currentPage === 'main' && <LoadingIndicator />}
-            {currentPage === 'main' && errors.bluesky && (
-              <div className="error-message">
-                Error loading Bluesky feed: {errors.bluesky}
+            {currentPage === 'main' && !loading && networkProblems.length > 0 && (
+              <div className="network-problems">
+                {networkProblems.map((network) => (
+                  <div
+                    key={network.name}
+                    className={`network-problem ${network.status.status}`}
+                    title={network.status.message}
+                  >
+                    {network.icon} {network.label}: {describeNetworkProblem(network.status)}
+                  </div>
+                ))}
               </div>
             )}
-            {currentPage === 'main' && errors.nostr && (
-              <div className="error-message">Error loading Nostr feed: {errors.nostr}</div>
+            {currentPage === 'main' && !loading && unseenPosts.length > 0 && (
+              <button className="new-posts-banner" onClick={showNewPosts}>
+                ↑ {unseenPosts.length} new {unseenPosts.length === 1 ? 'post' : 'posts'}
+              </button>
             )}
-            {currentPage === 'main' && errors.mastodon && (
-              <div className="error-message">
-                Error loading Mastodon feed: {errors.mastodon}
+            {currentPage === 'search' && searching && <LoadingIndicator />}
+            {(currentPage === 'main' || currentPage === 'search') && error && (
+              <div className="error-message">Error loading feed: {error}</div>
+            )}
+            {currentPage === 'bookmarks' && (
+              <div className="account-bar">
+                {auth ? (
+                  <>
+                    Signed in as <strong>{auth.user.username}</strong>
+                    <button onClick={handleSignOut}>Sign out</button>
+                    {importNotice && <div className="import-notice">{importNotice}</div>}
+                  </>
+                ) : (
+                  <AccountForm onSubmit={handleAccount} />
+                )}
               </div>
             )}
-            {filteredCombinedFeed.map((item) => renderPost(item, item.source))}
-            {!loading && filteredCombinedFeed.length === 0 && (
-              <div className="no-posts">No posts available</div>
+            {currentPage === 'thread' ? (
+              <ThreadView
+                apiFetch={apiFetch}
+                post={openThread.post}
+                renderPost={renderPost}
+                renderReply={renderReply}
+                onBack={() => setCurrentPage(openThread.returnTo)}
+              />
+            ) : currentPage === 'moderation' && auth ? (
+              <ModerationQueue
+                apiFetch={apiFetch}
+                renderPost={renderPost}
+                networks={feed.networks}
+              />
+            ) : currentPage === 'bookmarks' && auth ? (
+              <CollectionBrowser
+                saved={saved}
+                renderPost={renderPost}
+                onUpdate={(id, changes) =>
+                  updateSaved(() => apiFetch(`/bookmarks/${id}`, { method: 'PATCH', body: changes }))
+                }
+                onCreateCollection={(name) =>
+                  updateSaved(() => apiFetch('/collections', { method: 'POST', body: { name } }))
+                }
+                onDeleteCollection={(id) =>
+                  updateSaved(() => apiFetch(`/collections/${id}`, { method: 'DELETE' }))
+                }
+                onExport={handleExport}
+              />
+            ) : (
+              <>
+                {currentPage === 'bookmarks' && bookmarks.length > 0 && (
+                  <ExportMenu onExport={handleExport} />
+                )}
+                {filteredCombinedFeed.map((item) => renderPost(item))}
+                {!loading && !searching && filteredCombinedFeed.length === 0 && (
+                  <div className="no-posts">
+                    {currentPage === 'search' ? 'No matching posts' : 'No posts available'}
+                  </div>
+                )}
+              </>
+            )}
+            {currentPage === 'main' && <div ref={feedEndRef} className="feed-end" />}
+            {currentPage === 'search' && searchResults.nextCursor && !searching && (
+              <button
+                className="more-results"
+                onClick={() => runSearch(searchResults.query, searchResults.nextCursor)}
+              >
+                More results
+              </button>
             )}
+            {loadingMore && <LoadingIndicator />}
           </div>
 
           <div className="fab" onClick={handleModalOpen}>
@@ -476,15 +1983,34 @@ const App = () => {
             <div className="modal">
               <div className="modal-content">
                 <h2>Post to Community Sources</h2>
-                <p>
-                  By posting on Bluesky and including a cited link from one of the following
-                  sources, your post will automatically appear in our custom feeds.
-                </p>
-                <div className="source-links">
-                  <button onClick={() => window.open('https://bsky.app', '_blank')}>
-                    🦋Bluesky
-                  </button>
-                </div>
+                {auth ? (
+                  <Composer
+                    apiFetch={apiFetch}
+                    topics={topics}
+                    initialTopic={activeTopic}
+                    notice={composerNotice}
+                  />
+                ) : (
+                  <>
+                    <p>
+                      Sign in to write a post citing a source and publish it to Bluesky, Mastodon
+                      and Nostr from here. Posts citing one of a tab's sources show up in it.
+                    </p>
+                    <div className="source-links">
+                      <button
+                        onClick={() => {
+                          setCurrentPage('bookmarks');
+                          handleModalClose();
+                        }}
+                      >
+                        Sign in
+                      </button>
+                      <button onClick={() => window.open('https://bsky.app', '_blank')}>
+                        🦋Bluesky
+                      </button>
+                    </div>
+                  </>
+                )}
                 <button className="close" onClick={handleModalClose}>
                   Close
                 </button>
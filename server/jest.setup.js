@@ -0,0 +1,12 @@
+// server/jest.setup.js
+//
+// Every test file gets a fresh in-memory store (see store.js) and no log
+// output. Jest's node environment hides the Web Crypto global that
+// nostr-tools signs with, so it is put back.
+
+process.env.DATABASE_PATH = ':memory:';
+require('./src/logger').silent = true;
+
+if (!globalThis.crypto) {
+  globalThis.crypto = require('crypto').webcrypto;
+}
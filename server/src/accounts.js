@@ -0,0 +1,207 @@
+// server/src/accounts.js
+//
+// Optional user accounts with a local username and password. Passwords are
+// hashed with scrypt. Logging in returns a random session token which
+// clients send back as `Authorization: Bearer <token>`; only a hash of the
+// token is stored. Accounts flagged as admins can moderate; the operator sets
+// the flag by naming existing accounts in ADMIN_USERS (comma-separated), and
+// those names can't be registered by anyone else.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { db } = require('./store');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+const KEY_LENGTH = 64;
+// Checked against when the username doesn't exist, so a failed login takes
+// as long whether or not the account is there.
+const UNKNOWN_USER_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+const statements = {
+  insertUser: db.prepare(`
+	INSERT INTO users (username, password_hash, created_at) VALUES (@username, @passwordHash, @createdAt)
+  `),
+  userByName: db.prepare('SELECT * FROM users WHERE username = ?'),
+  grantAdmin: db.prepare('UPDATE users SET admin = 1 WHERE username = ?'),
+  clearAdmins: db.prepare('UPDATE users SET admin = 0'),
+  userById: db.prepare('SELECT * FROM users WHERE id = ?'),
+  insertSession: db.prepare(`
+	INSERT INTO user_sessions (token_hash, user_id, created_at, expires_at)
+	VALUES (@tokenHash, @userId, @createdAt, @expiresAt)
+  `),
+  sessionUser: db.prepare(`
+	SELECT users.* FROM user_sessions
+	JOIN users ON users.id = user_sessions.user_id
+	WHERE user_sessions.token_hash = @tokenHash AND user_sessions.expires_at > @now
+  `),
+  deleteSession: db.prepare('DELETE FROM user_sessions WHERE token_hash = ?'),
+  deleteExpiredSessions: db.prepare('DELETE FROM user_sessions WHERE expires_at <= ?'),
+};
+
+// Errors meant for the client carry the HTTP status to answer with.
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = stored.split('$');
+  if (scheme !== 'scrypt') {
+	return false;
+  }
+  const expected = Buffer.from(key, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function adminNames() {
+  return (process.env.ADMIN_USERS || '')
+	.split(',')
+	.map((name) => name.trim().toLowerCase())
+	.filter(Boolean);
+}
+
+// Flag the accounts named in ADMIN_USERS as admins, and only those, so
+// removing a name takes the rights away. Run at startup.
+const applyAdminList = db.transaction(() => {
+  statements.clearAdmins.run();
+  let granted = 0;
+  for (const username of adminNames()) {
+	granted += statements.grantAdmin.run(username).changes;
+  }
+  return granted;
+});
+
+function describeUser(row) {
+  return {
+	id: row.id,
+	username: row.username,
+	admin: row.admin === 1,
+	createdAt: row.created_at,
+  };
+}
+
+function createSession(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  statements.deleteExpiredSessions.run(new Date(now).toISOString());
+  statements.insertSession.run({
+	tokenHash: hashToken(token),
+	userId: user.id,
+	createdAt: new Date(now).toISOString(),
+	expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+  });
+  return { token, user: describeUser(user) };
+}
+
+// Create an account and sign it in: resolves to { token, user }.
+async function register(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+	throw requestError(400, 'Usernames are 3 to 32 letters, digits, dots, dashes or underscores');
+  }
+  if (
+	typeof password !== 'string' ||
+	password.length < MIN_PASSWORD_LENGTH ||
+	password.length > MAX_PASSWORD_LENGTH
+  ) {
+	throw requestError(400, `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  // Names reserved for admins are taken as far as sign-ups are concerned, so
+  // nobody can claim one before the operator's account exists.
+  if (statements.userByName.get(username) || adminNames().includes(username.toLowerCase())) {
+	throw requestError(409, 'That username is taken');
+  }
+
+  const passwordHash = await hashPassword(password);
+  try {
+	const { lastInsertRowid } = statements.insertUser.run({
+	  username,
+	  passwordHash,
+	  createdAt: new Date().toISOString(),
+	});
+	return createSession(statements.userById.get(lastInsertRowid));
+  } catch (error) {
+	// Someone registered the same name while we were hashing.
+	if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+	  throw requestError(409, 'That username is taken');
+	}
+	throw error;
+  }
+}
+
+// Resolves to { token, user }.
+async function login(username, password) {
+  const user = typeof username === 'string' ? statements.userByName.get(username) : null;
+  const matches = await verifyPassword(
+	typeof password === 'string' ? password : '',
+	user ? user.password_hash : UNKNOWN_USER_HASH
+  );
+  if (!user || !matches) {
+	throw requestError(401, 'Wrong username or password');
+  }
+  return createSession(user);
+}
+
+function logout(token) {
+  statements.deleteSession.run(hashToken(token));
+}
+
+// Express middleware: sets `req.user` from the request's bearer token, or
+// to null for anonymous requests, and keeps the token as `req.sessionToken`.
+function authenticate(req, res, next) {
+  const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  const row = match
+	? statements.sessionUser.get({ tokenHash: hashToken(match[1]), now: new Date().toISOString() })
+	: null;
+
+  req.user = row ? describeUser(row) : null;
+  req.sessionToken = row ? match[1] : null;
+  next();
+}
+
+// Express middleware for routes that need a signed-in user.
+function requireUser(req, res, next) {
+  if (!req.user) {
+	return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+// Express middleware for routes only admins may use.
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+	return res.status(401).json({ error: 'Sign in required' });
+  }
+  if (!req.user.admin) {
+	return res.status(403).json({ error: 'Admins only' });
+  }
+  next();
+}
+
+module.exports = {
+  register,
+  login,
+  logout,
+  authenticate,
+  requireUser,
+  requireAdmin,
+  requestError,
+  applyAdminList,
+};
@@ -0,0 +1,83 @@
+const { db } = require('./store');
+const { register, login, logout, authenticate, applyAdminList } = require('./accounts');
+
+const PASSWORD = 'correct horse battery';
+
+const status = (status) => expect.objectContaining({ status });
+
+// Runs the authenticate middleware for a request with the given token.
+function signedInUser(token) {
+  const req = { get: () => (token ? `Bearer ${token}` : undefined) };
+  authenticate(req, {}, () => {});
+  return req.user;
+}
+
+afterEach(() => {
+  delete process.env.ADMIN_USERS;
+});
+
+describe('register', () => {
+  test('creates the account and signs it in', async () => {
+	const { token, user } = await register('reader', PASSWORD);
+	expect(user).toMatchObject({ username: 'reader', admin: false });
+	expect(signedInUser(token)).toEqual(user);
+  });
+
+  test('refuses taken names, bad names and short passwords', async () => {
+	await expect(register('reader', PASSWORD)).rejects.toThrow(status(409));
+	await expect(register('no spaces', PASSWORD)).rejects.toThrow(status(400));
+	await expect(register('ab', PASSWORD)).rejects.toThrow(status(400));
+	await expect(register('newcomer', 'short')).rejects.toThrow(status(400));
+  });
+
+  test('keeps names in ADMIN_USERS for the operator', async () => {
+	process.env.ADMIN_USERS = 'Operator, editor';
+	await expect(register('operator', PASSWORD)).rejects.toThrow(status(409));
+	await expect(register('EDITOR', PASSWORD)).rejects.toThrow(status(409));
+  });
+});
+
+describe('sessions', () => {
+  test('log in with the right password only', async () => {
+	const { token } = await login('reader', PASSWORD);
+	expect(signedInUser(token).username).toBe('reader');
+	await expect(login('reader', 'wrong password')).rejects.toThrow(status(401));
+	await expect(login('nobody', PASSWORD)).rejects.toThrow(status(401));
+  });
+
+  test('keep only a hash of the token', async () => {
+	const { token } = await login('reader', PASSWORD);
+	const stored = db.prepare('SELECT token_hash FROM user_sessions').all();
+	expect(stored.map((row) => row.token_hash)).not.toContain(token);
+  });
+
+  test('end on logout or once expired', async () => {
+	const { token } = await login('reader', PASSWORD);
+	logout(token);
+	expect(signedInUser(token)).toBeNull();
+
+	const { token: expiring } = await login('reader', PASSWORD);
+	db.prepare('UPDATE user_sessions SET expires_at = ?').run('2000-01-01T00:00:00.000Z');
+	expect(signedInUser(expiring)).toBeNull();
+  });
+
+  test('leave anonymous and unknown tokens signed out', () => {
+	expect(signedInUser(null)).toBeNull();
+	expect(signedInUser('not-a-session')).toBeNull();
+  });
+});
+
+describe('applyAdminList', () => {
+  test('makes the named accounts admins and no others', async () => {
+	const { token } = await register('moderator', PASSWORD);
+
+	process.env.ADMIN_USERS = ' Moderator ,missing';
+	expect(applyAdminList()).toBe(1);
+	expect(signedInUser(token).admin).toBe(true);
+	expect(signedInUser((await login('reader', PASSWORD)).token).admin).toBe(false);
+
+	process.env.ADMIN_USERS = '';
+	expect(applyAdminList()).toBe(0);
+	expect(signedInUser(token).admin).toBe(false);
+  });
+});
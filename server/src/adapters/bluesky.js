@@ -0,0 +1,424 @@
+// server/src/adapters/bluesky.js
+
+const { AtpAgent, RichText } = require('@atproto/api');
+const logger = require('../logger');
+const { createPost } = require('../posts');
+const { escapeHtml, renderLink } = require('../html');
+const { getSetting, setSetting } = require('../store');
+const { upstreamError } = require('./errors');
+
+const SESSION_KEY = 'bluesky.session';
+
+// One long-lived agent. Its session is written to the store whenever it is
+// created or refreshed, so a restart resumes it instead of logging in again
+// (logins are far more tightly rate limited than reads).
+const agent = new AtpAgent({
+  service: process.env.BLUESKY_SERVICE || 'https://bsky.social',
+  persistSession: (event, session) => {
+	setSetting(SESSION_KEY, session || null);
+  },
+});
+
+let sessionPromise = null;
+
+// Make sure the agent has a session: resume the saved one if it is still
+// good (the agent refreshes expired access tokens by itself), otherwise log
+// in with the configured credentials. Concurrent callers share one attempt.
+function ensureSession() {
+  if (agent.hasSession) {
+	return Promise.resolve();
+  }
+  if (!sessionPromise) {
+	sessionPromise = (async () => {
+	  const saved = getSetting(SESSION_KEY);
+	  if (saved) {
+		try {
+		  await agent.resumeSession(saved);
+		  logger.info(`Resumed Bluesky session for ${agent.session.handle}`);
+		  return;
+		} catch (error) {
+		  logger.warn(`Could not resume Bluesky session: ${error.message}`);
+		}
+	  }
+
+	  if (!process.env.BLUESKY_IDENTIFIER || !process.env.BLUESKY_PASSWORD) {
+		throw upstreamError('auth_error', 'BLUESKY_IDENTIFIER and BLUESKY_PASSWORD are not set');
+	  }
+	  await agent.login({
+		identifier: process.env.BLUESKY_IDENTIFIER,
+		password: process.env.BLUESKY_PASSWORD,
+	  });
+	  logger.info(`Logged in to Bluesky as ${agent.session.handle}`);
+	})();
+	sessionPromise.catch(() => {}).then(() => {
+	  sessionPromise = null;
+	});
+  }
+  return sessionPromise;
+}
+
+// Bluesky reports the caller's rate limit on every response. We stop asking
+// once the window is spent and wait for its reset; a 429 without headers
+// backs off for a fixed period.
+const RATE_LIMIT_BACKOFF_MS = 5 * 60 * 1000;
+
+const rateLimit = {
+  limit: null,
+  remaining: null,
+  resetAt: null,
+};
+
+function recordRateLimit(headers = {}) {
+  const limit = parseInt(headers['ratelimit-limit']);
+  const remaining = parseInt(headers['ratelimit-remaining']);
+  const reset = parseInt(headers['ratelimit-reset']);
+
+  if (!Number.isNaN(limit)) {
+	rateLimit.limit = limit;
+  }
+  if (!Number.isNaN(remaining)) {
+	rateLimit.remaining = remaining;
+  }
+  if (!Number.isNaN(reset)) {
+	rateLimit.resetAt = reset * 1000;
+  }
+}
+
+function isRateLimited() {
+  if (rateLimit.resetAt && Date.now() >= rateLimit.resetAt) {
+	rateLimit.remaining = null;
+	rateLimit.resetAt = null;
+  }
+  return rateLimit.remaining === 0;
+}
+
+// Run an API call with a session, keeping track of the rate limit.
+async function callApi(request) {
+  await ensureSession();
+  try {
+	const response = await request();
+	recordRateLimit(response.headers);
+	return response;
+  } catch (error) {
+	if (error.status === 429) {
+	  rateLimit.remaining = 0;
+	  rateLimit.resetAt = Date.now() + RATE_LIMIT_BACKOFF_MS;
+	  throw upstreamError('rate_limited', error.message, { retryAfter: rateLimit.resetAt });
+	}
+	throw error;
+  }
+}
+
+// Returns the feed page and Bluesky's cursor for the next (older) page.
+async function fetchPosts({ topic, preferredLanguages, cursor }) {
+  logger.info(`Fetching Bluesky posts for topic: ${topic.slug}`);
+
+  if (!topic.bluesky.feed) {
+	return { items: [], cursor: null };
+  }
+
+  if (isRateLimited()) {
+	throw upstreamError('rate_limited', 'Bluesky rate limit reached', {
+	  retryAfter: rateLimit.resetAt,
+	});
+  }
+
+  const { data } = await callApi(() =>
+	agent.api.app.bsky.feed.getFeed(
+	  {
+		feed: topic.bluesky.feed,
+		limit: 50,
+		...(cursor && { cursor }),
+	  },
+	  {
+		headers: {
+		  'Accept-Language': preferredLanguages,
+		},
+	  }
+	)
+  );
+
+  logger.info(`Fetched ${data.feed.length} Bluesky posts`);
+  return { items: data.feed, cursor: data.cursor || null };
+}
+
+const PROFILES_PER_REQUEST = 25;
+
+// Profile views by DID, for posts that arrive without author details (the
+// Jetstream firehose only carries the author's DID). Returns what it could
+// look up before running into the rate limit.
+async function getAuthors(dids) {
+  const authors = new Map();
+  for (let index = 0; index < dids.length && !isRateLimited(); index += PROFILES_PER_REQUEST) {
+	const { data } = await callApi(() =>
+	  agent.api.app.bsky.actor.getProfiles({ actors: dids.slice(index, index + PROFILES_PER_REQUEST) })
+	);
+	for (const profile of data.profiles) {
+	  authors.set(profile.did, profile);
+	}
+  }
+  return authors;
+}
+
+const TAG_FEATURE = 'app.bsky.richtext.facet#tag';
+
+// Build the post body from its rich text facets: links, mentions pointing at
+// the author's Bluesky profile, and hashtags.
+function renderHtml(rt) {
+  let html = '';
+  for (const segment of rt.segments()) {
+	const tag = segment.facet?.features.find((feature) => feature.$type === TAG_FEATURE);
+	if (segment.isLink()) {
+	  html += renderLink(segment.link.uri, segment.text);
+	} else if (segment.isMention()) {
+	  html += renderLink(`https://bsky.app/profile/${segment.mention.did}`, segment.text, 'mention');
+	} else if (tag) {
+	  html += renderLink(`https://bsky.app/hashtag/${encodeURIComponent(tag.tag)}`, segment.text, 'hashtag');
+	} else {
+	  html += escapeHtml(segment.text);
+	}
+  }
+  return html.replace(/\n/g, '<br>');
+}
+
+const RECORD_VIEW = 'app.bsky.embed.record#view';
+const RECORD_WITH_MEDIA_VIEW = 'app.bsky.embed.recordWithMedia#view';
+const VIEW_RECORD = 'app.bsky.embed.record#viewRecord';
+
+function postUrl(did, uri) {
+  return `https://bsky.app/profile/${did}/post/${uri.split('/').pop()}`;
+}
+
+// The post a quote post embeds, if it is one we can show (not deleted,
+// blocked, or a feed or list).
+function quoteOf(embed) {
+  const view =
+	embed?.$type === RECORD_VIEW
+	  ? embed.record
+	  : embed?.$type === RECORD_WITH_MEDIA_VIEW
+	  ? embed.record?.record
+	  : null;
+  if (view?.$type !== VIEW_RECORD || typeof view.value?.text !== 'string') {
+	return null;
+  }
+  return {
+	id: view.uri,
+	network: 'bluesky',
+	author: {
+	  id: view.author.did,
+	  name: view.author.displayName || view.author.handle,
+	  handle: view.author.handle,
+	  avatar: view.author.avatar,
+	  url: `https://bsky.app/profile/${view.author.handle || view.author.did}`,
+	},
+	text: view.value.text,
+	createdAt: view.indexedAt,
+	permalink: postUrl(view.author.did, view.uri),
+  };
+}
+
+const IMAGES_VIEW = 'app.bsky.embed.images#view';
+const VIDEO_VIEW = 'app.bsky.embed.video#view';
+const IMAGES_RECORD = 'app.bsky.embed.images';
+const VIDEO_RECORD = 'app.bsky.embed.video';
+const RECORD_WITH_MEDIA = 'app.bsky.embed.recordWithMedia';
+// Labels, including authors' self-labels, that mark a post's media as
+// sensitive.
+const SENSITIVE_LABELS = ['porn', 'sexual', 'nudity', 'graphic-media', 'gore'];
+
+function dimensions(aspectRatio) {
+  return { width: aspectRatio?.width, height: aspectRatio?.height };
+}
+
+// Media from the hydrated embed the AppView returns.
+function viewMedia(embed) {
+  const media = embed?.$type === RECORD_WITH_MEDIA_VIEW ? embed.media : embed;
+  if (media?.$type === IMAGES_VIEW) {
+	return media.images.map((image) => ({
+	  type: 'image',
+	  url: image.fullsize,
+	  previewUrl: image.thumb,
+	  alt: image.alt,
+	  ...dimensions(image.aspectRatio),
+	}));
+  }
+  if (media?.$type === VIDEO_VIEW) {
+	return [
+	  {
+		type: 'video',
+		url: media.playlist,
+		previewUrl: media.thumbnail,
+		alt: media.alt,
+		...dimensions(media.aspectRatio),
+	  },
+	];
+  }
+  return [];
+}
+
+// Media from a bare record (Jetstream posts), pointing at the CDN by blob.
+function recordMedia(did, embed) {
+  const media = embed?.$type === RECORD_WITH_MEDIA ? embed.media : embed;
+  const cid = (blob) => blob?.ref?.$link || blob?.ref?.toString();
+  if (media?.$type === IMAGES_RECORD) {
+	return media.images.map((image) => ({
+	  type: 'image',
+	  url: `https://cdn.bsky.app/img/feed_fullsize/plain/${did}/${cid(image.image)}@jpeg`,
+	  previewUrl: `https://cdn.bsky.app/img/feed_thumbnail/plain/${did}/${cid(image.image)}@jpeg`,
+	  alt: image.alt,
+	  ...dimensions(image.aspectRatio),
+	}));
+  }
+  if (media?.$type === VIDEO_RECORD) {
+	const video = `https://video.bsky.app/watch/${encodeURIComponent(did)}/${cid(media.video)}`;
+	return [
+	  {
+		type: 'video',
+		url: `${video}/playlist.m3u8`,
+		previewUrl: `${video}/thumbnail.jpg`,
+		alt: media.alt,
+		...dimensions(media.aspectRatio),
+	  },
+	];
+  }
+  return [];
+}
+
+async function normalize(item) {
+  const { post } = item;
+  const { record } = post;
+
+  const rt = new RichText({ text: record.text, facets: record.facets });
+  if (!record.facets) {
+	await rt.detectFacets(agent);
+  }
+
+  const links = [];
+  for (const segment of rt.segments()) {
+	if (segment.isLink()) {
+	  links.push(segment.link.uri);
+	}
+  }
+
+  const external =
+	post.embed?.external ||
+	post.embed?.media?.external ||
+	record.embed?.external ||
+	record.embed?.media?.external;
+  if (external) {
+	links.push(external.uri);
+  }
+
+  const profileUrl = `https://bsky.app/profile/${post.author.handle || post.author.did}`;
+  const labels = [...(post.labels || []), ...(post.author.labels || [])];
+  const selfLabels = (record.labels?.values || []).map((label) => label.val);
+
+  return createPost({
+	id: post.uri,
+	network: 'bluesky',
+	author: {
+	  id: post.author.did,
+	  name: post.author.displayName || post.author.handle,
+	  handle: post.author.handle,
+	  avatar: post.author.avatar,
+	  url: profileUrl,
+	},
+	text: record.text,
+	html: renderHtml(rt),
+	links,
+	card: external
+	  ? {
+		  url: external.uri,
+		  title: external.title,
+		  description: external.description,
+		  image: typeof external.thumb === 'string' ? external.thumb : null,
+		}
+	  : null,
+	createdAt: post.indexedAt,
+	permalink: postUrl(post.author.did, post.uri),
+	media: post.embed ? viewMedia(post.embed) : recordMedia(post.author.did, record.embed),
+	sensitive: [...labels.map((label) => label.val), ...selfLabels].some((value) =>
+	  SENSITIVE_LABELS.includes(value)
+	),
+	engagement: {
+	  likes: post.likeCount,
+	  reposts: post.repostCount,
+	  replies: post.replyCount,
+	  quotes: post.quoteCount,
+	},
+	quote: quoteOf(post.embed),
+	// Labels on the post and on its author's account.
+	labels: labels.map((label) => ({
+	  value: label.val,
+	  source: label.src,
+	  count: 1,
+	})),
+	raw: item,
+  });
+}
+
+const THREAD_VIEW = 'app.bsky.feed.defs#threadViewPost';
+const THREAD_DEPTH = 6;
+const THREAD_PARENT_HEIGHT = 20;
+
+// Replies to a thread node, nested, leaving out deleted and blocked posts.
+async function threadReplies(node) {
+  const replies = (node.replies || []).filter((reply) => reply.$type === THREAD_VIEW);
+  return Promise.all(
+	replies.map(async (reply) => ({
+	  post: await normalize({ post: reply.post }),
+	  replies: await threadReplies(reply),
+	}))
+  );
+}
+
+// The conversation around a post: the posts it replies to, oldest first,
+// and the replies to it.
+async function thread(post) {
+  if (isRateLimited()) {
+	throw upstreamError('rate_limited', 'Bluesky rate limit reached', {
+	  retryAfter: rateLimit.resetAt,
+	});
+  }
+
+  const { data } = await callApi(() =>
+	agent.api.app.bsky.feed.getPostThread({
+	  uri: post.id,
+	  depth: THREAD_DEPTH,
+	  parentHeight: THREAD_PARENT_HEIGHT,
+	})
+  );
+  if (data.thread.$type !== THREAD_VIEW) {
+	return { ancestors: [], replies: [] };
+  }
+
+  const ancestors = [];
+  for (let parent = data.thread.parent; parent?.$type === THREAD_VIEW; parent = parent.parent) {
+	ancestors.unshift(await normalize({ post: parent.post }));
+  }
+  return { ancestors, replies: await threadReplies(data.thread) };
+}
+
+function health() {
+  return {
+	session: agent.hasSession ? { handle: agent.session.handle } : null,
+	rateLimit: {
+	  ...rateLimit,
+	  resetAt: rateLimit.resetAt && new Date(rateLimit.resetAt).toISOString(),
+	},
+  };
+}
+
+module.exports = {
+  name: 'bluesky',
+  label: 'Bluesky',
+  icon: '🦋',
+  description: 'Bluesky is a decentralized social network focused on a new approach to social media.',
+  homepage: 'https://bsky.social/about',
+  curated: true,
+  fetch: fetchPosts,
+  normalize,
+  thread,
+  health,
+  getAuthors,
+};
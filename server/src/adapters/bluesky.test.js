@@ -0,0 +1,119 @@
+const { normalize } = require('./bluesky');
+
+const DID = 'did:plc:author';
+
+// A feed item as the AppView returns it. Facets are given, so normalizing
+// doesn't need to resolve mentions over the network.
+function item({ embed, recordEmbed, labels = [], authorLabels = [], selfLabels = [] } = {}) {
+  return {
+	post: {
+	  uri: `at://${DID}/app.bsky.feed.post/3lmedia`,
+	  author: { did: DID, handle: 'author.bsky.social', labels: authorLabels },
+	  record: {
+		text: 'Look at this',
+		facets: [],
+		embed: recordEmbed,
+		...(selfLabels.length && {
+		  labels: { values: selfLabels.map((val) => ({ val })) },
+		}),
+	  },
+	  embed,
+	  labels,
+	  indexedAt: '2026-03-01T00:00:00.000Z',
+	},
+  };
+}
+
+const label = (val) => ({ val, src: 'did:plc:labeler' });
+
+describe('normalize media', () => {
+  test('reads hydrated images with their alt text and size', async () => {
+	const post = await normalize(
+	  item({
+		embed: {
+		  $type: 'app.bsky.embed.images#view',
+		  images: [
+			{
+			  fullsize: 'https://cdn.bsky.app/full.jpg',
+			  thumb: 'https://cdn.bsky.app/thumb.jpg',
+			  alt: '',
+			  aspectRatio: { width: 1200, height: 800 },
+			},
+		  ],
+		},
+	  })
+	);
+	expect(post.media).toEqual([
+	  {
+		type: 'image',
+		url: 'https://cdn.bsky.app/full.jpg',
+		previewUrl: 'https://cdn.bsky.app/thumb.jpg',
+		width: 1200,
+		height: 800,
+		blurhash: null,
+		alt: null,
+	  },
+	]);
+  });
+
+  test('reads videos next to a quoted post', async () => {
+	const post = await normalize(
+	  item({
+		embed: {
+		  $type: 'app.bsky.embed.recordWithMedia#view',
+		  record: { record: {} },
+		  media: {
+			$type: 'app.bsky.embed.video#view',
+			playlist: 'https://video.bsky.app/playlist.m3u8',
+			thumbnail: 'https://video.bsky.app/thumbnail.jpg',
+			alt: 'A talk',
+		  },
+		},
+	  })
+	);
+	expect(post.media).toEqual([
+	  expect.objectContaining({
+		type: 'video',
+		url: 'https://video.bsky.app/playlist.m3u8',
+		alt: 'A talk',
+	  }),
+	]);
+  });
+
+  test('points bare records at the CDN by blob', async () => {
+	const post = await normalize(
+	  item({
+		recordEmbed: {
+		  $type: 'app.bsky.embed.images',
+		  images: [{ image: { ref: { $link: 'bafyimage' } }, alt: 'Chart' }],
+		},
+	  })
+	);
+	expect(post.media).toEqual([
+	  expect.objectContaining({
+		type: 'image',
+		url: `https://cdn.bsky.app/img/feed_fullsize/plain/${DID}/bafyimage@jpeg`,
+		previewUrl: `https://cdn.bsky.app/img/feed_thumbnail/plain/${DID}/bafyimage@jpeg`,
+		alt: 'Chart',
+	  }),
+	]);
+  });
+});
+
+describe('normalize sensitive', () => {
+  test.each([
+	['a label on the post', { labels: [label('porn')] }],
+	["a label on the author's account", { authorLabels: [label('nudity')] }],
+	["the author's own label", { selfLabels: ['graphic-media'] }],
+  ])('marks media sensitive for %s', async (description, fields) => {
+	expect((await normalize(item(fields))).sensitive).toBe(true);
+  });
+
+  test('ignores labels that say nothing about the media', async () => {
+	const post = await normalize(
+	  item({ labels: [label('spam')], selfLabels: ['!no-unauthenticated'] })
+	);
+	expect(post.sensitive).toBe(false);
+	expect(post.labels).toEqual([{ value: 'spam', source: 'did:plc:labeler', count: 1 }]);
+  });
+});
@@ -0,0 +1,66 @@
+// server/src/adapters/errors.js
+//
+// Why a network's fetch failed, for the per-network status in /api/feed and
+// /api/health. Adapters throw upstreamError when they know the reason (a
+// spent rate limit, missing credentials); other errors are classified from
+// what they look like. Statuses:
+//
+//   rate_limited   the network asked us to slow down; see retryAfter
+//   auth_error     credentials are missing or were rejected
+//   timeout        the network didn't answer in time
+//   error          anything else
+
+const UPSTREAM_STATUSES = ['rate_limited', 'auth_error', 'timeout', 'error'];
+
+// `retryAfter` is when to try again, in ms since the epoch, if known.
+function upstreamError(status, message, { retryAfter = null } = {}) {
+  const error = new Error(message);
+  error.upstreamStatus = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// When an HTTP response says to retry: Retry-After (seconds or a date), or
+// the X-RateLimit-Reset timestamp Mastodon sends. Null if neither is usable.
+function retryAfterFrom(headers) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+	const at = /^\d+$/.test(retryAfter)
+	  ? Date.now() + parseInt(retryAfter) * 1000
+	  : Date.parse(retryAfter);
+	if (!Number.isNaN(at)) {
+	  return at;
+	}
+  }
+  const reset = Date.parse(headers.get('x-ratelimit-reset') || '');
+  return Number.isNaN(reset) ? null : reset;
+}
+
+function classify(error) {
+  if (UPSTREAM_STATUSES.includes(error.upstreamStatus)) {
+	return error.upstreamStatus;
+  }
+  const httpStatus = error.status || parseInt((/status: (\d{3})/.exec(error.message) || [])[1]);
+  if (httpStatus === 429) {
+	return 'rate_limited';
+  }
+  if (httpStatus === 401 || httpStatus === 403) {
+	return 'auth_error';
+  }
+  if (error.type === 'request-timeout' || /timed? ?out/i.test(error.message)) {
+	return 'timeout';
+  }
+  return 'error';
+}
+
+// { status, message, retryAfter } for a failed fetch; retryAfter is an ISO
+// timestamp or null.
+function describeFailure(error) {
+  return {
+	status: classify(error),
+	message: error.message,
+	retryAfter: error.retryAfter ? new Date(error.retryAfter).toISOString() : null,
+  };
+}
+
+module.exports = { upstreamError, retryAfterFrom, describeFailure };
@@ -0,0 +1,52 @@
+const { Headers } = require('node-fetch');
+const { upstreamError, retryAfterFrom, describeFailure } = require('./errors');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+beforeAll(() => jest.spyOn(Date, 'now').mockReturnValue(NOW));
+afterAll(() => jest.restoreAllMocks());
+
+describe('retryAfterFrom', () => {
+  test('reads Retry-After in seconds or as a date', () => {
+	expect(retryAfterFrom(new Headers({ 'Retry-After': '120' }))).toBe(NOW + 120 * 1000);
+	expect(retryAfterFrom(new Headers({ 'Retry-After': 'Sun, 01 Mar 2026 12:05:00 GMT' }))).toBe(
+	  NOW + 5 * 60 * 1000
+	);
+  });
+
+  test("falls back to Mastodon's X-RateLimit-Reset", () => {
+	const headers = new Headers({
+	  'Retry-After': 'soon',
+	  'X-RateLimit-Reset': '2026-03-01T12:15:00.000Z',
+	});
+	expect(retryAfterFrom(headers)).toBe(NOW + 15 * 60 * 1000);
+  });
+
+  test('is null when neither header is usable', () => {
+	expect(retryAfterFrom(new Headers())).toBeNull();
+	expect(retryAfterFrom(new Headers({ 'X-RateLimit-Reset': 'later' }))).toBeNull();
+  });
+});
+
+describe('describeFailure', () => {
+  test('keeps the status and retry time adapters give', () => {
+	const error = upstreamError('rate_limited', 'Rate limit reached', { retryAfter: NOW + 1000 });
+	expect(describeFailure(error)).toEqual({
+	  status: 'rate_limited',
+	  message: 'Rate limit reached',
+	  retryAfter: '2026-03-01T12:00:01.000Z',
+	});
+  });
+
+  test.each([
+	[new Error('HTTP error! status: 429'), 'rate_limited'],
+	[new Error('HTTP error! status: 401'), 'auth_error'],
+	[Object.assign(new Error('Forbidden'), { status: 403 }), 'auth_error'],
+	[Object.assign(new Error('network timeout at: x'), { type: 'request-timeout' }), 'timeout'],
+	[new Error('Connection timed out'), 'timeout'],
+	[new Error('HTTP error! status: 500'), 'error'],
+	[upstreamError('made_up', 'Odd status'), 'error'],
+  ])('classifies %p as %s', (error, status) => {
+	expect(describeFailure(error)).toMatchObject({ status, retryAfter: null });
+  });
+});
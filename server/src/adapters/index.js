@@ -0,0 +1,150 @@
+// server/src/adapters/index.js
+//
+// Registry of source adapters. Every network is an adapter exposing the same
+// interface, so the feed route and the client can treat them uniformly:
+//
+//   name        unique key, also used as the `source` of each post
+//   label/icon  display metadata sent to the client
+//   fetch(ctx)        -> { items, cursor, warnings }: raw items for the given
+//                        context and an opaque cursor for the next older page
+//                        (null when there is none); pass it back as
+//                        `ctx.cursor`. `warnings` optionally lists parts of the
+//                        fetch that failed (one instance of several, say),
+//                        which makes the result partial. Failures are thrown,
+//                        preferably as upstreamError (see errors.js)
+//   normalize(raw, ctx) -> a post in the shared schema (see ../posts.js)
+//   health()          -> adapter specific status (rate limits, caches, ...)
+//   enrich(posts, ctx) optional; fills in details that need a second lookup
+//                      for the whole batch (e.g. author profiles) and
+//                      returns the posts
+//   thread(post)      optional; -> { ancestors, replies }: the posts a
+//                      stored post replies to, oldest first, and the replies
+//                      to it as [{ post, replies }], fetched live (see
+//                      ../threads.js)
+//   curated     true when the network already selects posts for the topic
+//               (e.g. a Bluesky feed generator); other adapters' posts are
+//               kept only if they cite one of the topic's domains
+
+const logger = require('../logger');
+const { getTopics } = require('../topics');
+const { getRegistry } = require('../registry');
+const { classifyPost, citesTopic } = require('../sources');
+const { describeFailure } = require('./errors');
+
+const adapters = new Map();
+// Adapter name -> topic slug -> the last fetch for that topic.
+const lastRuns = new Map();
+
+const REQUIRED_FIELDS = ['name', 'fetch', 'normalize', 'health'];
+
+function registerAdapter(adapter) {
+  const missing = REQUIRED_FIELDS.filter((field) => !adapter[field]);
+  if (missing.length > 0) {
+	throw new Error(`Source adapter is missing: ${missing.join(', ')}`);
+  }
+  if (adapters.has(adapter.name)) {
+	throw new Error(`Source adapter "${adapter.name}" is already registered`);
+  }
+
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getAdapters() {
+  return Array.from(adapters.values());
+}
+
+function getAdapter(name) {
+  return adapters.get(name);
+}
+
+function describeAdapter(adapter) {
+  return {
+	name: adapter.name,
+	label: adapter.label || adapter.name,
+	icon: adapter.icon || '',
+	description: adapter.description || '',
+	homepage: adapter.homepage || null,
+  };
+}
+
+function recordRun(adapter, topic, run) {
+  if (!lastRuns.has(adapter.name)) {
+	lastRuns.set(adapter.name, new Map());
+  }
+  lastRuns.get(adapter.name).set(topic.slug, { ...run, finishedAt: new Date().toISOString() });
+}
+
+// Fetch and normalize posts from one adapter. Failures are logged and
+// recorded for health reporting so one network can't take down the feed;
+// the cursor is handed back unchanged so a later attempt can retry the page.
+async function collectPosts(adapter, context) {
+  const startedAt = Date.now();
+
+  try {
+	const { items, cursor, warnings = [] } = await adapter.fetch(context);
+	const normalized = await Promise.all(
+	  items.map(async (raw) =>
+		classifyPost(await adapter.normalize(raw, context), getTopics(), getRegistry())
+	  )
+	);
+	const kept = adapter.curated
+	  ? normalized
+	  : normalized.filter((post) => citesTopic(post, context.topic));
+	const posts = adapter.enrich ? await adapter.enrich(kept, context) : kept;
+
+	recordRun(adapter, context.topic, {
+	  status: warnings.length > 0 ? 'partial' : 'ok',
+	  message: warnings.length > 0 ? warnings.join('; ') : null,
+	  retryAfter: null,
+	  count: posts.length,
+	  durationMs: Date.now() - startedAt,
+	});
+	return { posts, cursor };
+  } catch (error) {
+	logger.error(`Error fetching ${adapter.label || adapter.name} posts: ${error.message}`);
+	recordRun(adapter, context.topic, {
+	  ...describeFailure(error),
+	  count: 0,
+	  durationMs: Date.now() - startedAt,
+	});
+	return { posts: [], cursor: context.cursor || null };
+  }
+}
+
+// How the last fetch of a topic from a network went: { status, message,
+// retryAfter, count, durationMs, finishedAt }, with status `ok`, `partial`
+// or one of the failures in errors.js. Null if it hasn't been fetched yet.
+function getNetworkStatus(name, topic) {
+  return lastRuns.get(name)?.get(topic) || null;
+}
+
+function getHealth() {
+  return getAdapters().map((adapter) => {
+	const runs = lastRuns.get(adapter.name) || new Map();
+	const lastRun = Array.from(runs.values()).reduce(
+	  (latest, run) => (!latest || run.finishedAt > latest.finishedAt ? run : latest),
+	  null
+	);
+	return {
+	  ...describeAdapter(adapter),
+	  lastRun,
+	  topics: Object.fromEntries(runs),
+	  ...adapter.health(),
+	};
+  });
+}
+
+registerAdapter(require('./bluesky'));
+registerAdapter(require('./nostr'));
+registerAdapter(require('./mastodon'));
+
+module.exports = {
+  registerAdapter,
+  getAdapters,
+  getAdapter,
+  describeAdapter,
+  collectPosts,
+  getNetworkStatus,
+  getHealth,
+};
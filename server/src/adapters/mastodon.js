@@ -0,0 +1,390 @@
+// server/src/adapters/mastodon.js
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const logger = require('../logger');
+const { createPost } = require('../posts');
+const { htmlToText } = require('../html');
+const { fetchJson } = require('../previews');
+const { upstreamError, retryAfterFrom, describeFailure } = require('./errors');
+
+// Instances to search, from config/mastodon.json or the file named by
+// MASTODON_INSTANCES_CONFIG. Tokens are never stored in the config: each
+// instance names the environment variable holding its access token, if any.
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/mastodon.json');
+
+function loadInstances(configPath = process.env.MASTODON_INSTANCES_CONFIG || DEFAULT_CONFIG_PATH) {
+  const { instances } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return instances.map((instance) => ({
+	url: instance.url.replace(/\/+$/, ''),
+	tokenEnv: instance.tokenEnv || null,
+	token: instance.tokenEnv ? process.env[instance.tokenEnv] || null : null,
+  }));
+}
+
+const instances = loadInstances();
+const instanceStatus = new Map();
+
+// Signed-out status search only finds statuses by their URL, so instances
+// without a token are skipped and reported as auth errors.
+const searchable = instances.filter((instance) => instance.token);
+for (const instance of instances.filter((candidate) => !candidate.token)) {
+  const error = instance.tokenEnv
+	? `${instance.tokenEnv} is not set`
+	: 'No access token configured';
+  logger.warn(`Skipping Mastodon instance ${instance.url}: ${error}`);
+  instanceStatus.set(instance.url, { ok: false, status: 'auth_error', error });
+}
+
+const POSTS_PER_PAGE = 40;
+const POLL_PAGES = 1;
+const BACKFILL_PAGES = 3;
+
+// Search queries for a topic: the configured ones, or one quoted query per
+// cited domain (`*.gov` becomes ".gov"), since Mastodon search has no OR.
+function buildQueries(topic) {
+  if (topic.queries.mastodon) {
+	return [].concat(topic.queries.mastodon);
+  }
+  return topic.domains.map(
+	(domain) => `"${domain.startsWith('*.') ? domain.slice(1) : domain}"`
+  );
+}
+
+// GET an API path on a configured instance, with its token if it has one.
+async function instanceGet(instance, apiPath, params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`${instance.url}${apiPath}?${query}`, {
+	method: 'GET',
+	headers: instance.token ? { Authorization: `Bearer ${instance.token}` } : {},
+	timeout: 15000,
+  });
+
+  if (response.status === 429) {
+	throw upstreamError('rate_limited', 'Rate limit reached', {
+	  retryAfter: retryAfterFrom(response.headers),
+	});
+  }
+  if (response.status === 401 || response.status === 403) {
+	throw upstreamError('auth_error', `Request refused (status ${response.status})`);
+  }
+  if (!response.ok) {
+	throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
+
+async function searchStatuses(instance, query, maxId) {
+  const data = await instanceGet(instance, '/api/v2/search', {
+	q: query,
+	type: 'statuses',
+	limit: POSTS_PER_PAGE.toString(),
+	...(maxId && { max_id: maxId }),
+  });
+  return (data && data.statuses) || [];
+}
+
+// Page through one query on one instance. Returns the statuses and the
+// max_id to continue from, or null once the results run out.
+async function searchPages(instance, query, maxId, pages) {
+  let statuses = [];
+  for (let page = 0; page < pages; page++) {
+	const batch = await searchStatuses(instance, query, maxId);
+	statuses = statuses.concat(batch);
+	if (batch.length < POSTS_PER_PAGE) {
+	  return { statuses, maxId: null };
+	}
+	maxId = batch[batch.length - 1].id;
+  }
+  return { statuses, maxId };
+}
+
+// Cursors written before multi-instance search were a bare status id; those
+// restart from the newest results.
+function parsePositions(cursor) {
+  try {
+	const positions = JSON.parse(cursor);
+	return positions && typeof positions === 'object' ? positions : null;
+  } catch (error) {
+	return null;
+  }
+}
+
+// Searches every instance for every query of the topic. The cursor is a JSON
+// map from "<instance> <query>" to the max_id to page below; searches that
+// ran out drop out of it, and it is null once all have.
+//
+// An instance that fails is logged, skipped and reported as a warning,
+// keeping its position in the cursor; the fetch only fails if every instance
+// did, with their failure if they all failed the same way. Without any
+// instance to search it fails as an auth error.
+async function fetchPosts({ topic, cursor }) {
+  logger.info(`Fetching Mastodon posts for topic: ${topic.slug}`);
+  if (searchable.length === 0) {
+	throw upstreamError('auth_error', 'No Mastodon instance has an access token');
+  }
+
+  const queries = buildQueries(topic);
+  const positions = cursor ? parsePositions(cursor) : null;
+  const nextPositions = {};
+  const seen = new Map();
+  const failures = [];
+
+  for (const instance of searchable) {
+	let searched = false;
+	try {
+	  for (const query of queries) {
+		const key = `${instance.url} ${query}`;
+		if (positions && !positions[key]) {
+		  continue;
+		}
+
+		searched = true;
+		const { statuses, maxId } = await searchPages(
+		  instance,
+		  query,
+		  positions ? positions[key] : null,
+		  positions ? BACKFILL_PAGES : POLL_PAGES
+		);
+		if (maxId) {
+		  nextPositions[key] = maxId;
+		}
+
+		// The same status can be found on several instances; its ActivityPub
+		// uri is the same everywhere.
+		for (const status of statuses) {
+		  if (!seen.has(status.uri)) {
+			seen.set(status.uri, status);
+		  }
+		}
+	  }
+	  if (searched) {
+		instanceStatus.set(instance.url, { ok: true, checkedAt: new Date().toISOString() });
+	  }
+	} catch (error) {
+	  failures.push({ url: instance.url, error });
+	  logger.warn(`Mastodon instance ${instance.url} failed: ${error.message}`);
+	  instanceStatus.set(instance.url, {
+		ok: false,
+		status: describeFailure(error).status,
+		error: error.message,
+		checkedAt: new Date().toISOString(),
+	  });
+	  for (const query of queries) {
+		const key = `${instance.url} ${query}`;
+		if (!positions || positions[key]) {
+		  nextPositions[key] = positions ? positions[key] : null;
+		}
+	  }
+	}
+  }
+
+  if (failures.length === searchable.length) {
+	const statuses = new Set(failures.map(({ error }) => describeFailure(error).status));
+	const retryAfter = Math.min(...failures.map(({ error }) => error.retryAfter || Infinity));
+	throw upstreamError(
+	  statuses.size === 1 ? Array.from(statuses)[0] : 'error',
+	  'All Mastodon instances failed',
+	  { retryAfter: Number.isFinite(retryAfter) ? retryAfter : null }
+	);
+  }
+
+  const items = Array.from(seen.values());
+  logger.info(`Fetched ${items.length} Mastodon posts from ${searchable.length} instances`);
+
+  const remaining = Object.entries(nextPositions).filter(([, maxId]) => maxId);
+  return {
+	items,
+	cursor: remaining.length > 0 ? JSON.stringify(Object.fromEntries(remaining)) : null,
+	warnings: failures.map(({ url, error }) => `${url}: ${error.message}`),
+  };
+}
+
+// Links in status HTML, skipping the anchors Mastodon generates for
+// mentions and hashtags.
+function extractStatusLinks(content) {
+  const links = [];
+  const anchorPattern = /<a\s[^>]*href="([^"]+)"[^>]*>/gi;
+  let match;
+  while ((match = anchorPattern.exec(content)) !== null) {
+	if (!/class="[^"]*\b(mention|hashtag)\b/i.test(match[0])) {
+	  links.push(match[1].replace(/&amp;/g, '&'));
+	}
+  }
+  return links;
+}
+
+// Attachments in the shared media shape. Remote media the instance hasn't
+// cached has no `url`, only the `remote_url` on its home server; `unknown`
+// attachments are files the instance couldn't process.
+function statusMedia(post) {
+  return (post.media_attachments || [])
+	.filter((attachment) => attachment.type !== 'unknown')
+	.map((attachment) => ({
+	  type: attachment.type,
+	  url: attachment.url || attachment.remote_url,
+	  previewUrl: attachment.preview_url,
+	  width: attachment.meta?.original?.width,
+	  height: attachment.meta?.original?.height,
+	  blurhash: attachment.blurhash,
+	  alt: attachment.description,
+	}));
+}
+
+// The status a quote post quotes, once its author has accepted the quote
+// (Mastodon 4.4+). Quotes of quotes only carry the inner status's id.
+function quoteOf(post) {
+  const quoted = post.quote?.state === 'accepted' ? post.quote.quoted_status : null;
+  if (!quoted) {
+	return null;
+  }
+  return {
+	id: quoted.uri,
+	network: 'mastodon',
+	author: {
+	  id: quoted.account.id,
+	  name: quoted.account.display_name || quoted.account.username,
+	  handle: quoted.account.acct,
+	  avatar: quoted.account.avatar,
+	  url: quoted.account.url,
+	},
+	text: htmlToText(quoted.content),
+	createdAt: quoted.created_at,
+	permalink: quoted.url,
+  };
+}
+
+function normalize(post) {
+  return createPost({
+	id: post.uri,
+	network: 'mastodon',
+	author: {
+	  id: post.account.id,
+	  name: post.account.display_name || post.account.username,
+	  handle: post.account.acct,
+	  avatar: post.account.avatar,
+	  url: post.account.url,
+	},
+	text: htmlToText(post.content),
+	html: post.content,
+	links: extractStatusLinks(post.content),
+	card: post.card
+	  ? {
+		  url: post.card.url,
+		  title: post.card.title,
+		  description: post.card.description,
+		  image: post.card.image,
+		}
+	  : null,
+	createdAt: post.created_at,
+	permalink: post.url,
+	media: statusMedia(post),
+	sensitive: post.sensitive,
+	contentWarning: post.spoiler_text,
+	engagement: {
+	  likes: post.favourites_count,
+	  reposts: post.reblogs_count,
+	  replies: post.replies_count,
+	  quotes: post.quotes_count,
+	},
+	quote: quoteOf(post),
+	raw: post,
+  });
+}
+
+// A status's home instance and its id there, read from a permalink like
+// https://mastodon.social/@user/110000000000000000.
+function originOf(post) {
+  const match = /^(https:\/\/[^/]+)\/@[^/]+\/(\d+)$/.exec(post.permalink || '');
+  return match ? { url: match[1], id: match[2] } : null;
+}
+
+// The reply context of a status, asked of its home instance first (which
+// has every reply) and then of the configured instances with a token, which
+// have to look the status up by its ActivityPub uri. Returns the context and the
+// status's id on the instance that answered.
+async function fetchContext(post) {
+  const origin = originOf(post);
+  if (origin) {
+	try {
+	  const context = await fetchJson(`${origin.url}/api/v1/statuses/${origin.id}/context`);
+	  return { context, id: origin.id };
+	} catch (error) {
+	  logger.warn(`Mastodon thread lookup on ${origin.url} failed: ${error.message}`);
+	}
+  }
+
+  const failures = [];
+  for (const instance of searchable) {
+	try {
+	  const data = await instanceGet(instance, '/api/v2/search', {
+		q: post.id,
+		type: 'statuses',
+		resolve: 'true',
+		limit: '1',
+	  });
+	  const status = data?.statuses?.find((candidate) => candidate.uri === post.id);
+	  if (status) {
+		const context = await instanceGet(instance, `/api/v1/statuses/${status.id}/context`);
+		return { context, id: status.id };
+	  }
+	} catch (error) {
+	  failures.push(error);
+	  logger.warn(`Mastodon thread lookup on ${instance.url} failed: ${error.message}`);
+	}
+  }
+
+  if (failures.length > 0 && failures.length === searchable.length) {
+	const { status } = describeFailure(failures[0]);
+	throw upstreamError(status, 'No Mastodon instance could load the thread');
+  }
+  return null;
+}
+
+// The conversation around a status: the statuses it replies to, oldest
+// first, and the replies to it nested under the status they answer.
+async function thread(post) {
+  const found = await fetchContext(post);
+  if (!found) {
+	return { ancestors: [], replies: [] };
+  }
+
+  const { context, id } = found;
+  const nodes = new Map([[id, { replies: [] }]]);
+  for (const status of context.descendants || []) {
+	const parent = nodes.get(status.in_reply_to_id);
+	if (parent) {
+	  const node = { post: normalize(status), replies: [] };
+	  nodes.set(status.id, node);
+	  parent.replies.push(node);
+	}
+  }
+
+  return {
+	ancestors: (context.ancestors || []).map(normalize),
+	replies: nodes.get(id).replies,
+  };
+}
+
+function health() {
+  return {
+	instances: instances.map((instance) => ({
+	  url: instance.url,
+	  authenticated: Boolean(instance.token),
+	  ...instanceStatus.get(instance.url),
+	})),
+  };
+}
+
+module.exports = {
+  name: 'mastodon',
+  label: 'Mastodon',
+  icon: '🐘',
+  description: 'Mastodon is a free, open-source social network server.',
+  homepage: 'https://joinmastodon.org',
+  fetch: fetchPosts,
+  normalize,
+  thread,
+  health,
+};
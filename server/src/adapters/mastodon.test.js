@@ -0,0 +1,150 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const TOPIC = { slug: 'econ', domains: ['bls.gov'], queries: {} };
+
+const status = (uri, id = uri) => ({ id, uri, content: `<p>${uri}</p>` });
+
+// Each instance is a path on one local server. `down` answers every search
+// with a 500; `unset` has no token and must never be asked.
+const results = {
+  '/one': [status('https://a.example/1', '11'), status('https://b.example/2', '12')],
+  '/two': [status('https://b.example/2', '21'), status('https://c.example/3', '22')],
+};
+const requests = [];
+let server;
+let configDir;
+let mastodon;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+	const [instance] = req.url.match(/^\/[a-z]+/);
+	requests.push({ instance, authorization: req.headers.authorization });
+	res.setHeader('Content-Type', 'application/json');
+	if (!results[instance]) {
+	  res.statusCode = 500;
+	  return res.end('{}');
+	}
+	res.end(JSON.stringify({ statuses: results[instance] }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mastodon-'));
+  const config = path.join(configDir, 'mastodon.json');
+  fs.writeFileSync(
+	config,
+	JSON.stringify({
+	  instances: ['one', 'two', 'down', 'unset'].map((name) => ({
+		url: `${base}/${name}`,
+		tokenEnv: `TEST_MASTODON_${name.toUpperCase()}`,
+	  })),
+	})
+  );
+  process.env.MASTODON_INSTANCES_CONFIG = config;
+  ['ONE', 'TWO', 'DOWN'].forEach((name) => {
+	process.env[`TEST_MASTODON_${name}`] = `token-${name.toLowerCase()}`;
+  });
+  mastodon = require('./mastodon');
+});
+
+afterAll(() => {
+  delete process.env.MASTODON_INSTANCES_CONFIG;
+  fs.rmSync(configDir, { recursive: true });
+  server.close();
+});
+
+describe('fetch', () => {
+  test('keeps one copy of a status found on several instances', async () => {
+	const { items } = await mastodon.fetch({ topic: TOPIC, cursor: null });
+	expect(items.map((item) => item.uri)).toEqual([
+	  'https://a.example/1',
+	  'https://b.example/2',
+	  'https://c.example/3',
+	]);
+  });
+
+  test('reports a failing instance without losing the others', async () => {
+	const { items, cursor, warnings } = await mastodon.fetch({ topic: TOPIC, cursor: null });
+	expect(items).toHaveLength(3);
+	expect(warnings).toEqual([expect.stringMatching(/\/down: HTTP error! status: 500$/)]);
+	// The failed instance keeps no position, so it polls again next time.
+	expect(cursor).toBeNull();
+  });
+
+  test('only searches instances with a token, sending it along', () => {
+	expect(requests.some(({ instance }) => instance === '/unset')).toBe(false);
+	expect(requests.find(({ instance }) => instance === '/one').authorization).toBe(
+	  'Bearer token-one'
+	);
+  });
+});
+
+describe('health', () => {
+  test('reports instances without a token as auth errors', () => {
+	const byPath = Object.fromEntries(
+	  mastodon.health().instances.map((instance) => [new URL(instance.url).pathname, instance])
+	);
+	expect(byPath['/unset']).toMatchObject({
+	  authenticated: false,
+	  ok: false,
+	  status: 'auth_error',
+	  error: 'TEST_MASTODON_UNSET is not set',
+	});
+	expect(byPath['/down']).toMatchObject({ ok: false, status: 'error' });
+	expect(byPath['/one']).toMatchObject({ authenticated: true, ok: true });
+  });
+});
+
+describe('normalize', () => {
+  const account = { id: '1', username: 'someone', acct: 'someone@example.social' };
+  const statusWith = (fields) => ({
+	...status('https://example.social/users/someone/statuses/9'),
+	account,
+	created_at: '2026-03-01T00:00:00.000Z',
+	media_attachments: [],
+	...fields,
+  });
+
+  test('reads attachments, falling back to the remote URL and dropping unknown files', () => {
+	const { media } = mastodon.normalize(
+	  statusWith({
+		media_attachments: [
+		  {
+			type: 'image',
+			url: 'https://files.example.social/a.png',
+			preview_url: 'https://files.example.social/a-small.png',
+			description: 'A chart',
+			blurhash: 'UBL_:rOpGG-oBUNG',
+			meta: { original: { width: 640, height: 480 } },
+		  },
+		  { type: 'gifv', url: null, remote_url: 'https://home.example/loop.mp4' },
+		  { type: 'unknown', url: null, remote_url: 'https://home.example/file.bin' },
+		],
+	  })
+	);
+	expect(media).toEqual([
+	  {
+		type: 'image',
+		url: 'https://files.example.social/a.png',
+		previewUrl: 'https://files.example.social/a-small.png',
+		width: 640,
+		height: 480,
+		blurhash: 'UBL_:rOpGG-oBUNG',
+		alt: 'A chart',
+	  },
+	  expect.objectContaining({ type: 'gifv', url: 'https://home.example/loop.mp4', alt: null }),
+	]);
+  });
+
+  test('keeps the sensitive flag and spoiler text', () => {
+	const warned = mastodon.normalize(statusWith({ sensitive: true, spoiler_text: 'Gore' }));
+	expect(warned).toMatchObject({ sensitive: true, contentWarning: 'Gore' });
+	expect(mastodon.normalize(statusWith({ sensitive: false, spoiler_text: '' }))).toMatchObject({
+	  sensitive: false,
+	  contentWarning: null,
+	});
+  });
+});
@@ -0,0 +1,386 @@
+// server/src/adapters/nostr.js
+
+const { nip19 } = require('nostr-tools');
+const logger = require('../logger');
+const { createPost, createQuote, extractUrls, mediaType } = require('../posts');
+const { linkifyText, urlRule, hashtagRule } = require('../html');
+const { isCandidate } = require('../sources');
+const { queryRelays, getRelayHealth } = require('../relays');
+const { getProfiles } = require('../profiles');
+
+const MAX_LOOKBACK_SECONDS = 14 * 24 * 60 * 60;
+const OVERLAP_SECONDS = 60;
+const BACKFILL_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_BACKFILL_SECONDS = 90 * 24 * 60 * 60;
+const SEARCH_LIMIT = 200;
+// Relays without NIP-50 can only be asked for recent notes in general; cap
+// how many so they don't stream the whole window.
+const FALLBACK_LIMIT = 500;
+const ENGAGEMENT_LIMIT = 2000;
+const ENGAGEMENT_TIMEOUT_MS = 5000;
+const THREAD_LIMIT = 500;
+const THREAD_DEPTH = 6;
+
+// Start of the subscription window: just before the newest stored post, but
+// never more than two weeks back.
+function windowStart(since) {
+  const earliest = Math.floor(Date.now() / 1000) - MAX_LOOKBACK_SECONDS;
+  if (!since) {
+	return earliest;
+  }
+  return Math.max(earliest, Math.floor(new Date(since).getTime() / 1000) - OVERLAP_SECONDS);
+}
+
+// Subscription window for a request. Polling covers everything since the
+// newest stored post; backfilling (with a cursor, the unix time to page
+// below) covers one day further back at a time, up to 90 days.
+function subscriptionWindow({ since, cursor }) {
+  if (!cursor) {
+	return { since: windowStart(since) };
+  }
+  const until = parseInt(cursor);
+  return { since: until - BACKFILL_WINDOW_SECONDS, until };
+}
+
+// NIP-50 search terms for a topic: the configured ones, or its domains.
+function buildSearches(topic) {
+  if (topic.queries.nostr) {
+	return [].concat(topic.queries.nostr);
+  }
+  return topic.domains.map((domain) => (domain.startsWith('*.') ? domain.slice(1) : domain));
+}
+
+async function fetchPosts({ topic, since, cursor }) {
+  logger.info(`Fetching Nostr posts for topic: ${topic.slug}`);
+
+  const window = subscriptionWindow({ since, cursor });
+  const searches = buildSearches(topic);
+
+  const events = await queryRelays(
+	(relay) =>
+	  relay.search
+		? searches.map((search) => ({ kinds: [1], search, ...window, limit: SEARCH_LIMIT }))
+		: [{ kinds: [1], ...window, limit: FALLBACK_LIMIT }],
+	// Search relays match words, not URLs, so everything is still checked.
+	{ accept: (event) => isCandidate(extractUrls(event.content), topic) }
+  );
+
+  logger.info(`Filtered ${events.length} Nostr events`);
+
+  const oldestAllowed = Math.floor(Date.now() / 1000) - MAX_BACKFILL_SECONDS;
+  return {
+	items: events,
+	cursor: window.since > oldestAllowed ? String(window.since) : null,
+  };
+}
+
+// nostr: URIs (NIP-21) for profiles and notes open on njump.me; hashtags
+// search nostr.band, as Nostr has no canonical hashtag page.
+const contentRules = [
+  urlRule,
+  {
+	pattern: /nostr:(npub|nprofile|note|nevent|naddr)1[02-9ac-hj-np-z]+/,
+	className: 'mention',
+	href: (uri) => `https://njump.me/${uri.slice('nostr:'.length)}`,
+	label: (uri) => {
+	  const entity = uri.slice('nostr:'.length);
+	  const text = `${entity.slice(0, 12)}…`;
+	  return /^n(pub|profile)/.test(entity) ? `@${text}` : text;
+	},
+  },
+  hashtagRule((tag) => `https://nostr.band/?q=${encodeURIComponent(`#${tag}`)}`),
+];
+
+// NIP-92 imeta tags describing URLs in the content, by URL: each tag is a
+// list of "key value" entries such as "m image/jpeg" or "dim 1200x800".
+function imetaByUrl(event) {
+  const described = new Map();
+  for (const tag of event.tags.filter((candidate) => candidate[0] === 'imeta')) {
+	const fields = {};
+	for (const entry of tag.slice(1)) {
+	  const space = entry.indexOf(' ');
+	  if (space > 0) {
+		fields[entry.slice(0, space)] = entry.slice(space + 1);
+	  }
+	}
+	if (fields.url) {
+	  described.set(fields.url, fields);
+	}
+  }
+  return described;
+}
+
+// Media among the URLs of a note: those its imeta tags give a media type
+// for, or whose file extension is one.
+function noteMedia(event, urls) {
+  const described = imetaByUrl(event);
+  return urls
+	.map((url) => {
+	  const meta = described.get(url) || {};
+	  const type = mediaType(meta.m, url);
+	  if (!type) {
+		return null;
+	  }
+	  const [width, height] = (/^(\d+)x(\d+)$/.exec(meta.dim || '') || []).slice(1).map(Number);
+	  return {
+		type,
+		url,
+		previewUrl: meta.thumb,
+		width,
+		height,
+		blurhash: meta.blurhash,
+		alt: meta.alt,
+	  };
+	})
+	.filter(Boolean);
+}
+
+function normalize(event) {
+  const npub = nip19.npubEncode(event.pubkey);
+  const urls = extractUrls(event.content);
+  const media = noteMedia(event, urls);
+  const mediaUrls = new Set(media.map((item) => item.url));
+  // NIP-36: the tag's value, if any, is the reason.
+  const contentWarning = event.tags.find((tag) => tag[0] === 'content-warning');
+
+  return createPost({
+	id: event.id,
+	network: 'nostr',
+	author: {
+	  id: event.pubkey,
+	  name: `${npub.slice(0, 12)}...`,
+	  handle: npub,
+	  url: `https://njump.me/${npub}`,
+	},
+	text: event.content,
+	html: linkifyText(event.content, contentRules),
+	links: urls.filter((url) => !mediaUrls.has(url)),
+	createdAt: event.created_at * 1000,
+	permalink: `https://njump.me/${nip19.noteEncode(event.id)}`,
+	media,
+	sensitive: Boolean(contentWarning),
+	contentWarning: contentWarning?.[1],
+	raw: event,
+  });
+}
+
+// The note an event reacts to, reposts or replies to. Reactions and reposts
+// point at it with their last `e` tag; replies use NIP-10 markers, falling
+// back to the deprecated positional form. Mentions don't count.
+function targetOf(event) {
+  const references = event.tags.filter((tag) => tag[0] === 'e');
+  if (event.kind === 1 && references.some((tag) => tag[3])) {
+	const reply = references.find((tag) => tag[3] === 'reply') || references.find((tag) => tag[3] === 'root');
+	return reply ? reply[1] : null;
+  }
+  return references.length > 0 ? references[references.length - 1][1] : null;
+}
+
+// The note a note quotes (NIP-18): the id in its `q` tag.
+function quotedId(event) {
+  const tag = event.tags.find((candidate) => candidate[0] === 'q' && candidate[1]);
+  return tag ? tag[1] : null;
+}
+
+// NIP-56 report type of a kind 1984 event about a note: the third field of
+// its `e` tag.
+function reportType(event) {
+  const tag = event.tags.find((candidate) => candidate[0] === 'e' && candidate[2]);
+  return tag ? tag[2] : 'other';
+}
+
+// Likes (kind 7, except "-" dislikes), reposts (kind 6), replies and quotes
+// for a batch of notes, and the NIP-56 reports (kind 1984) filed against
+// them, by note id: { engagement, labels }. Relays only know what was sent
+// to them, so these are lower bounds.
+async function countReactions(ids) {
+  const events = await queryRelays(
+	() => [
+	  { kinds: [6, 7, 1984], '#e': ids, limit: ENGAGEMENT_LIMIT },
+	  { kinds: [1], '#e': ids, limit: ENGAGEMENT_LIMIT },
+	  { kinds: [1], '#q': ids, limit: ENGAGEMENT_LIMIT },
+	],
+	{ timeoutMs: ENGAGEMENT_TIMEOUT_MS }
+  );
+
+  const tallies = new Map(
+	ids.map((id) => [
+	  id,
+	  { likes: new Set(), reposts: new Set(), replies: 0, quotes: 0, reports: new Map() },
+	])
+  );
+  for (const event of events) {
+	const quoted = event.kind === 1 && tallies.get(quotedId(event));
+	if (quoted) {
+	  quoted.quotes++;
+	}
+
+	const tally = tallies.get(targetOf(event));
+	if (!tally) {
+	  continue;
+	}
+	if (event.kind === 7 && event.content !== '-') {
+	  tally.likes.add(event.pubkey);
+	} else if (event.kind === 6) {
+	  tally.reposts.add(event.pubkey);
+	} else if (event.kind === 1) {
+	  tally.replies++;
+	} else if (event.kind === 1984) {
+	  const type = reportType(event);
+	  tally.reports.set(type, (tally.reports.get(type) || new Set()).add(event.pubkey));
+	}
+  }
+
+  const reactions = new Map();
+  for (const [id, tally] of tallies) {
+	reactions.set(id, {
+	  engagement: {
+		likes: tally.likes.size,
+		reposts: tally.reposts.size,
+		replies: tally.replies,
+		quotes: tally.quotes,
+	  },
+	  labels: Array.from(tally.reports, ([type, reporters]) => ({
+		value: type,
+		source: 'nip56',
+		count: reporters.size,
+	  })),
+	});
+  }
+  return reactions;
+}
+
+// The notes quoted by a batch of events, by id.
+async function fetchQuoted(events) {
+  const ids = Array.from(new Set(events.map(quotedId).filter(Boolean)));
+  if (ids.length === 0) {
+	return new Map();
+  }
+  const notes = await queryRelays(() => [{ ids, kinds: [1] }], {
+	timeoutMs: ENGAGEMENT_TIMEOUT_MS,
+  });
+  return new Map(notes.map((note) => [note.id, note]));
+}
+
+function withProfile(author, profile) {
+  return profile
+	? {
+		...author,
+		name: profile.name || author.name,
+		avatar: profile.avatar || author.avatar,
+		handle: profile.nip05 || author.handle,
+		nip05: profile.nip05,
+	  }
+	: author;
+}
+
+// Replace the npub placeholders set by normalize() with the authors' kind 0
+// profiles, fill in engagement counts and reports, and attach the notes
+// quoted, each looked up once for the whole batch.
+async function enrich(posts) {
+  if (posts.length === 0) {
+	return posts;
+  }
+  const [reactions, quoted] = await Promise.all([
+	countReactions(posts.map((post) => post.id)).catch((error) => {
+	  logger.warn(`Could not count Nostr engagement: ${error.message}`);
+	  return new Map();
+	}),
+	fetchQuoted(posts.map((post) => post.raw)).catch((error) => {
+	  logger.warn(`Could not fetch quoted Nostr notes: ${error.message}`);
+	  return new Map();
+	}),
+  ]);
+  const profiles = await getProfiles([
+	...posts.map((post) => post.author.id),
+	...Array.from(quoted.values(), (note) => note.pubkey),
+  ]);
+
+  return posts.map((post) => {
+	const reaction = reactions.get(post.id);
+	const note = quoted.get(quotedId(post.raw));
+	const quote = note && normalize(note);
+	return {
+	  ...post,
+	  author: withProfile(post.author, profiles.get(post.author.id)),
+	  engagement: reaction ? reaction.engagement : post.engagement,
+	  labels: reaction ? reaction.labels : post.labels,
+	  quote: quote
+		? createQuote({ ...quote, author: withProfile(quote.author, profiles.get(note.pubkey)) })
+		: post.quote,
+	};
+  });
+}
+
+// The conversation around a note. NIP-10 replies tag their thread's root,
+// so one query for the root's replies finds the note's ancestors and its
+// replies alike; replies are nested under the note they answer. Ancestors
+// that no relay has are left out.
+async function thread(post) {
+  const event = post.raw;
+  const references = event.tags.filter((tag) => tag[0] === 'e');
+  const root =
+	(references.find((tag) => tag[3] === 'root') || references.find((tag) => !tag[3]) || [])[1] ||
+	event.id;
+
+  const events = await queryRelays(
+	() => [
+	  { ids: [root], kinds: [1] },
+	  { kinds: [1], '#e': Array.from(new Set([root, event.id])), limit: THREAD_LIMIT },
+	],
+	{ timeoutMs: ENGAGEMENT_TIMEOUT_MS }
+  );
+  const byId = new Map(events.map((note) => [note.id, note]));
+  byId.set(event.id, event);
+
+  const profiles = await getProfiles(Array.from(byId.values(), (note) => note.pubkey));
+  const toPost = (note) => {
+	const normalized = normalize(note);
+	return {
+	  ...normalized,
+	  author: withProfile(normalized.author, profiles.get(note.pubkey)),
+	};
+  };
+
+  const ancestors = [];
+  const seen = new Set([event.id]);
+  for (let id = targetOf(event); byId.has(id) && !seen.has(id); id = targetOf(byId.get(id))) {
+	seen.add(id);
+	ancestors.unshift(toPost(byId.get(id)));
+  }
+
+  const children = new Map();
+  for (const note of byId.values()) {
+	const parent = targetOf(note);
+	if (note.id !== event.id && parent) {
+	  children.set(parent, [...(children.get(parent) || []), note]);
+	}
+  }
+  const repliesTo = (id, depth) =>
+	depth === 0
+	  ? []
+	  : (children.get(id) || [])
+		  .sort((a, b) => a.created_at - b.created_at)
+		  .map((note) => ({ post: toPost(note), replies: repliesTo(note.id, depth - 1) }));
+
+  return { ancestors, replies: repliesTo(event.id, THREAD_DEPTH) };
+}
+
+function health() {
+  return {
+	relays: getRelayHealth(),
+  };
+}
+
+module.exports = {
+  name: 'nostr',
+  label: 'Nostr',
+  icon: '🕊️',
+  description: 'Nostr is a decentralized social network built on open protocols.',
+  homepage: 'https://nostr.org',
+  fetch: fetchPosts,
+  normalize,
+  enrich,
+  thread,
+  health,
+};
@@ -0,0 +1,64 @@
+const { normalize } = require('./nostr');
+
+function note(content, tags = []) {
+  return {
+	id: 'e'.repeat(64),
+	pubkey: 'a'.repeat(64),
+	kind: 1,
+	created_at: 1772323200,
+	tags,
+	content,
+	sig: '0'.repeat(128),
+  };
+}
+
+describe('normalize media', () => {
+  test('takes media described by imeta tags out of the links', () => {
+	const post = normalize(
+	  note('Chart https://files.example/chart https://bls.gov/news', [
+		[
+		  'imeta',
+		  'url https://files.example/chart',
+		  'm image/png',
+		  'dim 1200x800',
+		  'alt Payrolls by month',
+		  'blurhash LEHV6nWB2yk8',
+		],
+	  ])
+	);
+	expect(post.media).toEqual([
+	  {
+		type: 'image',
+		url: 'https://files.example/chart',
+		previewUrl: null,
+		width: 1200,
+		height: 800,
+		blurhash: 'LEHV6nWB2yk8',
+		alt: 'Payrolls by month',
+	  },
+	]);
+	expect(post.links).toEqual(['https://bls.gov/news']);
+  });
+
+  test('recognizes undescribed media by file extension', () => {
+	const post = normalize(note('https://files.example/talk.mp4 https://files.example/page'));
+	expect(post.media.map(({ type, url }) => [type, url])).toEqual([
+	  ['video', 'https://files.example/talk.mp4'],
+	]);
+	expect(post.links).toEqual(['https://files.example/page']);
+  });
+});
+
+describe('normalize sensitive', () => {
+  test('follows NIP-36 content warnings, with or without a reason', () => {
+	expect(normalize(note('Hi', [['content-warning', 'Surgery']]))).toMatchObject({
+	  sensitive: true,
+	  contentWarning: 'Surgery',
+	});
+	expect(normalize(note('Hi', [['content-warning']]))).toMatchObject({
+	  sensitive: true,
+	  contentWarning: null,
+	});
+	expect(normalize(note('Hi')).sensitive).toBe(false);
+  });
+});
@@ -0,0 +1,424 @@
+// server/src/bookmarks.js
+//
+// Bookmarks of signed-in users. A bookmark refers to a post by network and
+// id and is shown with the post's current data (engagement, citations) while
+// the post is in the store, or with the snapshot taken when it was saved.
+// Bookmarks carry a free-form note and tags and can be filed into any number
+// of named collections.
+
+const { nip19 } = require('nostr-tools');
+const { db } = require('./store');
+const { createPost, withoutRaw } = require('./posts');
+const { requestError } = require('./accounts');
+const { htmlToText } = require('./html');
+
+const MAX_NOTE_LENGTH = 10000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_COLLECTION_NAME_LENGTH = 80;
+
+const statements = {
+  listBookmarks: db.prepare(`
+	SELECT bookmarks.*, COALESCE(posts.data, bookmarks.snapshot) AS post
+	FROM bookmarks
+	LEFT JOIN posts ON posts.network = bookmarks.network AND posts.id = bookmarks.post_id
+	WHERE bookmarks.user_id = @userId
+	  AND (@collectionId IS NULL OR EXISTS (
+		SELECT 1 FROM bookmark_collections
+		WHERE bookmark_id = bookmarks.id AND collection_id = @collectionId
+	  ))
+	  AND (@tag IS NULL OR EXISTS (
+		SELECT 1 FROM bookmark_tags WHERE bookmark_id = bookmarks.id AND tag = @tag
+	  ))
+	ORDER BY bookmarks.created_at DESC, bookmarks.id DESC
+  `),
+  getBookmark: db.prepare(`
+	SELECT bookmarks.*, COALESCE(posts.data, bookmarks.snapshot) AS post
+	FROM bookmarks
+	LEFT JOIN posts ON posts.network = bookmarks.network AND posts.id = bookmarks.post_id
+	WHERE bookmarks.id = @id AND bookmarks.user_id = @userId
+  `),
+  findBookmark: db.prepare(`
+	SELECT id FROM bookmarks WHERE user_id = @userId AND network = @network AND post_id = @postId
+  `),
+  insertBookmark: db.prepare(`
+	INSERT INTO bookmarks (user_id, network, post_id, snapshot, note, created_at, updated_at)
+	VALUES (@userId, @network, @postId, @snapshot, '', @now, @now)
+  `),
+  updateNote: db.prepare('UPDATE bookmarks SET note = @note, updated_at = @now WHERE id = @id'),
+  touchBookmark: db.prepare('UPDATE bookmarks SET updated_at = @now WHERE id = @id'),
+  deleteBookmark: db.prepare('DELETE FROM bookmarks WHERE id = @id AND user_id = @userId'),
+  storedPost: db.prepare('SELECT data FROM posts WHERE network = ? AND id = ?'),
+
+  tagsOf: db.prepare('SELECT tag FROM bookmark_tags WHERE bookmark_id = ? ORDER BY tag'),
+  clearTags: db.prepare('DELETE FROM bookmark_tags WHERE bookmark_id = ?'),
+  addTag: db.prepare('INSERT OR IGNORE INTO bookmark_tags (bookmark_id, tag) VALUES (?, ?)'),
+  allTags: db.prepare(`
+	SELECT tag, COUNT(*) AS count FROM bookmark_tags
+	JOIN bookmarks ON bookmarks.id = bookmark_tags.bookmark_id
+	WHERE bookmarks.user_id = ?
+	GROUP BY tag ORDER BY tag
+  `),
+
+  collectionsOf: db.prepare(`
+	SELECT collection_id FROM bookmark_collections WHERE bookmark_id = ? ORDER BY collection_id
+  `),
+  clearCollections: db.prepare('DELETE FROM bookmark_collections WHERE bookmark_id = ?'),
+  fileBookmark: db.prepare(`
+	INSERT OR IGNORE INTO bookmark_collections (bookmark_id, collection_id) VALUES (?, ?)
+  `),
+  listCollections: db.prepare(`
+	SELECT collections.id, collections.name, collections.created_at,
+	  COUNT(bookmark_collections.bookmark_id) AS count
+	FROM collections
+	LEFT JOIN bookmark_collections ON bookmark_collections.collection_id = collections.id
+	WHERE collections.user_id = ?
+	GROUP BY collections.id
+	ORDER BY collections.name COLLATE NOCASE
+  `),
+  getCollection: db.prepare('SELECT * FROM collections WHERE id = @id AND user_id = @userId'),
+  insertCollection: db.prepare(`
+	INSERT INTO collections (user_id, name, created_at) VALUES (@userId, @name, @now)
+  `),
+  renameCollection: db.prepare('UPDATE collections SET name = @name WHERE id = @id AND user_id = @userId'),
+  deleteCollection: db.prepare('DELETE FROM collections WHERE id = @id AND user_id = @userId'),
+};
+
+function stringOrNull(value) {
+  return typeof value === 'string' ? value : null;
+}
+
+function webUrl(value) {
+  try {
+	return ['http:', 'https:'].includes(new URL(value).protocol) ? value : null;
+  } catch (error) {
+	return null;
+  }
+}
+
+// A copy of a post sent by the client (e.g. from its localStorage),
+// normalized again so nothing in it can end up on the page as markup or a
+// script URL.
+function snapshotFromClient(post) {
+  const author = post.author || {};
+  const card = post.card && webUrl(post.card.url);
+
+  return withoutRaw(
+	createPost({
+	  id: post.id,
+	  network: post.network,
+	  author: {
+		id: stringOrNull(author.id),
+		name: stringOrNull(author.name),
+		handle: stringOrNull(author.handle),
+		avatar: webUrl(author.avatar),
+		url: webUrl(author.url),
+		nip05: stringOrNull(author.nip05),
+	  },
+	  text: stringOrNull(post.text),
+	  html: stringOrNull(post.html),
+	  links: Array.isArray(post.links) ? post.links.filter(webUrl) : [],
+	  card: card
+		? {
+			url: card,
+			title: stringOrNull(post.card.title),
+			description: stringOrNull(post.card.description),
+			image: webUrl(post.card.image),
+		  }
+		: null,
+	  createdAt: post.createdAt,
+	  permalink: webUrl(post.permalink),
+	  engagement: post.engagement,
+	})
+  );
+}
+
+function nostrPost(event) {
+  if (typeof event.pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(event.id)) {
+	return null;
+  }
+  const npub = nip19.npubEncode(event.pubkey);
+  return {
+	id: event.id,
+	network: 'nostr',
+	author: {
+	  id: event.pubkey,
+	  name: `${npub.slice(0, 12)}...`,
+	  handle: npub,
+	  url: `https://njump.me/${npub}`,
+	},
+	text: event.content,
+	createdAt: event.created_at * 1000,
+	permalink: `https://njump.me/${nip19.noteEncode(event.id)}`,
+  };
+}
+
+// Bookmarks saved in browsers before posts shared one schema are the raw
+// items of each network's old feed, told apart by `source`. Returns them in
+// the shared shape (still to be checked by snapshotFromClient), or null if
+// the item isn't one of those.
+function fromLegacyItem(item) {
+  if (item.source === 'bluesky' && item.post && typeof item.post.uri === 'string') {
+	const { post } = item;
+	const author = post.author || {};
+	return {
+	  id: post.uri,
+	  network: 'bluesky',
+	  author: {
+		id: author.did,
+		name: author.displayName || author.handle,
+		handle: author.handle,
+		avatar: author.avatar,
+		url: `https://bsky.app/profile/${author.handle || author.did}`,
+	  },
+	  text: post.record && post.record.text,
+	  createdAt: post.indexedAt,
+	  permalink: `https://bsky.app/profile/${author.did}/post/${post.uri.split('/').pop()}`,
+	  engagement: { likes: post.likeCount, reposts: post.repostCount, replies: post.replyCount },
+	};
+  }
+  if (item.source === 'nostr') {
+	return nostrPost(item);
+  }
+  // The old Mastodon feed only kept the instance-local id; the permalink is
+  // the same everywhere.
+  if (item.source === 'mastodon' && typeof item.url === 'string') {
+	const account = item.account || {};
+	return {
+	  id: item.url,
+	  network: 'mastodon',
+	  author: { name: account.displayName || account.username, handle: account.username },
+	  text: typeof item.content === 'string' ? htmlToText(item.content) : null,
+	  html: item.content,
+	  createdAt: item.createdAt,
+	  permalink: item.url,
+	};
+  }
+  return null;
+}
+
+// The snapshot to keep for a post: the stored copy when there is one.
+// Returns null if the post can't be bookmarked.
+function snapshotPost(post) {
+  if (post && !post.network && post.source) {
+	post = fromLegacyItem(post);
+  }
+  if (!post || typeof post.network !== 'string' || typeof post.id !== 'string') {
+	return null;
+  }
+  const stored = statements.storedPost.get(post.network, post.id);
+  if (stored) {
+	return withoutRaw(JSON.parse(stored.data));
+  }
+  if (isNaN(new Date(post.createdAt))) {
+	return null;
+  }
+  return snapshotFromClient(post);
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+	throw requestError(400, 'Tags must be a list');
+  }
+  const normalized = tags
+	.filter((tag) => typeof tag === 'string')
+	.map((tag) => tag.trim().replace(/^#/, '').toLowerCase().slice(0, MAX_TAG_LENGTH))
+	.filter(Boolean);
+  return Array.from(new Set(normalized)).slice(0, MAX_TAGS);
+}
+
+function describeBookmark(row) {
+  return {
+	id: row.id,
+	network: row.network,
+	postId: row.post_id,
+	note: row.note,
+	tags: statements.tagsOf.all(row.id).map(({ tag }) => tag),
+	collections: statements.collectionsOf.all(row.id).map(({ collection_id }) => collection_id),
+	createdAt: row.created_at,
+	updatedAt: row.updated_at,
+	post: withoutRaw(JSON.parse(row.post)),
+  };
+}
+
+function describeCollection(row) {
+  return { id: row.id, name: row.name, count: row.count || 0, createdAt: row.created_at };
+}
+
+function getBookmark(userId, id) {
+  const row = statements.getBookmark.get({ userId, id });
+  if (!row) {
+	throw requestError(404, 'No such bookmark');
+  }
+  return describeBookmark(row);
+}
+
+// Bookmarks newest first, optionally only those in one collection or with
+// one tag.
+function listBookmarks(userId, { collectionId = null, tag = null } = {}) {
+  return statements.listBookmarks.all({ userId, collectionId, tag }).map(describeBookmark);
+}
+
+// Apply the `note`, `tags` and `collections` (ids) that are set in `changes`.
+function applyChanges(userId, id, changes) {
+  const now = new Date().toISOString();
+
+  if (changes.note !== undefined) {
+	if (typeof changes.note !== 'string' || changes.note.length > MAX_NOTE_LENGTH) {
+	  throw requestError(400, `Notes are text of at most ${MAX_NOTE_LENGTH} characters`);
+	}
+	statements.updateNote.run({ id, note: changes.note, now });
+  }
+  if (changes.tags !== undefined) {
+	const tags = normalizeTags(changes.tags);
+	statements.clearTags.run(id);
+	for (const tag of tags) {
+	  statements.addTag.run(id, tag);
+	}
+  }
+  if (changes.collections !== undefined) {
+	if (!Array.isArray(changes.collections)) {
+	  throw requestError(400, 'Collections must be a list of collection ids');
+	}
+	for (const collectionId of changes.collections) {
+	  if (!Number.isInteger(collectionId) || !statements.getCollection.get({ id: collectionId, userId })) {
+		throw requestError(400, `No such collection: ${collectionId}`);
+	  }
+	}
+	statements.clearCollections.run(id);
+	for (const collectionId of changes.collections) {
+	  statements.fileBookmark.run(id, collectionId);
+	}
+  }
+  statements.touchBookmark.run({ id, now });
+}
+
+// Bookmark a post (or update the existing bookmark of it) and apply any
+// note, tags and collections given with it. For a post that's already
+// bookmarked, { network, id } is enough.
+const saveBookmark = db.transaction((userId, { post, ...changes }) => {
+  const existing = post && statements.findBookmark.get({ userId, network: post.network, postId: post.id });
+  let id = existing && existing.id;
+
+  if (!existing) {
+	const snapshot = snapshotPost(post);
+	if (!snapshot) {
+	  throw requestError(400, 'Not a post that can be bookmarked');
+	}
+	id = statements.insertBookmark.run({
+	  userId,
+	  network: snapshot.network,
+	  postId: snapshot.id,
+	  snapshot: JSON.stringify(snapshot),
+	  now: new Date().toISOString(),
+	}).lastInsertRowid;
+  }
+
+  applyChanges(userId, id, changes);
+  return getBookmark(userId, id);
+});
+
+const updateBookmark = db.transaction((userId, id, changes) => {
+  getBookmark(userId, id);
+  applyChanges(userId, id, changes);
+  return getBookmark(userId, id);
+});
+
+function deleteBookmark(userId, id) {
+  if (statements.deleteBookmark.run({ userId, id }).changes === 0) {
+	throw requestError(404, 'No such bookmark');
+  }
+}
+
+// Import posts bookmarked while signed out. Posts that are already
+// bookmarked keep their notes; ones that can't be bookmarked are skipped.
+const importBookmarks = db.transaction((userId, posts) => {
+  if (!Array.isArray(posts)) {
+	throw requestError(400, 'Expected a list of posts');
+  }
+
+  let imported = 0;
+  const skipped = [];
+  const now = new Date().toISOString();
+  posts.forEach((post, index) => {
+	const snapshot = snapshotPost(post);
+	if (!snapshot) {
+	  skipped.push(index);
+	  return;
+	}
+	const key = { userId, network: snapshot.network, postId: snapshot.id };
+	if (!statements.findBookmark.get(key)) {
+	  statements.insertBookmark.run({ ...key, snapshot: JSON.stringify(snapshot), now });
+	  imported++;
+	}
+  });
+  // skippedIndexes lets the client keep the posts it couldn't hand over.
+  return { imported, skipped: skipped.length, skippedIndexes: skipped };
+});
+
+function listTags(userId) {
+  return statements.allTags.all(userId);
+}
+
+function listCollections(userId) {
+  return statements.listCollections.all(userId).map(describeCollection);
+}
+
+function collectionName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_COLLECTION_NAME_LENGTH) {
+	throw requestError(400, `Collection names are 1 to ${MAX_COLLECTION_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+// Runs a collection write, turning a duplicate name into a 409.
+function withUniqueName(write) {
+  try {
+	return write();
+  } catch (error) {
+	if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+	  throw requestError(409, 'You already have a collection with that name');
+	}
+	throw error;
+  }
+}
+
+function createCollection(userId, name) {
+  const { lastInsertRowid } = withUniqueName(() =>
+	statements.insertCollection.run({ userId, name: collectionName(name), now: new Date().toISOString() })
+  );
+  return describeCollection(statements.getCollection.get({ id: lastInsertRowid, userId }));
+}
+
+function renameCollection(userId, id, name) {
+  const { changes } = withUniqueName(() =>
+	statements.renameCollection.run({ userId, id, name: collectionName(name) })
+  );
+  if (changes === 0) {
+	throw requestError(404, 'No such collection');
+  }
+  return listCollections(userId).find((collection) => collection.id === id);
+}
+
+// Deleting a collection keeps the bookmarks that were in it.
+function deleteCollection(userId, id) {
+  if (statements.deleteCollection.run({ userId, id }).changes === 0) {
+	throw requestError(404, 'No such collection');
+  }
+}
+
+module.exports = {
+  listBookmarks,
+  getBookmark,
+  saveBookmark,
+  updateBookmark,
+  deleteBookmark,
+  importBookmarks,
+  listTags,
+  listCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  snapshotPost,
+};
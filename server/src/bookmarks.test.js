@@ -0,0 +1,85 @@
+const { createPost } = require('./posts');
+const { savePosts } = require('./store');
+const { register } = require('./accounts');
+const { importBookmarks, listBookmarks, snapshotPost } = require('./bookmarks');
+
+const CREATED_AT = '2026-03-01T00:00:00.000Z';
+
+const clientPost = (id, fields = {}) => ({
+  id,
+  network: 'bluesky',
+  author: { id: `${id}-author`, name: 'Someone' },
+  text: id,
+  createdAt: CREATED_AT,
+  ...fields,
+});
+
+let userId;
+
+beforeAll(async () => {
+  const { user } = await register('bookmarker', 'correct horse battery');
+  userId = user.id;
+});
+
+describe('importBookmarks', () => {
+  test('reports which posts it skipped by their index', () => {
+	const result = importBookmarks(userId, [
+	  clientPost('first'),
+	  { network: 'bluesky', text: 'No id' },
+	  clientPost('second'),
+	  clientPost('undated', { createdAt: 'sometime' }),
+	  null,
+	]);
+	expect(result).toEqual({ imported: 2, skipped: 3, skippedIndexes: [1, 3, 4] });
+  });
+
+  test('leaves posts that are already bookmarked alone', () => {
+	const result = importBookmarks(userId, [clientPost('first'), clientPost('third')]);
+	expect(result).toEqual({ imported: 1, skipped: 0, skippedIndexes: [] });
+	expect(listBookmarks(userId).map((bookmark) => bookmark.postId).sort()).toEqual([
+	  'first',
+	  'second',
+	  'third',
+	]);
+  });
+
+  test('converts items from the old per-network feeds', () => {
+	const legacy = {
+	  source: 'mastodon',
+	  url: 'https://mastodon.example/@someone/1',
+	  account: { username: 'someone' },
+	  content: '<p>Old <b>feed</b> item</p>',
+	  createdAt: CREATED_AT,
+	};
+	expect(importBookmarks(userId, [legacy, { source: 'myspace' }])).toMatchObject({
+	  imported: 1,
+	  skippedIndexes: [1],
+	});
+  });
+
+  test('needs a list', () => {
+	expect(() => importBookmarks(userId, { posts: [] })).toThrow(
+	  expect.objectContaining({ status: 400 })
+	);
+  });
+});
+
+describe('snapshotPost', () => {
+  test('drops script URLs from posts sent by the client', () => {
+	const snapshot = snapshotPost(
+	  clientPost('unsafe', {
+		permalink: 'javascript:alert(1)',
+		author: { name: 'Someone', avatar: 'javascript:alert(1)', url: 'https://example.org/' },
+	  })
+	);
+	expect(snapshot.permalink).toBeNull();
+	expect(snapshot.author).toMatchObject({ avatar: null, url: 'https://example.org/' });
+  });
+
+  test('prefers the stored copy of a post', () => {
+	savePosts('econ', [createPost(clientPost('stored', { text: 'As ingested' }))]);
+	expect(snapshotPost(clientPost('stored', { text: 'As the client had it' })).text).toBe(
+	  'As ingested'
+	);
+  });
+});
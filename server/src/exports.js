@@ -0,0 +1,356 @@
+// server/src/exports.js
+//
+// Export saved posts for use in articles and research notes. Every format
+// carries the post's author, network, timestamp and permalink, and keeps the
+// primary source the post cites (see sources.js) apart from the post itself:
+//
+//   csv, json, markdown   one record per saved post, with notes and tags
+//   apa, chicago          reference lines for the post and for its source
+//   bibtex, csl           bibliography entries for the post and its source
+
+const { getAdapter } = require('./adapters');
+
+const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+// Where a post's cited source is: its primary citation, else the link card,
+// else its first link.
+function primarySource(post) {
+  const url = post.citations?.[0]?.url || post.card?.url || post.links?.[0] || null;
+  if (!url) {
+	return null;
+  }
+
+  let host = null;
+  try {
+	host = new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+	// leave the host out
+  }
+  const title = post.card && post.card.url === url ? post.card.title || null : null;
+  return { url, host, title };
+}
+
+function networkLabel(network) {
+  const adapter = getAdapter(network);
+  return adapter ? adapter.label || adapter.name : network;
+}
+
+// Flatten a saved post (from bookmarks.js, or a bare post) into the fields
+// every format draws on.
+function toRecord(item) {
+  const post = item.post || item;
+  return {
+	author: {
+	  name: post.author?.name || post.author?.handle || 'Unknown author',
+	  handle: post.author?.handle || null,
+	  url: post.author?.url || null,
+	},
+	network: networkLabel(post.network),
+	postedAt: post.createdAt,
+	permalink: post.permalink || null,
+	text: post.text || '',
+	source: primarySource(post),
+	note: item.note || '',
+	tags: item.tags || [],
+	collections: item.collectionNames || [],
+  };
+}
+
+function dateParts(iso) {
+  const date = new Date(iso);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+function longDate(iso) {
+  const { year, month, day } = dateParts(iso);
+  return `${MONTHS[month]} ${day}, ${year}`;
+}
+
+// The first `words` words of a post, for titles.
+function excerpt(text, words = 20) {
+  const all = text.replace(/\s+/g, ' ').trim().split(' ');
+  return all.length > words ? `${all.slice(0, words).join(' ')}…` : all.join(' ');
+}
+
+function handleSuffix(author) {
+  return author.handle && author.handle !== author.name ? ` [@${author.handle}]` : '';
+}
+
+// --- tabular and document formats
+
+const CSV_COLUMNS = [
+  ['author_name', (record) => record.author.name],
+  ['author_handle', (record) => record.author.handle],
+  ['network', (record) => record.network],
+  ['posted_at', (record) => record.postedAt],
+  ['permalink', (record) => record.permalink],
+  ['text', (record) => record.text],
+  ['source_url', (record) => record.source?.url],
+  ['source_title', (record) => record.source?.title],
+  ['note', (record) => record.note],
+  ['tags', (record) => record.tags.join(', ')],
+  ['collections', (record) => record.collections.join(', ')],
+];
+
+// Quote every field, and defuse values a spreadsheet would run as a formula.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+	text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function renderCsv(records) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)].concat(
+	records.map((record) => CSV_COLUMNS.map(([, value]) => value(record)))
+  );
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function renderJson(records) {
+  return JSON.stringify(records, null, 2) + '\n';
+}
+
+function markdownText(text) {
+  return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+function renderMarkdown(records) {
+  return records
+	.map((record) => {
+	  const lines = [
+		`### ${markdownText(record.author.name)} on ${record.network}, ${longDate(record.postedAt)}`,
+		'',
+		...record.text.split('\n').map((line) => `> ${markdownText(line)}`),
+		'',
+	  ];
+	  if (record.permalink) {
+		lines.push(`- Post: <${record.permalink}>`);
+	  }
+	  if (record.source) {
+		const { title, url } = record.source;
+		lines.push(`- Source: ${title ? `[${markdownText(title)}](<${url}>)` : `<${url}>`}`);
+	  }
+	  if (record.tags.length > 0) {
+		lines.push(`- Tags: ${record.tags.map((tag) => `#${tag}`).join(' ')}`);
+	  }
+	  if (record.note) {
+		lines.push('', markdownText(record.note));
+	  }
+	  return lines.join('\n').trimEnd();
+	})
+	.join('\n\n---\n\n')
+	.concat('\n');
+}
+
+// --- reference lines
+
+function apaReference(record) {
+  const { year, month, day } = dateParts(record.postedAt);
+  const post = [
+	`${record.author.name}${handleSuffix(record.author)}.`,
+	`(${year}, ${MONTHS[month]} ${day}).`,
+	`${excerpt(record.text)} [Post].`,
+	`${record.network}.`,
+	record.permalink,
+  ]
+	.filter(Boolean)
+	.join(' ');
+  if (!record.source) {
+	return post;
+  }
+  const { title, host, url } = record.source;
+  const source = [`${title || host || url}.`, '(n.d.).', title && host && `${host}.`, url]
+	.filter(Boolean)
+	.join(' ');
+  return `${post}\n  Cited source: ${source}`;
+}
+
+function chicagoReference(record, accessedAt) {
+  const author =
+	record.author.handle && record.author.handle !== record.author.name
+	  ? `${record.author.name} (@${record.author.handle})`
+	  : record.author.name;
+  const post = `${[
+	`${author}, "${excerpt(record.text, 30)},"`,
+	`${record.network},`,
+	longDate(record.postedAt),
+  ].join(' ')}${record.permalink ? `, ${record.permalink}` : ''}.`;
+  if (!record.source) {
+	return post;
+  }
+  const { title, host, url } = record.source;
+  const source = [
+	title && `"${title},"`,
+	host && `${host},`,
+	`accessed ${longDate(accessedAt)}, ${url}.`,
+  ]
+	.filter(Boolean)
+	.join(' ');
+  return `${post}\n  Cited source: ${source}`;
+}
+
+function renderLines(records, reference, accessedAt) {
+  return records.map((record) => reference(record, accessedAt)).join('\n\n') + '\n';
+}
+
+// --- bibliography entries
+
+// Citation keys: network, date and a counter, e.g. bluesky2025-01-31a.
+function citationKeys(records) {
+  const used = new Map();
+  return records.map((record) => {
+	const network = record.network.toLowerCase().replace(/[^a-z0-9]/g, '');
+	const base = `${network}${record.postedAt.slice(0, 10)}`;
+	const count = used.get(base) || 0;
+	used.set(base, count + 1);
+	return `${base}${String.fromCharCode(97 + (count % 26))}${count >= 26 ? Math.floor(count / 26) : ''}`;
+  });
+}
+
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '%': '\\%',
+  '&': '\\&',
+  $: '\\$',
+  '#': '\\#',
+  _: '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+function bibtexText(text) {
+  return text.replace(/[\\{}%&$#_~^]/g, (char) => BIBTEX_ESCAPES[char]);
+}
+
+function bibtexEntry(key, fields) {
+  const body = Object.entries(fields)
+	.filter(([, value]) => value !== null && value !== undefined && value !== '')
+	.map(([name, value]) => `  ${name} = {${value}}`)
+	.join(',\n');
+  return `@misc{${key},\n${body}\n}`;
+}
+
+function renderBibtex(records, accessedAt) {
+  const keys = citationKeys(records);
+  const urldate = accessedAt.slice(0, 10);
+
+  return records
+	.map((record, index) => {
+	  const { year, month } = dateParts(record.postedAt);
+	  const entries = [
+		bibtexEntry(keys[index], {
+		  author: `{${bibtexText(record.author.name)}}`,
+		  title: bibtexText(excerpt(record.text)),
+		  howpublished: `Post on ${record.network}`,
+		  year,
+		  month: MONTHS[month].slice(0, 3).toLowerCase(),
+		  url: record.permalink,
+		  urldate,
+		  note: record.source ? `Cites ${record.source.url}` : null,
+		}),
+	  ];
+	  if (record.source) {
+		entries.push(
+		  bibtexEntry(`${keys[index]}-source`, {
+			title: bibtexText(record.source.title || record.source.host || record.source.url),
+			howpublished: record.source.title && record.source.host && bibtexText(record.source.host),
+			url: record.source.url,
+			urldate,
+		  })
+		);
+	  }
+	  return entries.join('\n\n');
+	})
+	.join('\n\n')
+	.concat('\n');
+}
+
+function cslDate(iso) {
+  const { year, month, day } = dateParts(iso);
+  return { 'date-parts': [[year, month + 1, day]] };
+}
+
+function renderCsl(records, accessedAt) {
+  const keys = citationKeys(records);
+  const items = [];
+
+  records.forEach((record, index) => {
+	items.push({
+	  id: keys[index],
+	  type: 'post',
+	  title: excerpt(record.text),
+	  author: [{ literal: record.author.name }],
+	  'container-title': record.network,
+	  issued: cslDate(record.postedAt),
+	  accessed: cslDate(accessedAt),
+	  URL: record.permalink || undefined,
+	  note: record.note || undefined,
+	});
+	if (record.source) {
+	  items.push({
+		id: `${keys[index]}-source`,
+		type: 'webpage',
+		title: record.source.title || record.source.host || record.source.url,
+		'container-title': record.source.host || undefined,
+		accessed: cslDate(accessedAt),
+		URL: record.source.url,
+	  });
+	}
+  });
+  return JSON.stringify(items, null, 2) + '\n';
+}
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv', render: renderCsv },
+  json: { extension: 'json', contentType: 'application/json', render: renderJson },
+  markdown: { extension: 'md', contentType: 'text/markdown', render: renderMarkdown },
+  apa: {
+	extension: 'txt',
+	contentType: 'text/plain',
+	render: (records, accessedAt) => renderLines(records, apaReference, accessedAt),
+  },
+  chicago: {
+	extension: 'txt',
+	contentType: 'text/plain',
+	render: (records, accessedAt) => renderLines(records, chicagoReference, accessedAt),
+  },
+  bibtex: { extension: 'bib', contentType: 'application/x-bibtex', render: renderBibtex },
+  csl: {
+	extension: 'json',
+	contentType: 'application/vnd.citationstyles.csl+json',
+	render: renderCsl,
+  },
+};
+
+// Render saved posts (bookmarks, or bare posts) in one of FORMATS, as
+// { body, contentType, filename }.
+function exportPosts(format, items, options = {}) {
+  const { name = 'saved-posts', accessedAt = new Date().toISOString() } = options;
+  const { extension, contentType, render } = FORMATS[format];
+  const records = items.filter((item) => (item.post || item).createdAt).map(toRecord);
+
+  return {
+	body: render(records, accessedAt),
+	contentType: `${contentType}; charset=utf-8`,
+	filename: `${name}-${format}.${extension}`,
+  };
+}
+
+module.exports = { EXPORT_FORMATS: Object.keys(FORMATS), exportPosts };
@@ -0,0 +1,116 @@
+const { exportPosts } = require('./exports');
+
+const ACCESSED_AT = '2026-03-01T00:00:00.000Z';
+
+function post(fields = {}) {
+  return {
+	network: 'bluesky',
+	author: { name: 'Ada', handle: 'ada.bsky.social' },
+	text: 'A post',
+	createdAt: '2026-01-31T10:00:00.000Z',
+	permalink: 'https://bsky.app/profile/ada.bsky.social/post/1',
+	citations: [],
+	links: [],
+	...fields,
+  };
+}
+
+const render = (format, items) => exportPosts(format, items, { accessedAt: ACCESSED_AT }).body;
+
+describe('csv', () => {
+  const rows = (items) => render('csv', items).trimEnd().split('\r\n');
+
+  test('quotes every field and doubles quotes inside them', () => {
+	const [, row] = rows([{ post: post({ text: 'She said "hi", twice' }), tags: ['a', 'b'] }]);
+	expect(row).toContain('"She said ""hi"", twice"');
+	expect(row).toContain('"a, b"');
+  });
+
+  test.each(['=HYPERLINK("https://evil.example")', '+1+2', '-2+3', '@SUM(A1)', '\tx'])(
+	'defuses %j so spreadsheets show it as text',
+	(text) => {
+	  const [, row] = rows([post({ text })]);
+	  expect(row).toContain(`"'${text.replace(/"/g, '""')}"`);
+	}
+  );
+
+  test('defuses formulas in notes and author names too', () => {
+	const [, row] = rows([{ post: post({ author: { name: '=cmd' } }), note: '@note' }]);
+	expect(row.startsWith(`"'=cmd"`)).toBe(true);
+	expect(row).toContain(`"'@note"`);
+  });
+});
+
+describe('bibtex', () => {
+  test('escapes special characters in titles and authors', () => {
+	const body = render('bibtex', [
+	  post({ author: { name: 'R&D {Team}' }, text: '50% of $x_1 #tags ~ ^ \\ rose' }),
+	]);
+	expect(body).toContain('author = {{R\\&D \\{Team\\}}}');
+	expect(body).toContain(
+	  'title = {50\\% of \\$x\\_1 \\#tags \\textasciitilde{} \\textasciicircum{} ' +
+		'\\textbackslash{} rose}'
+	);
+  });
+
+  test('adds an entry for the cited source', () => {
+	const body = render('bibtex', [
+	  post({
+		citations: [{ url: 'https://www.example.org/report' }],
+		card: { url: 'https://www.example.org/report', title: 'The_Report' },
+	  }),
+	]);
+	expect(body).toContain('note = {Cites https://www.example.org/report}');
+	expect(body).toContain(
+	  '@misc{bluesky2026-01-31a-source,\n' +
+		'  title = {The\\_Report},\n' +
+		'  howpublished = {example.org},\n' +
+		'  url = {https://www.example.org/report},\n' +
+		'  urldate = {2026-03-01}\n}'
+	);
+  });
+});
+
+describe('citation keys', () => {
+  const keys = (items) => JSON.parse(render('csl', items)).map((item) => item.id);
+
+  test('combine the network and date with a counter per day', () => {
+	expect(
+	  keys([
+		post(),
+		post(),
+		post({ network: 'nostr' }),
+		post({ createdAt: '2026-02-01T00:00:00.000Z' }),
+	  ])
+	).toEqual([
+	  'bluesky2026-01-31a',
+	  'bluesky2026-01-31b',
+	  'nostr2026-01-31a',
+	  'bluesky2026-02-01a',
+	]);
+  });
+
+  test('carry on past z with a number', () => {
+	const ids = keys(Array.from({ length: 28 }, () => post()));
+	expect(ids.slice(24)).toEqual([
+	  'bluesky2026-01-31y',
+	  'bluesky2026-01-31z',
+	  'bluesky2026-01-31a1',
+	  'bluesky2026-01-31b1',
+	]);
+	expect(new Set(ids).size).toBe(28);
+  });
+});
+
+describe('exportPosts', () => {
+  test('names the file after the format', () => {
+	expect(exportPosts('bibtex', [], { name: 'econ' })).toMatchObject({
+	  contentType: 'application/x-bibtex; charset=utf-8',
+	  filename: 'econ-bibtex.bib',
+	});
+  });
+
+  test('skips items that are not posts', () => {
+	expect(JSON.parse(render('json', [post(), { note: 'orphaned' }]))).toHaveLength(1);
+  });
+});
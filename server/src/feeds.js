@@ -0,0 +1,224 @@
+// server/src/feeds.js
+//
+// Syndication feeds of a topic's newest posts, for feed readers and bots:
+// RSS 2.0, Atom and JSON Feed 1.1. Each item links to the source the post
+// cites, with the post itself (author, network, permalink) in the body.
+// Like the feed in the app, a story is one item: the newest post citing it,
+// with a count of everyone else who did (see stories.js).
+
+const { getAdapter } = require('./adapters');
+const { escapeHtml } = require('./html');
+const { topicCitation } = require('./sources');
+
+const TITLE_WORDS = 16;
+
+// Characters XML 1.0 doesn't allow, even escaped.
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function xmlText(text) {
+  return escapeHtml(String(text).replace(INVALID_XML, ''));
+}
+
+function networkLabel(network) {
+  const adapter = getAdapter(network);
+  return adapter ? adapter.label || adapter.name : network;
+}
+
+// Who publishes a cited source, from the registry: "arXiv, Preprint server,
+// not peer-reviewed".
+function describePublisher({ source }) {
+  if (!source) {
+	return null;
+  }
+  const review = source.peerReviewed === false ? ', not peer-reviewed' : '';
+  return `${source.name}, ${source.label}${review}`;
+}
+
+// Stable across formats and refetches: the post's permalink, or a URN built
+// from its network id.
+function itemId(post) {
+  return post.permalink || `urn:community-sources:${post.network}:${encodeURIComponent(post.id)}`;
+}
+
+function itemTitle(post) {
+  const words = (post.text || '')
+	.replace(/https?:\/\/\S+/g, '')
+	.replace(/\s+/g, ' ')
+	.trim()
+	.split(' ');
+  const text =
+	words.length > TITLE_WORDS ? `${words.slice(0, TITLE_WORDS).join(' ')}…` : words.join(' ');
+  return `${post.author.name} on ${networkLabel(post.network)}: ${text}`;
+}
+
+// Images inline, with their alt text; other media, and images a reader
+// couldn't blur, as links.
+function mediaHtml(post) {
+  const items = (post.media || []).map((media) => {
+	const alt = media.alt || '';
+	if (media.type === 'image' && !post.sensitive) {
+	  return `<img src="${escapeHtml(media.url)}" alt="${escapeHtml(alt)}">`;
+	}
+	const label = post.sensitive ? `Sensitive ${media.type}` : `Attached ${media.type}`;
+	return `<a href="${escapeHtml(media.url)}">${escapeHtml(alt ? `${label}: ${alt}` : label)}</a>`;
+  });
+  return items.length > 0 ? `<p>${items.join(' ')}</p>` : '';
+}
+
+function itemHtml(post, citation) {
+  const sourceUrl = citation ? citation.url : null;
+  const publisher = citation ? describePublisher(citation) : null;
+  const others = post.story ? post.story.people - 1 : 0;
+  const links = [
+	post.permalink &&
+	  `<a href="${escapeHtml(post.permalink)}">View on ${escapeHtml(networkLabel(post.network))}</a>`,
+	sourceUrl &&
+	  `Cited source: <a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a>${
+		publisher ? ` (${escapeHtml(publisher)})` : ''
+	  }`,
+	others > 0 && `Also cited by ${others} ${others === 1 ? 'other person' : 'other people'}`,
+  ].filter(Boolean);
+  const body = post.html || escapeHtml(post.text || '');
+  return `${body}${mediaHtml(post)}<p>${links.join(' · ')}</p>`;
+}
+
+function toItem(post, topic) {
+  const citation = topicCitation(post, topic);
+  return {
+	id: itemId(post),
+	url: citation ? citation.url : post.permalink,
+	permalink: post.permalink,
+	title: itemTitle(post),
+	html: itemHtml(post, citation),
+	author: post.author,
+	network: networkLabel(post.network),
+	publishedAt: post.createdAt,
+  };
+}
+
+function renderRss(feed, items) {
+  const entries = items.map((item) =>
+	[
+	  '    <item>',
+	  `      <title>${xmlText(item.title)}</title>`,
+	  item.url && `      <link>${xmlText(item.url)}</link>`,
+	  `      <guid isPermaLink="${item.id === item.permalink}">${xmlText(item.id)}</guid>`,
+	  `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>`,
+	  `      <dc:creator>${xmlText(item.author.name)}</dc:creator>`,
+	  `      <category>${xmlText(item.network)}</category>`,
+	  item.permalink && `      <comments>${xmlText(item.permalink)}</comments>`,
+	  `      <description>${xmlText(item.html)}</description>`,
+	  '    </item>',
+	]
+	  .filter(Boolean)
+	  .join('\n')
+  );
+
+  return [
+	'<?xml version="1.0" encoding="utf-8"?>',
+	'<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+	'  <channel>',
+	`    <title>${xmlText(feed.title)}</title>`,
+	`    <link>${xmlText(feed.homeUrl)}</link>`,
+	`    <description>${xmlText(feed.description)}</description>`,
+	`    <atom:link href="${xmlText(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+	`    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>`,
+	...entries,
+	'  </channel>',
+	'</rss>',
+	'',
+  ].join('\n');
+}
+
+function renderAtom(feed, items) {
+  const entries = items.map((item) =>
+	[
+	  '  <entry>',
+	  `    <id>${xmlText(item.id)}</id>`,
+	  `    <title>${xmlText(item.title)}</title>`,
+	  item.url && `    <link rel="alternate" href="${xmlText(item.url)}"/>`,
+	  item.permalink &&
+		item.permalink !== item.url &&
+		`    <link rel="related" href="${xmlText(item.permalink)}"/>`,
+	  `    <published>${item.publishedAt}</published>`,
+	  `    <updated>${item.publishedAt}</updated>`,
+	  '    <author>',
+	  `      <name>${xmlText(item.author.name)}</name>`,
+	  item.author.url && `      <uri>${xmlText(item.author.url)}</uri>`,
+	  '    </author>',
+	  `    <category term="${xmlText(item.network)}"/>`,
+	  `    <content type="html">${xmlText(item.html)}</content>`,
+	  '  </entry>',
+	]
+	  .filter(Boolean)
+	  .join('\n')
+  );
+
+  return [
+	'<?xml version="1.0" encoding="utf-8"?>',
+	'<feed xmlns="http://www.w3.org/2005/Atom">',
+	`  <id>${xmlText(feed.feedUrl)}</id>`,
+	`  <title>${xmlText(feed.title)}</title>`,
+	`  <subtitle>${xmlText(feed.description)}</subtitle>`,
+	`  <link rel="self" href="${xmlText(feed.feedUrl)}"/>`,
+	`  <link rel="alternate" href="${xmlText(feed.homeUrl)}"/>`,
+	`  <updated>${feed.updatedAt}</updated>`,
+	...entries,
+	'</feed>',
+	'',
+  ].join('\n');
+}
+
+function renderJsonFeed(feed, items) {
+  return JSON.stringify(
+	{
+	  version: 'https://jsonfeed.org/version/1.1',
+	  title: feed.title,
+	  home_page_url: feed.homeUrl,
+	  feed_url: feed.feedUrl,
+	  description: feed.description,
+	  items: items.map((item) => ({
+		id: item.id,
+		url: item.url || undefined,
+		title: item.title,
+		content_html: item.html,
+		date_published: item.publishedAt,
+		authors: [
+		  {
+			name: item.author.name,
+			url: item.author.url || undefined,
+			avatar: item.author.avatar || undefined,
+		  },
+		],
+		tags: [item.network],
+	  })),
+	},
+	null,
+	2
+  );
+}
+
+const RENDERERS = {
+  rss: { contentType: 'application/rss+xml', render: renderRss },
+  atom: { contentType: 'application/atom+xml', render: renderAtom },
+  json: { contentType: 'application/feed+json', render: renderJsonFeed },
+};
+
+// A topic's feed page (newest first, with stories attached) in one of
+// FEED_FORMATS, as { body, contentType }. `siteUrl` is where the app is
+// served from.
+function renderFeed(format, { topic, posts, siteUrl }) {
+  const items = posts.map((post) => toItem(post, topic.slug));
+  const feed = {
+	title: `Community Sources: ${topic.label}`,
+	description: `Posts citing ${topic.domains.join(', ')}, from across the networks`,
+	homeUrl: `${siteUrl}/`,
+	feedUrl: `${siteUrl}/feeds/${encodeURIComponent(topic.slug)}.${format}`,
+	updatedAt: items[0]?.publishedAt || new Date().toISOString(),
+  };
+  const { contentType, render } = RENDERERS[format];
+
+  return { body: render(feed, items), contentType: `${contentType}; charset=utf-8` };
+}
+
+module.exports = { FEED_FORMATS: Object.keys(RENDERERS), renderFeed };
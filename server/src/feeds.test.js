@@ -0,0 +1,110 @@
+const { renderFeed } = require('./feeds');
+
+const SITE_URL = 'https://sources.example';
+const TOPIC = { slug: 'econ', label: 'Economics', domains: ['bea.gov', 'bls.gov'] };
+
+function post(fields = {}) {
+  return {
+	id: 'at://did:plc:ada/app.bsky.feed.post/1',
+	network: 'bluesky',
+	author: { name: 'Ada', url: 'https://bsky.app/profile/ada.bsky.social' },
+	text: 'GDP grew https://www.bea.gov/news/gdp',
+	html: '<p>GDP grew</p>',
+	createdAt: '2026-02-01T12:00:00.000Z',
+	permalink: 'https://bsky.app/profile/ada.bsky.social/post/1',
+	media: [],
+	citations: [
+	  {
+		url: 'https://example.org/unrelated',
+		matches: [{ topic: 'sci', domain: 'example.org' }],
+		source: null,
+	  },
+	  {
+		url: 'https://www.bea.gov/news/gdp',
+		matches: [{ topic: 'econ', domain: 'bea.gov' }],
+		source: { name: 'BEA', label: 'Government statistics', peerReviewed: null },
+	  },
+	],
+	...fields,
+  };
+}
+
+const render = (format, posts) => renderFeed(format, { topic: TOPIC, posts, siteUrl: SITE_URL });
+const jsonFeed = (posts) => JSON.parse(render('json', posts).body);
+
+describe('items', () => {
+  test("link to the citation that matches the feed's topic", () => {
+	const [item] = jsonFeed([post()]).items;
+	expect(item.url).toBe('https://www.bea.gov/news/gdp');
+	expect(item.content_html).toContain(
+	  'Cited source: <a href="https://www.bea.gov/news/gdp">https://www.bea.gov/news/gdp</a> ' +
+		'(BEA, Government statistics)'
+	);
+  });
+
+  test('fall back to the permalink without a citation', () => {
+	const [item] = jsonFeed([post({ citations: [] })]).items;
+	expect(item.url).toBe('https://bsky.app/profile/ada.bsky.social/post/1');
+  });
+
+  test('are titled with the author, network and text without its links', () => {
+	const [item] = jsonFeed([post()]).items;
+	expect(item.title).toBe('Ada on Bluesky: GDP grew');
+  });
+
+  test('have a stable id even without a permalink', () => {
+	const [item] = jsonFeed([post({ permalink: null })]).items;
+	expect(item.id).toBe(
+	  'urn:community-sources:bluesky:at%3A%2F%2Fdid%3Aplc%3Aada%2Fapp.bsky.feed.post%2F1'
+	);
+  });
+
+  test('count the other people citing the story', () => {
+	const [item] = jsonFeed([post({ story: { people: 3 } })]).items;
+	expect(item.content_html).toContain('Also cited by 2 other people');
+  });
+
+  test('show images inline unless the post is sensitive', () => {
+	const media = [{ type: 'image', url: 'https://cdn.example/a.jpg', alt: 'A "chart"' }];
+	expect(jsonFeed([post({ media })]).items[0].content_html).toContain(
+	  '<img src="https://cdn.example/a.jpg" alt="A &quot;chart&quot;">'
+	);
+	expect(jsonFeed([post({ media, sensitive: true })]).items[0].content_html).toContain(
+	  '<a href="https://cdn.example/a.jpg">Sensitive image: A &quot;chart&quot;</a>'
+	);
+  });
+});
+
+describe('formats', () => {
+  test('RSS escapes item HTML and drops characters XML disallows', () => {
+	const { body, contentType } = render('rss', [post({ html: '<p>a\u0001 &amp; b</p>' })]);
+	expect(contentType).toBe('application/rss+xml; charset=utf-8');
+	expect(body).toContain('<description>&lt;p&gt;a &amp;amp; b&lt;/p&gt;');
+	expect(body).toContain('<link>https://www.bea.gov/news/gdp</link>');
+	expect(body).toContain(
+	  '<guid isPermaLink="true">https://bsky.app/profile/ada.bsky.social/post/1</guid>'
+	);
+	expect(body).toContain('<pubDate>Sun, 01 Feb 2026 12:00:00 GMT</pubDate>');
+  });
+
+  test('Atom links the source and the post separately', () => {
+	const { body } = render('atom', [post()]);
+	expect(body).toContain('<link rel="alternate" href="https://www.bea.gov/news/gdp"/>');
+	expect(body).toContain(
+	  '<link rel="related" href="https://bsky.app/profile/ada.bsky.social/post/1"/>'
+	);
+	expect(body).toContain('<id>https://sources.example/feeds/econ.atom</id>');
+	expect(body).toContain('<updated>2026-02-01T12:00:00.000Z</updated>');
+  });
+
+  test('JSON Feed describes the topic', () => {
+	expect(jsonFeed([])).toMatchObject({
+	  version: 'https://jsonfeed.org/version/1.1',
+	  title: 'Community Sources: Economics',
+	  description: 'Posts citing bea.gov, bls.gov, from across the networks',
+	  home_page_url: 'https://sources.example/',
+	  feed_url: 'https://sources.example/feeds/econ.json',
+	  items: [],
+	});
+  });
+});
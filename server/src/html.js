@@ -0,0 +1,130 @@
+// server/src/html.js
+//
+// Post bodies as HTML. Adapters build `html` from network text (linkifying
+// URLs, mentions and hashtags) or pass through the network's own HTML, and
+// createPost runs everything through sanitizePostHtml, so the client can
+// render `html` as-is.
+
+const sanitizeHtml = require('sanitize-html');
+
+const LINK_REL = 'noopener nofollow';
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+[^\s<>"'.,:;!?)\]]/u;
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&/#])#[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*/u;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+	'p', 'br', 'a', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'del',
+	'code', 'pre', 'blockquote', 'ul', 'ol', 'li',
+  ],
+  allowedAttributes: {
+	a: ['href', 'rel', 'target', 'class'],
+	span: ['class'],
+  },
+  // Mastodon marks up mentions and hashtags, and hides the middle of long
+  // URLs with invisible/ellipsis spans.
+  allowedClasses: {
+	a: ['mention', 'hashtag', 'u-url'],
+	span: ['invisible', 'ellipsis', 'h-card'],
+  },
+  allowedSchemes: ['http', 'https'],
+  allowProtocolRelative: false,
+  transformTags: {
+	a: (tagName, attribs) => ({
+	  tagName,
+	  attribs: { ...attribs, rel: LINK_REL, target: '_blank' },
+	}),
+  },
+};
+
+function escapeHtml(text) {
+  return String(text)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&#39;');
+}
+
+function sanitizePostHtml(html) {
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+function renderLink(href, text, className) {
+  const classAttribute = className ? ` class="${className}"` : '';
+  return `<a href="${escapeHtml(href)}"${classAttribute} rel="${LINK_REL}" target="_blank">${escapeHtml(text)}</a>`;
+}
+
+// Linkify rules: `pattern` finds the token, `href(token)` says where it
+// points (or null to leave it as text), and `label(token)` optionally
+// shortens what is shown.
+const urlRule = {
+  pattern: URL_PATTERN,
+  href: (url) => url,
+};
+
+function hashtagRule(tagUrl) {
+  return {
+	pattern: HASHTAG_PATTERN,
+	className: 'hashtag',
+	href: (hashtag) => tagUrl(hashtag.slice(1)),
+  };
+}
+
+// Turn plain text into HTML, escaping it and linking every token matched by
+// one of the rules. Line breaks are kept.
+function linkifyText(text, rules) {
+  let html = '';
+  let position = 0;
+
+  for (;;) {
+	let next = null;
+	for (const rule of rules) {
+	  const pattern = new RegExp(rule.pattern.source, 'gu');
+	  pattern.lastIndex = position;
+	  const match = pattern.exec(text);
+	  if (match && (!next || match.index < next.match.index)) {
+		next = { rule, match };
+	  }
+	}
+	if (!next) {
+	  break;
+	}
+
+	const token = next.match[0];
+	const href = next.rule.href(token);
+	html += escapeHtml(text.slice(position, next.match.index));
+	html += href
+	  ? renderLink(href, next.rule.label ? next.rule.label(token) : token, next.rule.className)
+	  : escapeHtml(token);
+	position = next.match.index + token.length;
+  }
+
+  html += escapeHtml(text.slice(position));
+  return html.replace(/\r?\n/g, '<br>');
+}
+
+// Plain text of network HTML such as Mastodon's: paragraphs and line breaks
+// become newlines, tags are dropped and entities decoded.
+function htmlToText(content) {
+  return content
+	.replace(/<br\s*\/?>/gi, '\n')
+	.replace(/<\/p>\s*<p>/gi, '\n\n')
+	.replace(/<[^>]+>/g, '')
+	.replace(/&lt;/g, '<')
+	.replace(/&gt;/g, '>')
+	.replace(/&quot;/g, '"')
+	.replace(/&#39;/g, "'")
+	.replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  URL_PATTERN,
+  escapeHtml,
+  sanitizePostHtml,
+  renderLink,
+  urlRule,
+  hashtagRule,
+  linkifyText,
+  htmlToText,
+};
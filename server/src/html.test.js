@@ -0,0 +1,80 @@
+const { sanitizePostHtml, linkifyText, urlRule, hashtagRule, htmlToText } = require('./html');
+
+const tagRule = hashtagRule((tag) => `https://example.org/tags/${tag}`);
+
+describe('sanitizePostHtml', () => {
+  test('drops scripts, event handlers and styles', () => {
+	expect(
+	  sanitizePostHtml('<p onclick="steal()">Hi<script>steal()</script><img src=x onerror=y></p>')
+	).toBe('<p>Hi</p>');
+	expect(sanitizePostHtml('<p style="color:red">Hi</p>')).toBe('<p>Hi</p>');
+  });
+
+  test('keeps only http(s) links and opens them safely', () => {
+	expect(sanitizePostHtml('<a href="javascript:alert(1)">x</a>')).toBe(
+	  '<a rel="noopener nofollow" target="_blank">x</a>'
+	);
+	expect(sanitizePostHtml('<a href="//evil.example/">x</a>')).toBe(
+	  '<a rel="noopener nofollow" target="_blank">x</a>'
+	);
+	expect(sanitizePostHtml('<a href="https://example.org/" rel="opener">x</a>')).toBe(
+	  '<a href="https://example.org/" rel="noopener nofollow" target="_blank">x</a>'
+	);
+  });
+
+  test("keeps Mastodon's mention, hashtag and URL markup classes only", () => {
+	expect(
+	  sanitizePostHtml(
+		'<a class="mention u-url evil" href="https://m.example/@a">@a</a>' +
+		  '<span class="invisible">https://</span><span class="big">x</span>'
+	  )
+	).toBe(
+	  '<a class="mention u-url" href="https://m.example/@a" rel="noopener nofollow" ' +
+		'target="_blank">@a</a><span class="invisible">https://</span><span>x</span>'
+	);
+  });
+});
+
+describe('linkifyText', () => {
+  test('escapes the text and links URLs without trailing punctuation', () => {
+	expect(linkifyText('<b> see https://example.org/a?b=1&c=2.', [urlRule])).toBe(
+	  '&lt;b&gt; see <a href="https://example.org/a?b=1&amp;c=2" rel="noopener nofollow" ' +
+		'target="_blank">https://example.org/a?b=1&amp;c=2</a>.'
+	);
+  });
+
+  test("doesn't let a URL break out of the href attribute", () => {
+	expect(linkifyText('https://example.org/"onmouseover="x', [urlRule])).toBe(
+	  '<a href="https://example.org/" rel="noopener nofollow" target="_blank">' +
+		'https://example.org/</a>&quot;onmouseover=&quot;x'
+	);
+  });
+
+  test('links hashtags with their rule, but not inside words, URLs or entities', () => {
+	expect(linkifyText('#news and #2024news', [tagRule])).toBe(
+	  '<a href="https://example.org/tags/news" class="hashtag" rel="noopener nofollow" ' +
+		'target="_blank">#news</a> and <a href="https://example.org/tags/2024news" ' +
+		'class="hashtag" rel="noopener nofollow" target="_blank">#2024news</a>'
+	);
+	expect(linkifyText('a#b #2024 &#39;', [tagRule])).toBe('a#b #2024 &amp;#39;');
+	expect(linkifyText('https://example.org/#section', [urlRule, tagRule])).toBe(
+	  '<a href="https://example.org/#section" rel="noopener nofollow" target="_blank">' +
+		'https://example.org/#section</a>'
+	);
+  });
+
+  test('keeps line breaks', () => {
+	expect(linkifyText('one\ntwo\r\nthree', [urlRule])).toBe('one<br>two<br>three');
+  });
+});
+
+describe('htmlToText', () => {
+  test('turns paragraphs and breaks into newlines and decodes entities', () => {
+	const html = '<p>Tom &amp; Jerry</p><p>a<br>&lt;b&gt; &quot;c&quot; &#39;d&#39;</p>';
+	expect(htmlToText(html)).toBe('Tom & Jerry\n\na\n<b> "c" \'d\'');
+  });
+
+  test('decodes &amp; last so escaped entities stay literal', () => {
+	expect(htmlToText('&amp;lt;')).toBe('&lt;');
+  });
+});
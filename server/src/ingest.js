@@ -0,0 +1,108 @@
+// server/src/ingest.js
+//
+// Background ingestion: polls every adapter for every topic on an interval
+// and writes the normalized posts into the store. Topics and adapters are
+// visited one at a time to stay gentle on upstream rate limits.
+
+const logger = require('./logger');
+const { getAdapters, collectPosts } = require('./adapters');
+const { getTopics } = require('./topics');
+const { publishPosts } = require('./live');
+const { saveModeratedPosts } = require('./moderation');
+const { getLatestPostDate, getBackfillCursor, setBackfillCursor } = require('./store');
+
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+let timer = null;
+let running = false;
+
+async function ingestTopic(topic) {
+  for (const adapter of getAdapters()) {
+	const context = {
+	  topic,
+	  preferredLanguages: process.env.INGEST_LANGUAGES || 'en-US',
+	  since: getLatestPostDate(topic.slug, adapter.name),
+	};
+
+	const { posts, cursor } = await collectPosts(adapter, context);
+	publishPosts(topic.slug, saveModeratedPosts(topic.slug, posts));
+	logger.info(`Ingested ${posts.length} ${adapter.label} posts for topic ${topic.slug}`);
+
+	// The first poll of a topic tells us where older posts start.
+	if (cursor && !getBackfillCursor(topic.slug, adapter.name)) {
+	  setBackfillCursor(topic.slug, adapter.name, cursor);
+	}
+  }
+}
+
+const backfills = new Map();
+
+// Fetch one page of older posts for a topic from every network that has
+// more to give, and pass the new ones on to open streams (see live.js).
+// Concurrent calls for the same topic share one backfill.
+function backfillTopic(topic) {
+  if (!backfills.has(topic.slug)) {
+	const backfill = (async () => {
+	  let saved = 0;
+	  for (const adapter of getAdapters()) {
+		const position = getBackfillCursor(topic.slug, adapter.name);
+		if (!position || position.exhausted) {
+		  continue;
+		}
+
+		const { posts, cursor } = await collectPosts(adapter, {
+		  topic,
+		  preferredLanguages: process.env.INGEST_LANGUAGES || 'en-US',
+		  cursor: position.cursor,
+		});
+		publishPosts(topic.slug, saveModeratedPosts(topic.slug, posts));
+		setBackfillCursor(topic.slug, adapter.name, cursor);
+		saved += posts.length;
+	  }
+	  logger.info(`Backfilled ${saved} posts for topic ${topic.slug}`);
+	  return saved;
+	})();
+
+	backfills.set(topic.slug, backfill);
+	backfill.catch(() => {}).then(() => backfills.delete(topic.slug));
+  }
+  return backfills.get(topic.slug);
+}
+
+// Run one pass over all topics. Overlapping passes are skipped rather than
+// queued, so a slow network can't pile up work.
+async function runIngestion() {
+  if (running) {
+	logger.warn('Ingestion pass still running, skipping');
+	return;
+  }
+
+  running = true;
+  const startedAt = Date.now();
+  try {
+	for (const topic of getTopics()) {
+	  await ingestTopic(topic);
+	}
+	logger.info(`Ingestion pass finished in ${Date.now() - startedAt}ms`);
+  } catch (error) {
+	logger.error(`Ingestion pass failed: ${error.message}`);
+  } finally {
+	running = false;
+  }
+}
+
+function startIngestion(intervalMs = parseInt(process.env.INGEST_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  if (timer) {
+	return;
+  }
+  logger.info(`Starting ingestion every ${intervalMs}ms`);
+  runIngestion();
+  timer = setInterval(runIngestion, intervalMs);
+}
+
+function stopIngestion() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { runIngestion, backfillTopic, startIngestion, stopIngestion };
@@ -0,0 +1,276 @@
+// server/src/jetstream.js
+//
+// Optional Bluesky firehose ingestion. Rather than relying only on the
+// topic feed generators, we consume a Jetstream event stream (one JSON
+// event per repository commit), keep the new posts whose links match a
+// topic's domains and store them like any other ingested post.
+//
+//   BLUESKY_JETSTREAM          `true` for the public endpoint, or the URL of
+//                              a Jetstream /subscribe endpoint
+//   BLUESKY_JETSTREAM_FIXTURE  file of recorded events, one JSON object per
+//                              line, to replay instead of connecting
+
+const fs = require('fs');
+const readline = require('readline');
+const WebSocket = require('ws');
+const logger = require('./logger');
+const bluesky = require('./adapters/bluesky');
+const { getTopics } = require('./topics');
+const { getRegistry } = require('./registry');
+const { extractUrls } = require('./posts');
+const { classifyPost, isCandidate, citesTopic } = require('./sources');
+const { getSetting, setSetting } = require('./store');
+const { saveModeratedPosts } = require('./moderation');
+const { publishPosts } = require('./live');
+
+const DEFAULT_ENDPOINT = 'wss://jetstream2.us-east.bsky.network/subscribe';
+const POST_COLLECTION = 'app.bsky.feed.post';
+const LINK_FEATURE = 'app.bsky.richtext.facet#link';
+const CURSOR_KEY = 'bluesky.jetstream.cursor';
+
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_BATCH = 100;
+// Resume a few seconds early after a disconnect so nothing in flight is
+// lost; replayed posts are simply upserted again.
+const REWIND_MICROSECONDS = 5 * 1000 * 1000;
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 5 * 60 * 1000;
+
+const status = {
+  mode: null,
+  connected: false,
+  events: 0,
+  matched: 0,
+  saved: 0,
+  cursor: null,
+  lastError: null,
+};
+
+let pending = [];
+let flushing = null;
+let socket = null;
+let flushTimer = null;
+let reconnectTimer = null;
+let reconnectDelay = MIN_RECONNECT_DELAY_MS;
+
+// URLs a post record cites: link facets, an external embed (alone or next
+// to a quoted post) and any bare URLs left in the text.
+function recordLinks(record) {
+  const links = [];
+  for (const facet of record.facets || []) {
+	for (const feature of facet.features || []) {
+	  if (feature.$type === LINK_FEATURE) {
+		links.push(feature.uri);
+	  }
+	}
+  }
+  const external = record.embed?.external || record.embed?.media?.external;
+  if (external?.uri) {
+	links.push(external.uri);
+  }
+  return links.concat(extractUrls(record.text || ''));
+}
+
+// Queue new posts that may cite one of our topics. Everything else in the
+// stream (deletes, likes, identity events, ...) only advances the cursor.
+function handleEvent(event) {
+  status.events++;
+  if (event.time_us) {
+	status.cursor = event.time_us;
+  }
+
+  const { commit } = event;
+  if (
+	event.kind !== 'commit' ||
+	!commit ||
+	commit.operation !== 'create' ||
+	commit.collection !== POST_COLLECTION ||
+	!commit.record
+  ) {
+	return;
+  }
+
+  const links = recordLinks(commit.record);
+  if (getTopics().some((topic) => isCandidate(links, topic))) {
+	status.matched++;
+	pending.push(event);
+  }
+}
+
+// Shape a commit like the feed items the Bluesky adapter normalizes. Without
+// a profile the DID stands in for the handle.
+function toFeedItem(event, author) {
+  return {
+	post: {
+	  uri: `at://${event.did}/${POST_COLLECTION}/${event.commit.rkey}`,
+	  cid: event.commit.cid,
+	  author: author || { did: event.did, handle: event.did },
+	  record: event.commit.record,
+	  indexedAt: new Date(Math.floor(event.time_us / 1000)).toISOString(),
+	},
+  };
+}
+
+async function saveBatch(batch, cursor) {
+  let authors = new Map();
+  try {
+	authors = await bluesky.getAuthors(Array.from(new Set(batch.map((event) => event.did))));
+  } catch (error) {
+	logger.warn(`Could not look up Bluesky authors: ${error.message}`);
+  }
+
+  const topics = getTopics();
+  const postsByTopic = new Map();
+  for (const event of batch) {
+	try {
+	  const post = await classifyPost(
+		await bluesky.normalize(toFeedItem(event, authors.get(event.did))),
+		topics,
+		getRegistry()
+	  );
+	  for (const topic of topics.filter((topic) => citesTopic(post, topic))) {
+		postsByTopic.set(topic.slug, (postsByTopic.get(topic.slug) || []).concat(post));
+	  }
+	} catch (error) {
+	  logger.warn(`Skipping Jetstream post ${event.did}/${event.commit.rkey}: ${error.message}`);
+	}
+  }
+
+  for (const [slug, posts] of postsByTopic) {
+	publishPosts(slug, saveModeratedPosts(slug, posts));
+	status.saved += posts.length;
+	logger.info(`Ingested ${posts.length} Jetstream posts for topic ${slug}`);
+  }
+
+  // Replays don't move the live stream's position.
+  if (status.mode === 'live' && cursor) {
+	setSetting(CURSOR_KEY, cursor);
+  }
+}
+
+// Save the queued posts. Only one batch is written at a time; events that
+// arrive meanwhile wait for the next flush.
+function flush() {
+  if (!flushing && pending.length > 0) {
+	const batch = pending;
+	pending = [];
+	flushing = saveBatch(batch, status.cursor)
+	  .catch((error) => {
+		status.lastError = error.message;
+		logger.error(`Could not save Jetstream posts: ${error.message}`);
+	  })
+	  .then(() => {
+		flushing = null;
+	  });
+  }
+  return flushing || Promise.resolve();
+}
+
+function connect(endpoint) {
+  const url = new URL(endpoint);
+  url.searchParams.set('wantedCollections', POST_COLLECTION);
+  // Resume after the last event seen, or after a restart where the last
+  // saved batch ended.
+  const cursor = status.cursor || getSetting(CURSOR_KEY);
+  if (cursor) {
+	url.searchParams.set('cursor', String(cursor - REWIND_MICROSECONDS));
+  }
+
+  socket = new WebSocket(url.toString());
+
+  socket.on('open', () => {
+	status.connected = true;
+	reconnectDelay = MIN_RECONNECT_DELAY_MS;
+	logger.info(`Connected to Jetstream at ${url.origin}`);
+  });
+
+  socket.on('message', (data) => {
+	let event;
+	try {
+	  event = JSON.parse(data);
+	} catch (error) {
+	  return;
+	}
+	handleEvent(event);
+	if (pending.length >= MAX_BATCH) {
+	  flush();
+	}
+  });
+
+  socket.on('error', (error) => {
+	status.lastError = error.message;
+	logger.warn(`Jetstream error: ${error.message}`);
+  });
+
+  socket.on('close', () => {
+	status.connected = false;
+	socket = null;
+	if (status.mode !== 'live') {
+	  return;
+	}
+	logger.info(`Jetstream closed, reconnecting in ${reconnectDelay}ms`);
+	reconnectTimer = setTimeout(() => connect(endpoint), reconnectDelay);
+	reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  });
+}
+
+async function replay(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+	if (!line.trim()) {
+	  continue;
+	}
+	try {
+	  handleEvent(JSON.parse(line));
+	} catch (error) {
+	  logger.warn(`Skipping malformed Jetstream event: ${error.message}`);
+	}
+	if (pending.length >= MAX_BATCH) {
+	  await flush();
+	}
+  }
+  await flush();
+  logger.info(`Replayed ${status.events} Jetstream events from ${file}, saved ${status.saved} posts`);
+}
+
+// Start consuming the stream if it is configured. A replay resolves once the
+// whole file has been processed; a live stream runs until stopJetstream().
+function startJetstream() {
+  const fixture = process.env.BLUESKY_JETSTREAM_FIXTURE;
+  const endpoint = process.env.BLUESKY_JETSTREAM;
+
+  if (fixture) {
+	status.mode = 'replay';
+	return replay(fixture).catch((error) => {
+	  status.lastError = error.message;
+	  logger.error(`Jetstream replay failed: ${error.message}`);
+	});
+  }
+  if (!endpoint || endpoint === 'false' || status.mode === 'live') {
+	return Promise.resolve();
+  }
+
+  status.mode = 'live';
+  connect(endpoint === 'true' ? DEFAULT_ENDPOINT : endpoint);
+  flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+  return Promise.resolve();
+}
+
+function stopJetstream() {
+  status.mode = null;
+  status.connected = false;
+  clearInterval(flushTimer);
+  clearTimeout(reconnectTimer);
+  flushTimer = null;
+  reconnectTimer = null;
+  if (socket) {
+	socket.close();
+  }
+  return flush();
+}
+
+function getJetstreamStatus() {
+  return { ...status, pending: pending.length };
+}
+
+module.exports = { startJetstream, stopJetstream, getJetstreamStatus };
@@ -0,0 +1,54 @@
+const path = require('path');
+const { startJetstream, getJetstreamStatus } = require('./jetstream');
+const { getPosts } = require('./store');
+
+const FIXTURE = path.join(__dirname, '../fixtures/jetstream.jsonl');
+
+const postIds = (topic) => getPosts({ topic }).posts.map((post) => post.id);
+
+describe('Jetstream fixture replay', () => {
+  beforeAll(() => {
+	process.env.BLUESKY_JETSTREAM_FIXTURE = FIXTURE;
+	return startJetstream();
+  });
+
+  afterAll(() => {
+	delete process.env.BLUESKY_JETSTREAM_FIXTURE;
+  });
+
+  test('reads every event but only queues new posts citing a topic', () => {
+	expect(getJetstreamStatus()).toMatchObject({
+	  mode: 'replay',
+	  events: 8,
+	  matched: 3,
+	  cursor: 1760000008000000,
+	  lastError: null,
+	  pending: 0,
+	});
+  });
+
+  test('files each post under every topic it cites', () => {
+	expect(postIds('econ')).toEqual(['at://did:plc:fixtureecon1/app.bsky.feed.post/3lfixture001']);
+	expect(postIds('sci')).toEqual(['at://did:plc:fixturesci1/app.bsky.feed.post/3lfixture004']);
+	expect(postIds('film')).toEqual(['at://did:plc:fixturefilm1/app.bsky.feed.post/3lfixture007']);
+	expect(postIds('sources')).toHaveLength(2);
+	expect(postIds('music')).toEqual([]);
+  });
+
+  test('normalizes the stored posts and their citations', () => {
+	const [post] = getPosts({ topic: 'sci' }).posts;
+	expect(post).toMatchObject({
+	  network: 'bluesky',
+	  author: { id: 'did:plc:fixturesci1' },
+	  text: 'New preprint on protein folding',
+	  card: { url: 'https://arxiv.org/abs/2410.01234' },
+	  permalink: 'https://bsky.app/profile/did:plc:fixturesci1/post/3lfixture004',
+	});
+	expect(post.citations).toEqual([
+	  expect.objectContaining({
+		url: 'https://arxiv.org/abs/2410.01234',
+		source: expect.objectContaining({ name: 'arXiv', peerReviewed: false }),
+	  }),
+	]);
+  });
+});
@@ -0,0 +1,35 @@
+// server/src/live.js
+//
+// Live updates for readers with a feed open. Ingestion (the polling loop and
+// Jetstream) publishes the posts it newly files under a topic, and
+// /api/stream passes them on to every client watching that topic as
+// Server-Sent Events.
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open stream.
+emitter.setMaxListeners(0);
+
+// Topic slugs are user-chosen, so they're namespaced before becoming event
+// names: a topic called `error` would otherwise make every publish throw.
+function eventName(topic) {
+  return `topic:${topic}`;
+}
+
+// Tell the topic's watchers about newly ingested posts.
+function publishPosts(topic, posts) {
+  if (posts.length > 0) {
+	emitter.emit(eventName(topic), posts);
+  }
+}
+
+// Call `listener(posts)` whenever posts are published for a topic. Returns a
+// function that stops listening.
+function subscribe(topic, listener) {
+  const event = eventName(topic);
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+}
+
+module.exports = { publishPosts, subscribe };
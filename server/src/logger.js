@@ -0,0 +1,17 @@
+// server/src/logger.js
+
+const winston = require('winston');
+
+// Logging configuration
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'community-sources' },
+  transports: [
+	new winston.transports.Console({
+	  format: winston.format.simple(),
+	}),
+  ],
+});
+
+module.exports = logger;
@@ -0,0 +1,479 @@
+// server/src/moderation.js
+//
+// Server-side moderation. Every ingested post is checked before it is
+// stored:
+//
+//   blocked   by an author or domain blocklist: dropped
+//   held      matching a keyword filter, carrying a moderation label we act
+//             on (Bluesky labels, NIP-56 reports) or reported by enough
+//             signed-in readers: stored, but hidden until an admin reviews it
+//
+// Held and reported posts wait in the review queue, where admins approve or
+// hide them, or block their author. Hidden posts are flagged in the posts
+// table and left out of every feed, ranking and search.
+//
+// Blocklists, keyword filters and label policy come from
+// config/moderation.json (or the file named by MODERATION_CONFIG); admins
+// can add rules at runtime, which also apply to posts already stored. Adult
+// and graphic media labels aren't held: the client blurs that media instead
+// (see `sensitive` in posts.js).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { db, savePosts } = require('./store');
+const { getAdapter } = require('./adapters');
+const { parseDomainRule, matchDomainRules } = require('./sources');
+const { requestError } = require('./accounts');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/moderation.json');
+
+const RULE_KINDS = ['author', 'domain', 'keyword'];
+const REPORT_REASONS = ['spam', 'misleading', 'abusive', 'sexual', 'other'];
+const QUEUE_STATUSES = ['held', 'reported', 'hidden', 'approved'];
+const MAX_RULE_LENGTH = 200;
+
+function loadConfig(configPath = process.env.MODERATION_CONFIG || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return {
+	blockedAuthors: config.blockedAuthors || {},
+	blockedDomains: config.blockedDomains || [],
+	keywords: config.keywords || [],
+	holdLabels: { bluesky: [], nostr: [], ...config.holdLabels },
+	nostrReportThreshold: config.nostrReportThreshold || 2,
+	readerReportThreshold: config.readerReportThreshold || 3,
+  };
+}
+
+const config = loadConfig();
+
+// Keys the hashes that tell signed-out reporters apart, so they can't be
+// reversed into IP addresses. Without REPORTER_SECRET a key is made at
+// startup, and a restart lets everyone report each post again.
+const REPORTER_KEY = process.env.REPORTER_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.REPORTER_SECRET) {
+  logger.warn('REPORTER_SECRET is not set; using a random key until restart');
+}
+
+const statements = {
+  listRules: db.prepare('SELECT * FROM moderation_rules ORDER BY kind, network, value'),
+  insertRule: db.prepare(`
+	INSERT INTO moderation_rules (kind, network, value, created_at, created_by)
+	VALUES (@kind, @network, @value, @createdAt, @createdBy)
+	ON CONFLICT DO NOTHING
+  `),
+  deleteRule: db.prepare(
+	'DELETE FROM moderation_rules WHERE kind = @kind AND network = @network AND value = @value'
+  ),
+  visiblePosts: db.prepare('SELECT data FROM posts WHERE hidden = 0'),
+  // What applyRule looks at for each kind of rule: a superset of the
+  // visible posts the rule can match, found without parsing every post.
+  authorCandidates: db.prepare(`
+	SELECT data FROM posts
+	WHERE hidden = 0
+	  AND (@network = '*' OR network = @network)
+	  AND @value IN (
+		lower(json_extract(data, '$.author.id')),
+		lower(json_extract(data, '$.author.handle')),
+		lower(json_extract(data, '$.author.url'))
+	  )
+  `),
+  domainCandidates: db.prepare(`
+	SELECT data FROM posts
+	WHERE hidden = 0 AND (@network = '*' OR network = @network) AND data LIKE @pattern
+  `),
+  keywordCandidates: db.prepare(`
+	SELECT posts.data FROM posts_search
+	JOIN posts ON posts.rowid = posts_search.rowid
+	WHERE posts_search MATCH @query
+	  AND posts.hidden = 0
+	  AND (@network = '*' OR posts.network = @network)
+  `),
+  storedPost: db.prepare('SELECT data, hidden FROM posts WHERE network = ? AND id = ?'),
+  setHidden: db.prepare('UPDATE posts SET hidden = @hidden WHERE network = @network AND id = @id'),
+  queueEntry: db.prepare('SELECT * FROM moderation_queue WHERE network = ? AND id = ?'),
+  flag: db.prepare(`
+	INSERT INTO moderation_queue (network, id, status, reasons, flagged_at)
+	VALUES (@network, @id, @status, @reasons, @flaggedAt)
+	ON CONFLICT DO NOTHING
+  `),
+  setStatus: db.prepare(`
+	UPDATE moderation_queue SET status = @status WHERE network = @network AND id = @id
+  `),
+  review: db.prepare(`
+	INSERT INTO moderation_queue
+	  (network, id, status, reasons, flagged_at, reviewed_at, reviewed_by)
+	VALUES (@network, @id, @status, '[]', @reviewedAt, @reviewedAt, @userId)
+	ON CONFLICT (network, id) DO UPDATE SET
+	  status = excluded.status,
+	  reviewed_at = excluded.reviewed_at,
+	  reviewed_by = excluded.reviewed_by
+  `),
+  queue: db.prepare(`
+	SELECT moderation_queue.*, posts.data FROM moderation_queue
+	JOIN posts USING (network, id)
+	WHERE moderation_queue.status IN (SELECT value FROM json_each(@statuses))
+	ORDER BY moderation_queue.flagged_at DESC
+	LIMIT @limit
+  `),
+  report: db.prepare(`
+	INSERT INTO post_reports (network, id, reporter, reason, created_at)
+	VALUES (@network, @id, @reporter, @reason, @createdAt)
+	ON CONFLICT (network, id, reporter) DO UPDATE SET reason = excluded.reason
+  `),
+  reportCounts: db.prepare(`
+	SELECT reason, COUNT(*) AS count FROM post_reports
+	WHERE network = ? AND id = ?
+	GROUP BY reason ORDER BY count DESC
+  `),
+  signedInReports: db.prepare(`
+	SELECT COUNT(*) AS count FROM post_reports
+	WHERE network = ? AND id = ? AND reporter LIKE 'user:%'
+  `),
+};
+
+// --- rules
+
+function configRules() {
+  const rules = [];
+  for (const [network, authors] of Object.entries(config.blockedAuthors)) {
+	authors.forEach((value) => rules.push({ kind: 'author', network, value, source: 'config' }));
+  }
+  config.blockedDomains.forEach((value) =>
+	rules.push({ kind: 'domain', network: '*', value, source: 'config' })
+  );
+  config.keywords.forEach((value) =>
+	rules.push({ kind: 'keyword', network: '*', value, source: 'config' })
+  );
+  return rules;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rules compiled for matching, rebuilt whenever admins change them.
+let compiled = null;
+
+function compileRules() {
+  const rules = listRules();
+  compiled = {
+	authors: rules
+	  .filter((rule) => rule.kind === 'author')
+	  .map((rule) => ({ ...rule, value: rule.value.toLowerCase() })),
+	domains: rules
+	  .filter((rule) => rule.kind === 'domain')
+	  .map((rule) => ({ ...rule, parsed: parseDomainRule(rule.value) })),
+	keywords: rules
+	  .filter((rule) => rule.kind === 'keyword')
+	  .map((rule) => ({
+		...rule,
+		pattern: new RegExp(
+		  `(?<![\\p{L}\\p{N}])${escapeRegExp(rule.value)}(?![\\p{L}\\p{N}])`,
+		  'iu'
+		),
+	  })),
+  };
+  return compiled;
+}
+
+function appliesTo(rule, post) {
+  return rule.network === '*' || rule.network === post.network;
+}
+
+// How rules and admins identify a post's author: the account URL on
+// Mastodon (account ids are per instance), the DID or pubkey elsewhere.
+function authorKey(post) {
+  return post.network === 'mastodon' ? post.author.url : post.author.id;
+}
+
+// Why a post must not be stored at all, or null.
+function blockReason(post) {
+  const { authors, domains } = compiled || compileRules();
+  const identities = [authorKey(post), post.author.id, post.author.handle]
+	.filter(Boolean)
+	.map((identity) => identity.toLowerCase());
+
+  const author = authors.find((rule) => appliesTo(rule, post) && identities.includes(rule.value));
+  if (author) {
+	return `Blocked author ${author.value}`;
+  }
+
+  const urls = post.links.concat(post.citations.map((citation) => citation.url));
+  for (const url of urls) {
+	const rule = matchDomainRules(
+	  url,
+	  domains.filter((candidate) => appliesTo(candidate, post)).map((candidate) => candidate.parsed)
+	);
+	if (rule) {
+	  return `Blocked domain ${rule}`;
+	}
+  }
+  return null;
+}
+
+// Why a post should wait for review before it is shown; empty if it needn't.
+function holdReasons(post) {
+  const { keywords } = compiled || compileRules();
+  const reasons = keywords
+	.filter((rule) => appliesTo(rule, post) && rule.pattern.test(post.text))
+	.map((rule) => `Keyword "${rule.value}"`);
+
+  for (const label of post.labels || []) {
+	if (label.source === 'nip56') {
+	  const held = config.holdLabels.nostr.includes(label.value);
+	  if (held && label.count >= config.nostrReportThreshold) {
+		reasons.push(`${label.count} Nostr reports for ${label.value}`);
+	  }
+	} else if (post.network === 'bluesky' && config.holdLabels.bluesky.includes(label.value)) {
+	  reasons.push(`Bluesky label ${label.value}`);
+	}
+  }
+  return reasons;
+}
+
+function listRules() {
+  const added = statements.listRules.all().map((row) => ({
+	kind: row.kind,
+	network: row.network,
+	value: row.value,
+	source: 'admin',
+	createdAt: row.created_at,
+  }));
+  return configRules().concat(added);
+}
+
+function hidePost(post, status, reasons) {
+  const row = { network: post.network, id: post.id };
+  statements.flag.run({
+	...row,
+	status,
+	reasons: JSON.stringify(reasons),
+	flaggedAt: new Date().toISOString(),
+  });
+  statements.setHidden.run({ ...row, hidden: 1 });
+}
+
+// The stored posts a new rule could apply to. Author rules compare the
+// author fields, domain rules look for the host anywhere in the post and
+// keyword filters use the search index (see store.js), whose word matching
+// is at least as loose as holdReasons'.
+function candidateRows({ kind, network, value }) {
+  if (kind === 'author') {
+	return statements.authorCandidates.all({ network, value });
+  }
+  if (kind === 'domain') {
+	const { host } = parseDomainRule(value);
+	return statements.domainCandidates.all({ network, pattern: `%${host}%` });
+  }
+  const words = value.match(/[\p{L}\p{N}]+/gu);
+  return words
+	? statements.keywordCandidates.all({ network, query: `text : "${words.join(' ')}"` })
+	: statements.visiblePosts.all();
+}
+
+// Apply a new rule to the posts already stored: blocks hide matching posts,
+// keyword filters hold them for review. Approved posts are left alone.
+const applyRule = db.transaction((rule) => {
+  const { kind } = rule;
+  let affected = 0;
+  for (const row of candidateRows(rule)) {
+	const post = JSON.parse(row.data);
+	const entry = statements.queueEntry.get(post.network, post.id);
+	if (entry && entry.status === 'approved') {
+	  continue;
+	}
+	const block = kind === 'keyword' ? null : blockReason(post);
+	const reasons = kind === 'keyword' ? holdReasons(post) : [];
+	if (block) {
+	  hidePost(post, 'hidden', [block]);
+	  affected++;
+	} else if (reasons.length > 0) {
+	  hidePost(post, 'held', reasons);
+	  affected++;
+	}
+  }
+  return affected;
+});
+
+function validateRule({ kind, network = '*', value }) {
+  if (!RULE_KINDS.includes(kind)) {
+	throw requestError(400, `Rule kind must be one of ${RULE_KINDS.join(', ')}`);
+  }
+  if (network !== '*' && !getAdapter(network)) {
+	throw requestError(400, `Unknown network "${network}"`);
+  }
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_RULE_LENGTH) {
+	throw requestError(400, `Rules need a value of at most ${MAX_RULE_LENGTH} characters`);
+  }
+  return { kind, network, value: kind === 'keyword' ? value.trim() : value.trim().toLowerCase() };
+}
+
+// Add a blocklist entry or keyword filter; resolves to how many stored posts
+// it hid.
+function addRule(userId, fields) {
+  const rule = validateRule(fields);
+  statements.insertRule.run({ ...rule, createdAt: new Date().toISOString(), createdBy: userId });
+  compileRules();
+  const affected = applyRule(rule);
+  logger.info(
+	`Added moderation rule ${rule.kind} ${rule.network} "${rule.value}", hid ${affected} posts`
+  );
+  return { rule, affected };
+}
+
+// Rules from the config file can only be removed there. Posts the rule hid
+// stay hidden until an admin approves them.
+function removeRule(fields) {
+  const rule = validateRule(fields);
+  const { changes } = statements.deleteRule.run(rule);
+  if (changes === 0) {
+	throw requestError(404, 'No such rule');
+  }
+  compileRules();
+}
+
+// --- ingestion
+
+// savePosts for ingestion: drops blocked posts, stores the rest and holds
+// those that need review. Returns the newly added posts that are visible.
+const saveModeratedPosts = db.transaction((topic, posts) => {
+  const allowed = posts.filter((post) => {
+	const reason = blockReason(post);
+	if (reason) {
+	  logger.info(`Dropped ${post.network} post ${post.id}: ${reason}`);
+	}
+	return !reason;
+  });
+
+  const added = savePosts(topic, allowed);
+  for (const post of allowed) {
+	const reasons = holdReasons(post);
+	const entry = statements.queueEntry.get(post.network, post.id);
+	if (reasons.length > 0 && !entry) {
+	  hidePost(post, 'held', reasons);
+	}
+  }
+
+  return added.filter((post) => !statements.storedPost.get(post.network, post.id).hidden);
+});
+
+// Whether a post fetched outside ingestion (a reply in a thread, say) may
+// be shown. Stored posts have been moderated already; others must pass the
+// checks ingested posts do, since nobody reviews them.
+function isShowable(post) {
+  const stored = statements.storedPost.get(post.network, post.id);
+  if (stored) {
+	return !stored.hidden;
+  }
+  return !blockReason(post) && holdReasons(post).length === 0;
+}
+
+// --- reports and review
+
+// How reports identify a reader: `user:<id>` when signed in, else a keyed
+// hash of their IP address.
+function reporterId(user, ip) {
+  return user
+	? `user:${user.id}`
+	: `ip:${crypto.createHmac('sha256', REPORTER_KEY).update(ip).digest('hex')}`;
+}
+
+// A reader reports a stored post. `reporter` (see reporterId) identifies the
+// reader, so each counts once. Every report puts the post in the review
+// queue, but only signed-in readers' reports count toward holding it, since
+// anyone can report from a few addresses.
+function reportPost({ network, id, reason, reporter }) {
+  if (!REPORT_REASONS.includes(reason)) {
+	throw requestError(400, `Reason must be one of ${REPORT_REASONS.join(', ')}`);
+  }
+  const stored =
+	typeof network === 'string' && typeof id === 'string'
+	  ? statements.storedPost.get(network, id)
+	  : null;
+  if (!stored) {
+	throw requestError(404, 'No such post');
+  }
+
+  db.transaction(() => {
+	const now = new Date().toISOString();
+	statements.report.run({ network, id, reporter, reason, createdAt: now });
+	statements.flag.run({ network, id, status: 'reported', reasons: '[]', flaggedAt: now });
+
+	const reports = statements.signedInReports.get(network, id).count;
+	const entry = statements.queueEntry.get(network, id);
+	if (entry.status === 'reported' && reports >= config.readerReportThreshold) {
+	  statements.setStatus.run({ network, id, status: 'held' });
+	  statements.setHidden.run({ network, id, hidden: 1 });
+	}
+  })();
+}
+
+function describeEntry(row) {
+  return {
+	network: row.network,
+	id: row.id,
+	status: row.status,
+	reasons: JSON.parse(row.reasons),
+	reports: statements.reportCounts.all(row.network, row.id),
+	flaggedAt: row.flagged_at,
+	reviewedAt: row.reviewed_at,
+	post: JSON.parse(row.data),
+  };
+}
+
+// The review queue, newest first: held and reported posts by default.
+function listQueue({ statuses = ['held', 'reported'], limit = 100 } = {}) {
+  if (!statuses.every((status) => QUEUE_STATUSES.includes(status))) {
+	throw requestError(400, `Status must be one of ${QUEUE_STATUSES.join(', ')}`);
+  }
+  return statements.queue.all({ statuses: JSON.stringify(statuses), limit }).map(describeEntry);
+}
+
+const DECISIONS = ['approve', 'hide', 'block'];
+
+// An admin's decision on a post: approve shows it (and keeps it from being
+// held again), hide hides it, block hides it and blocks its author.
+function reviewPost(userId, { network, id, decision }) {
+  if (!DECISIONS.includes(decision)) {
+	throw requestError(400, `Decision must be one of ${DECISIONS.join(', ')}`);
+  }
+  const stored =
+	typeof network === 'string' && typeof id === 'string'
+	  ? statements.storedPost.get(network, id)
+	  : null;
+  if (!stored) {
+	throw requestError(404, 'No such post');
+  }
+
+  db.transaction(() => {
+	statements.review.run({
+	  network,
+	  id,
+	  status: decision === 'approve' ? 'approved' : 'hidden',
+	  reviewedAt: new Date().toISOString(),
+	  userId,
+	});
+	statements.setHidden.run({ network, id, hidden: decision === 'approve' ? 0 : 1 });
+  })();
+
+  if (decision === 'block') {
+	const post = JSON.parse(stored.data);
+	addRule(userId, { kind: 'author', network, value: authorKey(post) });
+  }
+  return describeEntry({ ...statements.queueEntry.get(network, id), data: stored.data });
+}
+
+module.exports = {
+  REPORT_REASONS,
+  reporterId,
+  saveModeratedPosts,
+  isShowable,
+  reportPost,
+  listQueue,
+  reviewPost,
+  listRules,
+  addRule,
+  removeRule,
+};
@@ -0,0 +1,184 @@
+const { createPost } = require('./posts');
+const { getPosts } = require('./store');
+const crypto = require('crypto');
+const {
+  saveModeratedPosts,
+  isShowable,
+  addRule,
+  removeRule,
+  listQueue,
+  reportPost,
+  reporterId,
+} = require('./moderation');
+
+let nextId = 1;
+
+function post({ network = 'bluesky', author = {}, text = '', links = [], labels = [] } = {}) {
+  return createPost({
+	id: `test-${nextId++}`,
+	network,
+	author: { id: 'did:plc:someone', handle: 'someone.bsky.social', ...author },
+	text,
+	links,
+	labels,
+	createdAt: '2026-01-01T00:00:00Z',
+  });
+}
+
+describe('author blocklist', () => {
+  beforeAll(() =>
+	addRule(null, { kind: 'author', network: 'bluesky', value: 'Spammer.bsky.social' })
+  );
+
+  test('matches the handle or id case-insensitively', () => {
+	expect(isShowable(post({ author: { handle: 'spammer.bsky.social' } }))).toBe(false);
+	expect(isShowable(post({ author: { id: 'SPAMMER.bsky.social' } }))).toBe(false);
+	expect(isShowable(post())).toBe(true);
+  });
+
+  test("only applies to the rule's network", () => {
+	const mastodon = post({ network: 'mastodon', author: { handle: 'spammer.bsky.social' } });
+	expect(isShowable(mastodon)).toBe(true);
+  });
+});
+
+describe('domain blocklist', () => {
+  beforeAll(() => {
+	addRule(null, { kind: 'domain', value: 'blocked.example' });
+	addRule(null, { kind: 'domain', value: 'news.example/ads' });
+  });
+
+  test('blocks the domain and its subdomains', () => {
+	expect(isShowable(post({ links: ['https://blocked.example/story'] }))).toBe(false);
+	expect(isShowable(post({ links: ['https://www.blocked.example/'] }))).toBe(false);
+	expect(isShowable(post({ links: ['https://notblocked.example/'] }))).toBe(true);
+  });
+
+  test('blocks only below a path prefix when the rule has one', () => {
+	expect(isShowable(post({ links: ['https://news.example/ads/1'] }))).toBe(false);
+	expect(isShowable(post({ links: ['https://news.example/adsense'] }))).toBe(true);
+	expect(isShowable(post({ links: ['https://news.example/politics'] }))).toBe(true);
+  });
+});
+
+describe('keyword filters', () => {
+  beforeAll(() => addRule(null, { kind: 'keyword', value: 'crypto giveaway' }));
+
+  test('hold posts containing the phrase as whole words', () => {
+	expect(isShowable(post({ text: 'Huge CRYPTO GIVEAWAY today!' }))).toBe(false);
+	expect(isShowable(post({ text: 'No crypto giveaways here' }))).toBe(true);
+  });
+});
+
+describe('labels', () => {
+  const labelled = (value) =>
+	post({ labels: [{ value, source: 'did:plc:moderation', count: 1 }] });
+
+  test('hold Bluesky posts labelled for takedown or spam', () => {
+	expect(isShowable(labelled('!takedown'))).toBe(false);
+	expect(isShowable(labelled('spam'))).toBe(false);
+  });
+
+  test('leave adult and graphic media to the blur', () => {
+	for (const value of ['porn', 'sexual', 'nudity', 'graphic-media', 'gore']) {
+	  expect(isShowable(labelled(value))).toBe(true);
+	}
+  });
+});
+
+describe('saveModeratedPosts', () => {
+  test('drops blocked posts and hides held ones until reviewed', () => {
+	const blocked = post({ author: { handle: 'spammer.bsky.social' }, text: 'Buy now' });
+	const held = post({ text: 'crypto giveaway inside' });
+	const fine = post({ text: 'A fine post' });
+
+	const visible = saveModeratedPosts('econ', [blocked, held, fine]);
+
+	expect(visible.map((saved) => saved.id)).toEqual([fine.id]);
+	expect(getPosts({ topic: 'econ' }).posts.map((saved) => saved.id)).toEqual([fine.id]);
+	expect(listQueue().map((entry) => entry.id)).toEqual([held.id]);
+  });
+
+  test('new rules hide matching posts already stored', () => {
+	const stored = post({ links: ['https://later.example/page'] });
+	saveModeratedPosts('econ', [stored]);
+
+	expect(addRule(null, { kind: 'domain', value: 'later.example' }).affected).toBe(1);
+	expect(isShowable(stored)).toBe(false);
+  });
+
+  test('new author rules hide only that author on that network', () => {
+	const author = { id: 'did:plc:later', handle: 'later.bsky.social' };
+	const bluesky = post({ author });
+	const nostr = post({ network: 'nostr', author });
+	saveModeratedPosts('econ', [bluesky, nostr]);
+
+	const rule = { kind: 'author', network: 'bluesky', value: 'LATER.bsky.social' };
+	expect(addRule(null, rule).affected).toBe(1);
+	expect(isShowable(bluesky)).toBe(false);
+	expect(isShowable(nostr)).toBe(true);
+  });
+
+  test('new keyword filters hold stored posts with the whole words, in any case', () => {
+	const matching = post({ text: 'Die ÖKONOMIE-Woche beginnt' });
+	const longer = post({ text: 'Ökonomien im Vergleich' });
+	saveModeratedPosts('econ', [matching, longer]);
+
+	expect(addRule(null, { kind: 'keyword', value: 'ökonomie' }).affected).toBe(1);
+	expect(isShowable(matching)).toBe(false);
+	expect(isShowable(longer)).toBe(true);
+  });
+});
+
+describe('rule validation', () => {
+  test('rejects unknown kinds and networks', () => {
+	expect(() => addRule(null, { kind: 'ip', value: '1.2.3.4' })).toThrow(
+	  expect.objectContaining({ status: 400 })
+	);
+	expect(() => addRule(null, { kind: 'author', network: 'myspace', value: 'tom' })).toThrow(
+	  expect.objectContaining({ status: 400 })
+	);
+  });
+
+  test('removing a rule that was never added is a 404', () => {
+	expect(() => removeRule({ kind: 'keyword', value: 'never added' })).toThrow(
+	  expect.objectContaining({ status: 404 })
+	);
+  });
+});
+
+describe('reader reports', () => {
+  const report = (stored, reporter) =>
+	reportPost({ network: stored.network, id: stored.id, reason: 'spam', reporter });
+
+  test('tell signed-out readers apart by a keyed hash of their address', () => {
+	const anonymous = reporterId(null, '192.0.2.1');
+	expect(anonymous).toMatch(/^ip:[0-9a-f]{64}$/);
+	expect(anonymous).not.toContain(crypto.createHash('sha256').update('192.0.2.1').digest('hex'));
+	expect(reporterId(null, '192.0.2.1')).toBe(anonymous);
+	expect(reporterId({ id: 7 }, '192.0.2.1')).toBe('user:7');
+  });
+
+  test('queue the post, but only signed-in readers can get it held', () => {
+	const reported = post({ text: 'Reported post' });
+	saveModeratedPosts('econ', [reported]);
+
+	['192.0.2.1', '192.0.2.2', '192.0.2.3', '192.0.2.4'].forEach((ip) =>
+	  report(reported, reporterId(null, ip))
+	);
+	expect(isShowable(reported)).toBe(true);
+	expect(listQueue({ statuses: ['reported'] }).map((entry) => entry.id)).toContain(reported.id);
+
+	[1, 2].forEach((id) => report(reported, reporterId({ id })));
+	expect(isShowable(reported)).toBe(true);
+	report(reported, reporterId({ id: 3 }));
+	expect(isShowable(reported)).toBe(false);
+  });
+
+  test('count each reader once', () => {
+	const reported = post({ text: 'Reported twice' });
+	saveModeratedPosts('econ', [reported]);
+	[1, 1, 1, 2].forEach((id) => report(reported, reporterId({ id })));
+	expect(isShowable(reported)).toBe(true);
+  });
+});
@@ -0,0 +1,152 @@
+// server/src/posts.js
+//
+// The normalized post schema shared by every source adapter. Whatever the
+// network, /api/feed returns posts shaped like:
+//
+//   id          network-native identifier (AT URI, event id, status id)
+//   network     name of the adapter the post came from
+//   author      { id, name, handle, avatar, url, nip05 }; nip05 is a verified
+//               NIP-05 identifier for Nostr authors, null elsewhere
+//   text        plain text body
+//   html        rich body as sanitized HTML (see html.js); adapters that only
+//               have text get it escaped with URLs linked
+//   links       URLs cited in the post, in order of appearance
+//   card        link card supplied by the network ({ url, title, description, image }) or null
+//   createdAt   ISO 8601 timestamp
+//   permalink   URL of the post on the web
+//   media       attachments: [{ type, url, previewUrl, width, height,
+//               blurhash, alt }], where type is image, video, gifv (a looping
+//               silent video) or audio; anything but url may be null.
+//               Bluesky videos are HLS playlists (.m3u8)
+//   sensitive   true when the author or a label marks the media as
+//               sensitive, so it should be blurred until asked for
+//   contentWarning  the author's reason for that (Mastodon spoiler text, a
+//               NIP-36 content-warning), or null
+//   engagement  { likes, reposts, replies, quotes }, null where the network
+//               doesn't say
+//   quote       the post this one quotes, if it embeds one: { id, network,
+//               author, text, createdAt, permalink }, or null
+//   labels      moderation labels from the network: [{ value, source, count }];
+//               source is the Bluesky labeler's DID, or nip56 for Nostr
+//               reports, counted by distinct reporter
+//   citations   cited URLs that matched a topic's domains (see sources.js):
+//               [{ url, host, matches: [{ topic, domain }], source }], where
+//               source describes who publishes it (see registry.js), or null
+//   raw         the untouched upstream payload, only sent when asked for
+
+const { URL_PATTERN, sanitizePostHtml, linkifyText, urlRule } = require('./html');
+
+function extractUrls(text) {
+  return text ? text.match(new RegExp(URL_PATTERN.source, 'gu')) || [] : [];
+}
+
+function uniqueLinks(links) {
+  return Array.from(new Set(links.filter(Boolean)));
+}
+
+// Fill in `defaults` with any of `values` that are actually set, so adapters
+// can pass upstream fields through without checking each one.
+function withDefaults(defaults, values = {}) {
+  const result = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+	if (values[key] !== undefined && values[key] !== null) {
+	  result[key] = values[key];
+	}
+  }
+  return result;
+}
+
+// The short form of a quoted post that travels with the post quoting it.
+function createQuote(fields) {
+  return {
+	id: fields.id,
+	network: fields.network,
+	author: withDefaults(
+	  { id: null, name: null, handle: null, avatar: null, url: null },
+	  fields.author
+	),
+	text: fields.text || '',
+	createdAt: new Date(fields.createdAt).toISOString(),
+	permalink: fields.permalink || null,
+  };
+}
+
+const MEDIA_TYPES = ['image', 'video', 'gifv', 'audio'];
+
+// Media type from a MIME type or file name, or null if it isn't one we show.
+function mediaType(mimeType, url = '') {
+  const match = /^(image|video|audio)\//.exec(mimeType || '');
+  if (match) {
+	return match[1];
+  }
+  const extension = (/\.(\w+)(?:[?#]|$)/.exec(url) || [])[1]?.toLowerCase();
+  if (['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif'].includes(extension)) {
+	return 'image';
+  }
+  if (['mp4', 'webm', 'mov', 'm3u8'].includes(extension)) {
+	return 'video';
+  }
+  if (['mp3', 'ogg', 'wav', 'm4a', 'flac'].includes(extension)) {
+	return 'audio';
+  }
+  return null;
+}
+
+function createMedia(fields) {
+  const media = withDefaults(
+	{ type: null, url: null, previewUrl: null, width: null, height: null, blurhash: null, alt: null },
+	fields
+  );
+  if (!MEDIA_TYPES.includes(media.type)) {
+	media.type = mediaType(null, media.url) || 'image';
+  }
+  // Networks use '' for "no description".
+  media.alt = media.alt || null;
+  return media;
+}
+
+function createPost(fields) {
+  return {
+	id: fields.id,
+	network: fields.network,
+	author: withDefaults(
+	  { id: null, name: null, handle: null, avatar: null, url: null, nip05: null },
+	  fields.author
+	),
+	text: fields.text || '',
+	html: sanitizePostHtml(fields.html || linkifyText(fields.text || '', [urlRule])),
+	links: uniqueLinks(fields.links || []),
+	card: fields.card || null,
+	createdAt: new Date(fields.createdAt).toISOString(),
+	permalink: fields.permalink || null,
+	media: (fields.media || []).filter((media) => media.url).map(createMedia),
+	sensitive: Boolean(fields.sensitive),
+	contentWarning: fields.contentWarning || null,
+	engagement: withDefaults(
+	  { likes: null, reposts: null, replies: null, quotes: null },
+	  fields.engagement
+	),
+	quote: fields.quote ? createQuote(fields.quote) : null,
+	labels: fields.labels || [],
+	citations: fields.citations || [],
+	raw: fields.raw,
+  };
+}
+
+function comparePostsByDate(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+function withoutRaw(post) {
+  const { raw, ...rest } = post;
+  return rest;
+}
+
+module.exports = {
+  extractUrls,
+  createPost,
+  createQuote,
+  mediaType,
+  comparePostsByDate,
+  withoutRaw,
+};
@@ -0,0 +1,68 @@
+const { createPost, mediaType } = require('./posts');
+
+describe('mediaType', () => {
+  test.each([
+	['image/webp', 'https://example.org/file', 'image'],
+	['video/mp4', 'https://example.org/file', 'video'],
+	['audio/ogg', 'https://example.org/file', 'audio'],
+	[null, 'https://example.org/photo.JPG?size=large', 'image'],
+	[null, 'https://example.org/clip.m3u8#start', 'video'],
+	[null, 'https://example.org/episode.mp3', 'audio'],
+	['application/pdf', 'https://example.org/paper.pdf', null],
+	[null, 'https://example.org/page', null],
+  ])('reads %s / %s as %s', (mimeType, url, type) => {
+	expect(mediaType(mimeType, url)).toBe(type);
+  });
+});
+
+describe('createPost media', () => {
+  const post = (fields) =>
+	createPost({
+	  id: 'media',
+	  network: 'mastodon',
+	  text: 'Photos',
+	  createdAt: '2026-03-01T00:00:00Z',
+	  ...fields,
+	});
+
+  test('fills in the attachment shape and drops attachments without a URL', () => {
+	const { media } = post({
+	  media: [
+		{ type: 'image', url: 'https://example.org/a.png', alt: 'A chart', width: 800 },
+		{ type: 'image', url: null, previewUrl: 'https://example.org/b-small.png' },
+	  ],
+	});
+	expect(media).toEqual([
+	  {
+		type: 'image',
+		url: 'https://example.org/a.png',
+		previewUrl: null,
+		width: 800,
+		height: null,
+		blurhash: null,
+		alt: 'A chart',
+	  },
+	]);
+  });
+
+  test('guesses unknown types from the file name and treats empty alt text as none', () => {
+	const { media } = post({
+	  media: [
+		{ type: 'flash', url: 'https://example.org/clip.webm', alt: '' },
+		{ url: 'https://example.org/download' },
+	  ],
+	});
+	expect(media.map(({ type, alt }) => [type, alt])).toEqual([
+	  ['video', null],
+	  ['image', null],
+	]);
+  });
+
+  test('is not sensitive unless marked so, and keeps the reason', () => {
+	expect(post({})).toMatchObject({ media: [], sensitive: false, contentWarning: null });
+	expect(post({ sensitive: 1, contentWarning: 'Spoilers' })).toMatchObject({
+	  sensitive: true,
+	  contentWarning: 'Spoilers',
+	});
+  });
+});
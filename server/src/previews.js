@@ -0,0 +1,303 @@
+// server/src/previews.js
+//
+// Link previews ("unfurling") for cited URLs. Pages are fetched server-side
+// with strict limits and their Open Graph, Twitter card and oEmbed metadata
+// reduced to { url, title, description, siteName, image }.
+//
+// Requests are protected against SSRF: only http(s) on default ports, and
+// every connection (including each redirect hop) is refused if the host
+// resolves to a private, loopback, link-local or otherwise reserved address.
+// The check runs in the socket's DNS lookup, so it also covers rebinding.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const NodeCache = require('node-cache');
+const logger = require('./logger');
+
+const TIMEOUT_MS = 5000;
+const MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const USER_AGENT = 'CommunitySourcesBot/1.0 (+link preview)';
+
+// Cache for 6 hours, bounded so requests for endless unique URLs can't
+// exhaust memory; once full, new previews just aren't cached.
+const MAX_CACHED_PREVIEWS = 10000;
+const previewCache = new NodeCache({ stdTTL: 6 * 60 * 60, maxKeys: MAX_CACHED_PREVIEWS });
+const FAILURE_TTL_SECONDS = 10 * 60;
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+	return false;
+  }
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+	return !BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  }
+  return !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement that refuses to hand non-public addresses to the
+// socket.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+	if (error) {
+	  return callback(error);
+	}
+	const addresses = Array.isArray(address) ? address : [{ address, family }];
+	const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+	if (blocked) {
+	  return callback(new Error(`Refusing to connect to ${hostname} (${blocked.address})`));
+	}
+	callback(null, address, family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ lookup: safeLookup }),
+  'https:': new https.Agent({ lookup: safeLookup }),
+};
+
+// The HTTP agent to use for other requests to hosts users choose (such as
+// their Mastodon instance), with the same address checks. `url` must have
+// passed checkUrl.
+function safeAgent(url) {
+  return agents[url.protocol];
+}
+
+// Refusals are the caller's fault: routes answer them with a 400.
+function refusedUrl(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Returns the parsed URL if it is one we are willing to fetch.
+function checkUrl(url) {
+  let parsed;
+  try {
+	parsed = new URL(url);
+  } catch (error) {
+	throw refusedUrl('Invalid URL');
+  }
+  if (!agents[parsed.protocol]) {
+	throw refusedUrl('Only http and https URLs can be previewed');
+  }
+  if (parsed.port && !['80', '443'].includes(parsed.port)) {
+	throw refusedUrl('Only default ports can be previewed');
+  }
+  if (parsed.username || parsed.password) {
+	throw refusedUrl('URLs with credentials cannot be previewed');
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+	throw refusedUrl('Private addresses cannot be previewed');
+  }
+  return parsed;
+}
+
+async function readLimited(response) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+	size += chunk.length;
+	if (size > MAX_BYTES) {
+	  // Metadata lives in the <head>; what we have is enough.
+	  response.body.destroy();
+	  break;
+	}
+	chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Fetch a URL, following redirects ourselves so each hop is checked.
+async function safeFetch(url, accept) {
+  let current = checkUrl(url);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+	const response = await fetch(current.toString(), {
+	  agent: agents[current.protocol],
+	  redirect: 'manual',
+	  timeout: TIMEOUT_MS,
+	  headers: { 'User-Agent': USER_AGENT, Accept: accept },
+	});
+
+	const location = response.headers.get('location');
+	if (response.status >= 300 && response.status < 400 && location) {
+	  current = checkUrl(new URL(location, current).toString());
+	  continue;
+	}
+	if (!response.ok) {
+	  throw new Error(`HTTP error! status: ${response.status}`);
+	}
+	return { response, finalUrl: current.toString() };
+  }
+  throw new Error('Too many redirects');
+}
+
+// Fetch and parse a small JSON document from an untrusted host, with the
+// same limits and address checks as page fetches.
+async function fetchJson(url) {
+  const { response } = await safeFetch(url, 'application/json');
+  return JSON.parse(await readLimited(response));
+}
+
+function decodeEntities(text) {
+  return text
+	.replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+	.replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+	.replace(/&quot;/g, '"')
+	.replace(/&#39;|&apos;/g, "'")
+	.replace(/&lt;/g, '<')
+	.replace(/&gt;/g, '>')
+	.replace(/&nbsp;/g, ' ')
+	.replace(/&amp;/g, '&');
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const attributePattern = /([a-z:_-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = attributePattern.exec(tag)) !== null) {
+	attributes[match[1].toLowerCase()] = decodeEntities(match[3] ?? match[4] ?? match[5]);
+  }
+  return attributes;
+}
+
+// Collect <meta> and <link> metadata from the document head.
+function parseHead(html) {
+  const head = html.split(/<\/head>/i)[0];
+  const meta = {};
+  const links = [];
+
+  for (const tag of head.match(/<meta\s[^>]*>/gi) || []) {
+	const attributes = parseAttributes(tag);
+	const key = (attributes.property || attributes.name || '').toLowerCase();
+	if (key && attributes.content && !(key in meta)) {
+	  meta[key] = attributes.content.trim();
+	}
+  }
+  for (const tag of head.match(/<link\s[^>]*>/gi) || []) {
+	links.push(parseAttributes(tag));
+  }
+
+  const title = head.match(/<title[^>]*>([^<]*)<\/title>/i);
+  return { meta, links, title: title ? decodeEntities(title[1]).trim() : null };
+}
+
+function absoluteUrl(url, base) {
+  try {
+	const resolved = new URL(url, base);
+	return ['http:', 'https:'].includes(resolved.protocol) ? resolved.toString() : null;
+  } catch (error) {
+	return null;
+  }
+}
+
+async function fetchOEmbed(links, base) {
+  const link = links.find(
+	(candidate) =>
+	  (candidate.rel || '').toLowerCase() === 'alternate' &&
+	  (candidate.type || '').toLowerCase() === 'application/json+oembed'
+  );
+  const href = link && absoluteUrl(link.href, base);
+  if (!href) {
+	return {};
+  }
+
+  try {
+	return await fetchJson(href);
+  } catch (error) {
+	logger.warn(`Could not fetch oEmbed for ${base}: ${error.message}`);
+	return {};
+  }
+}
+
+async function unfurl(url) {
+  const { response, finalUrl } = await safeFetch(url, 'text/html,application/xhtml+xml');
+  const contentType = response.headers.get('content-type') || '';
+  if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+	response.body.destroy();
+	return { url: finalUrl, title: null, description: null, siteName: new URL(finalUrl).hostname, image: null };
+  }
+
+  const { meta, links, title } = parseHead(await readLimited(response));
+  const needsOEmbed = !meta['og:title'] && !meta['twitter:title'];
+  const oembed = needsOEmbed ? await fetchOEmbed(links, finalUrl) : {};
+
+  const image = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || oembed.thumbnail_url;
+
+  return {
+	url: meta['og:url'] ? absoluteUrl(meta['og:url'], finalUrl) || finalUrl : finalUrl,
+	title: meta['og:title'] || meta['twitter:title'] || oembed.title || title || null,
+	description: meta['og:description'] || meta['twitter:description'] || meta.description || null,
+	siteName: meta['og:site_name'] || oembed.provider_name || new URL(finalUrl).hostname,
+	image: image ? absoluteUrl(image, finalUrl) : null,
+  };
+}
+
+function cachePreview(url, preview, ttl) {
+  try {
+	previewCache.set(url, preview, ttl);
+  } catch (error) {
+	// When the cache is full, serve previews uncached until entries expire.
+	if (error.errorcode !== 'ECACHEFULL') {
+	  throw error;
+	}
+  }
+}
+
+// Preview metadata for a URL, or null if it can't be fetched. Failures are
+// cached briefly so a dead link isn't refetched on every render.
+async function getPreview(url) {
+  checkUrl(url);
+
+  const cached = previewCache.get(url);
+  if (cached !== undefined) {
+	return cached;
+  }
+
+  try {
+	const preview = await unfurl(url);
+	cachePreview(url, preview);
+	return preview;
+  } catch (error) {
+	logger.warn(`Could not preview ${url}: ${error.message}`);
+	cachePreview(url, null, FAILURE_TTL_SECONDS);
+	return null;
+  }
+}
+
+module.exports = { getPreview, fetchJson, checkUrl, safeAgent, isPublicAddress, parseHead };
@@ -0,0 +1,137 @@
+// server/src/profiles.js
+//
+// Nostr author profiles. Kind 0 metadata is fetched from the relays in one
+// batch per result set, its NIP-05 identifier verified against the domain's
+// .well-known/nostr.json, and the outcome kept in the store for a day.
+
+const logger = require('./logger');
+const { db } = require('./store');
+const { queryRelays } = require('./relays');
+const { fetchJson } = require('./previews');
+
+const PROFILE_TTL_MS = 24 * 60 * 60 * 1000;
+const PROFILE_QUERY_TIMEOUT_MS = 5000;
+// Relays cap how many authors one filter may list.
+const AUTHORS_PER_FILTER = 100;
+const MAX_NAME_LENGTH = 100;
+
+const statements = {
+  get: db.prepare('SELECT data, fetched_at FROM nostr_profiles WHERE pubkey = ?'),
+  put: db.prepare(`
+	INSERT INTO nostr_profiles (pubkey, data, fetched_at) VALUES (@pubkey, @data, @fetchedAt)
+	ON CONFLICT (pubkey) DO UPDATE SET data = excluded.data, fetched_at = excluded.fetched_at
+  `),
+};
+
+function parseMetadata(event) {
+  try {
+	const metadata = JSON.parse(event.content);
+	return metadata && typeof metadata === 'object' ? metadata : {};
+  } catch (error) {
+	return {};
+  }
+}
+
+// NIP-05: "name@domain" is verified if the domain's nostr.json maps the name
+// to this pubkey. Returns the identifier when it checks out, else null.
+async function verifyNip05(identifier, pubkey) {
+  if (typeof identifier !== 'string') {
+	return null;
+  }
+  const match = identifier.trim().toLowerCase().match(/^([a-z0-9._-]+)@([a-z0-9.-]+\.[a-z]{2,})$/);
+  if (!match) {
+	return null;
+  }
+  const [, name, domain] = match;
+
+  try {
+	const document = await fetchJson(
+	  `https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`
+	);
+	return document.names && document.names[name] === pubkey ? identifier.trim() : null;
+  } catch (error) {
+	logger.warn(`Could not verify NIP-05 ${identifier}: ${error.message}`);
+	return null;
+  }
+}
+
+// The first of the candidate names that is a non-blank string, trimmed and
+// cut to length. Metadata is arbitrary JSON, so a name can be anything.
+function profileName(...candidates) {
+  const name = candidates.find((candidate) => typeof candidate === 'string' && candidate.trim());
+  return name ? Array.from(name.trim()).slice(0, MAX_NAME_LENGTH).join('') : null;
+}
+
+async function buildProfile(pubkey, event) {
+  const metadata = event ? parseMetadata(event) : {};
+  return {
+	name: profileName(metadata.display_name, metadata.displayName, metadata.name),
+	avatar: typeof metadata.picture === 'string' ? metadata.picture : null,
+	nip05: await verifyNip05(metadata.nip05, pubkey),
+  };
+}
+
+function readCached(pubkey) {
+  const row = statements.get.get(pubkey);
+  if (!row || Date.now() - new Date(row.fetched_at).getTime() > PROFILE_TTL_MS) {
+	return null;
+  }
+  // Profiles cached before names were checked may hold any JSON value.
+  const profile = JSON.parse(row.data);
+  return { ...profile, name: profileName(profile.name) };
+}
+
+// Profiles for a set of pubkeys, as a Map from pubkey to
+// { name, avatar, nip05 }. Authors with no kind 0 event get an empty profile
+// (cached too, so they aren't asked for again until it expires).
+async function getProfiles(pubkeys) {
+  const profiles = new Map();
+  const missing = [];
+
+  for (const pubkey of new Set(pubkeys)) {
+	const cached = readCached(pubkey);
+	if (cached) {
+	  profiles.set(pubkey, cached);
+	} else {
+	  missing.push(pubkey);
+	}
+  }
+  if (missing.length === 0) {
+	return profiles;
+  }
+
+  const filters = [];
+  for (let index = 0; index < missing.length; index += AUTHORS_PER_FILTER) {
+	filters.push({ kinds: [0], authors: missing.slice(index, index + AUTHORS_PER_FILTER) });
+  }
+
+  let events = [];
+  try {
+	events = await queryRelays(() => filters, { timeoutMs: PROFILE_QUERY_TIMEOUT_MS });
+  } catch (error) {
+	logger.warn(`Could not fetch Nostr profiles: ${error.message}`);
+	return profiles;
+  }
+
+  // Kind 0 is replaceable: only the newest event per author counts.
+  const latest = new Map();
+  for (const event of events) {
+	const current = latest.get(event.pubkey);
+	if (!current || event.created_at > current.created_at) {
+	  latest.set(event.pubkey, event);
+	}
+  }
+
+  const fetchedAt = new Date().toISOString();
+  await Promise.all(
+	missing.map(async (pubkey) => {
+	  const profile = await buildProfile(pubkey, latest.get(pubkey));
+	  statements.put.run({ pubkey, data: JSON.stringify(profile), fetchedAt });
+	  profiles.set(pubkey, profile);
+	})
+  );
+
+  return profiles;
+}
+
+module.exports = { getProfiles, verifyNip05 };
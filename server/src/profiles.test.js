@@ -0,0 +1,106 @@
+jest.mock('./previews', () => ({ fetchJson: jest.fn() }));
+jest.mock('./relays', () => ({ queryRelays: jest.fn() }));
+
+const { db } = require('./store');
+const { fetchJson } = require('./previews');
+const { queryRelays } = require('./relays');
+const { getProfiles, verifyNip05 } = require('./profiles');
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+const CAROL = 'c'.repeat(64);
+
+const metadata = (pubkey, content, createdAt = 1000) => ({
+  kind: 0,
+  pubkey,
+  created_at: createdAt,
+  content: JSON.stringify(content),
+});
+
+// nostr.json as served by example.org, naming alice only.
+const nostrJson = { names: { alice: ALICE } };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fetchJson.mockResolvedValue(nostrJson);
+});
+
+describe('verifyNip05', () => {
+  test("accepts identifiers the domain's nostr.json maps to the pubkey", async () => {
+	await expect(verifyNip05(' Alice@Example.org ', ALICE)).resolves.toBe('Alice@Example.org');
+	expect(fetchJson).toHaveBeenCalledWith('https://example.org/.well-known/nostr.json?name=alice');
+  });
+
+  test('rejects identifiers mapped to someone else or not at all', async () => {
+	await expect(verifyNip05('alice@example.org', BOB)).resolves.toBeNull();
+	await expect(verifyNip05('bob@example.org', BOB)).resolves.toBeNull();
+  });
+
+  test('rejects malformed identifiers without asking', async () => {
+	for (const identifier of ['alice', 'alice@localhost', 'a b@example.org', 42, undefined]) {
+	  await expect(verifyNip05(identifier, ALICE)).resolves.toBeNull();
+	}
+	expect(fetchJson).not.toHaveBeenCalled();
+  });
+
+  test('treats an unreachable domain as unverified', async () => {
+	fetchJson.mockRejectedValue(new Error('Request timed out'));
+	await expect(verifyNip05('alice@example.org', ALICE)).resolves.toBeNull();
+  });
+});
+
+describe('getProfiles', () => {
+  test('builds profiles from the newest metadata of each author', async () => {
+	queryRelays.mockResolvedValue([
+	  metadata(ALICE, { name: 'old name' }, 1000),
+	  metadata(ALICE, { display_name: '  Alice  ', nip05: 'alice@example.org' }, 2000),
+	  metadata(BOB, { name: { not: 'a string' }, picture: 'https://example.org/bob.png' }),
+	]);
+
+	const profiles = await getProfiles([ALICE, BOB, ALICE]);
+
+	expect(profiles.get(ALICE)).toEqual({
+	  name: 'Alice',
+	  avatar: null,
+	  nip05: 'alice@example.org',
+	});
+	expect(profiles.get(BOB)).toEqual({
+	  name: null,
+	  avatar: 'https://example.org/bob.png',
+	  nip05: null,
+	});
+	const [filters] = queryRelays.mock.calls[0];
+	expect(filters()).toEqual([{ kinds: [0], authors: [ALICE, BOB] }]);
+  });
+
+  test('answers from the cache for a day, including authors with no metadata', async () => {
+	queryRelays.mockResolvedValue([]);
+	const first = await getProfiles([ALICE, CAROL]);
+	expect(first.get(CAROL)).toEqual({ name: null, avatar: null, nip05: null });
+	expect(queryRelays.mock.calls[0][0]()).toEqual([{ kinds: [0], authors: [CAROL] }]);
+
+	const second = await getProfiles([ALICE, CAROL]);
+	expect(second.get(ALICE).name).toBe('Alice');
+	expect(queryRelays).toHaveBeenCalledTimes(1);
+  });
+
+  test('asks again once a cached profile is a day old', async () => {
+	const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+	db.prepare('UPDATE nostr_profiles SET fetched_at = ? WHERE pubkey = ?').run(dayAgo, CAROL);
+	queryRelays.mockResolvedValue([metadata(CAROL, { name: 'Carol' })]);
+
+	expect((await getProfiles([CAROL])).get(CAROL).name).toBe('Carol');
+	expect(queryRelays).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns what is cached when the relays are unreachable', async () => {
+	queryRelays.mockRejectedValue(new Error('No Nostr relays reachable (4 tried)'));
+	const newcomer = 'd'.repeat(64);
+
+	const profiles = await getProfiles([ALICE, newcomer]);
+
+	expect(Array.from(profiles.keys())).toEqual([ALICE]);
+	const cached = db.prepare('SELECT 1 FROM nostr_profiles WHERE pubkey = ?').get(newcomer);
+	expect(cached).toBeUndefined();
+  });
+});
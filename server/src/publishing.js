@@ -0,0 +1,439 @@
+// server/src/publishing.js
+//
+// Posting from Community Sources. Signed-in users connect their accounts and
+// publish a post citing a source to any combination of:
+//
+//   bluesky   signed in with an app password, which is exchanged for a
+//             session right away; only the session is kept. Links, mentions
+//             and hashtags become RichText facets and the cited source is
+//             embedded as a link card.
+//   mastodon  OAuth with the user's own instance. An app is registered with
+//             each instance the first time someone connects from it.
+//   nostr     signed in the browser by a NIP-07 extension, so keys never
+//             reach us; we check the signed event and send it to our relays.
+//
+// Sessions and tokens are stored in user_connections and never sent back to
+// clients.
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const NodeCache = require('node-cache');
+const { BskyAgent, RichText } = require('@atproto/api');
+const { nip19, validateEvent, verifySignature } = require('nostr-tools');
+const logger = require('./logger');
+const { db } = require('./store');
+const { getTopic } = require('./topics');
+const { getRegistry } = require('./registry');
+const { normalizeUrl, resolveLink, matchTopic, describeSource } = require('./sources');
+const { getPreview, checkUrl, safeAgent } = require('./previews');
+const { publishEvent } = require('./relays');
+const { requestError } = require('./accounts');
+
+const NETWORKS = ['bluesky', 'mastodon', 'nostr'];
+const MAX_LENGTH = { bluesky: 300, mastodon: 500 };
+const NOSTR_CLOCK_SKEW_SECONDS = 10 * 60;
+const MASTODON_SCOPES = 'write:statuses read:accounts';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// OAuth `state` -> the user connecting and their instance, until they come
+// back from it.
+const pendingConnections = new NodeCache({ stdTTL: 10 * 60 });
+
+const statements = {
+  connections: db.prepare(
+	'SELECT network, account, created_at FROM user_connections WHERE user_id = ? ORDER BY network'
+  ),
+  connection: db.prepare('SELECT * FROM user_connections WHERE user_id = ? AND network = ?'),
+  saveConnection: db.prepare(`
+	INSERT INTO user_connections (user_id, network, account, credentials, created_at)
+	VALUES (@userId, @network, @account, @credentials, @createdAt)
+	ON CONFLICT (user_id, network) DO UPDATE SET
+	  account = excluded.account, credentials = excluded.credentials
+  `),
+  deleteConnection: db.prepare('DELETE FROM user_connections WHERE user_id = ? AND network = ?'),
+  mastodonApp: db.prepare('SELECT * FROM mastodon_apps WHERE instance = ?'),
+  saveMastodonApp: db.prepare(`
+	INSERT INTO mastodon_apps (instance, client_id, client_secret, redirect_uri, created_at)
+	VALUES (@instance, @clientId, @clientSecret, @redirectUri, @createdAt)
+	ON CONFLICT (instance) DO UPDATE SET
+	  client_id = excluded.client_id,
+	  client_secret = excluded.client_secret,
+	  redirect_uri = excluded.redirect_uri
+  `),
+};
+
+function saveConnection(userId, network, account, credentials) {
+  statements.saveConnection.run({
+	userId,
+	network,
+	account,
+	credentials: JSON.stringify(credentials),
+	createdAt: new Date().toISOString(),
+  });
+}
+
+function listConnections(userId) {
+  return statements.connections.all(userId).map((row) => ({
+	network: row.network,
+	account: row.account,
+	createdAt: row.created_at,
+  }));
+}
+
+function disconnect(userId, network) {
+  const { changes } = statements.deleteConnection.run(userId, network);
+  if (changes === 0) {
+	throw requestError(404, `No ${network} account connected`);
+  }
+}
+
+// --- composing
+
+// The text as posted: the cited URL is added at the end unless the author
+// already put it in, either as cited or as they typed it. Clients signing
+// Nostr events build it the same way.
+function composeText(text, url, typed = url) {
+  const trimmed = text.trim();
+  const present = [url, typed].some((form) => form && trimmed.includes(form));
+  return present ? trimmed : `${trimmed}\n\n${url}`.trim();
+}
+
+// The cited URL as it is checked and posted: expanded if it's a shortened
+// link and normalized. Anything but an http(s) address is a 400.
+async function citedUrl(url) {
+  const normalized = typeof url === 'string' ? normalizeUrl(await resolveLink(url.trim())) : null;
+  if (!normalized) {
+	throw requestError(400, 'Cite a web address starting with http:// or https://');
+  }
+  return normalized;
+}
+
+// What the composer shows about a cited URL: where it ends up after
+// shorteners, the topic domain rule it matches (null if none, so the post
+// won't be filed under the topic) and who publishes it.
+async function checkCitation(topicSlug, url) {
+  const topic = getTopic(topicSlug);
+  if (!topic) {
+	throw requestError(404, `Unknown topic "${topicSlug}"`);
+  }
+  const normalized = await citedUrl(url);
+  return {
+	url: normalized,
+	domain: matchTopic(normalized, topic),
+	source: describeSource(normalized, getRegistry()),
+  };
+}
+
+// Checks a post before publishing and returns its text as posted. `url` is
+// the cited URL as citedUrl() returns it and `typed` the URL as the author
+// entered it.
+function validatePost({ text, url, typed, networks }) {
+  if (typeof text !== 'string' || typeof url !== 'string' || !url.trim()) {
+	throw requestError(400, 'Posts need text and a cited source URL');
+  }
+  if (!Array.isArray(networks) || networks.length === 0) {
+	throw requestError(400, 'Choose at least one network to post to');
+  }
+  const unknown = networks.find((network) => !NETWORKS.includes(network));
+  if (unknown) {
+	throw requestError(400, `Can't post to "${unknown}"`);
+  }
+
+  const content = composeText(text, url.trim(), typed && typed.trim());
+  const { graphemeLength } = new RichText({ text: content });
+  if (networks.includes('bluesky') && graphemeLength > MAX_LENGTH.bluesky) {
+	throw requestError(400, `Bluesky posts can be at most ${MAX_LENGTH.bluesky} characters`);
+  }
+  if (networks.includes('mastodon') && Array.from(content).length > MAX_LENGTH.mastodon) {
+	throw requestError(400, `Mastodon posts can be at most ${MAX_LENGTH.mastodon} characters`);
+  }
+  return content;
+}
+
+// --- bluesky
+
+// An agent for one user. Refreshed sessions are saved as they happen; an
+// expired one disconnects the account.
+function blueskyAgent(userId) {
+  return new BskyAgent({
+	service: process.env.BLUESKY_SERVICE || 'https://bsky.social',
+	persistSession: (event, session) => {
+	  if (session) {
+		saveConnection(userId, 'bluesky', `@${session.handle}`, session);
+	  } else if (event === 'expired') {
+		statements.deleteConnection.run(userId, 'bluesky');
+	  }
+	},
+  });
+}
+
+async function connectBluesky(userId, { identifier, password }) {
+  if (typeof identifier !== 'string' || typeof password !== 'string' || !identifier || !password) {
+	throw requestError(400, 'Enter your Bluesky handle and an app password');
+  }
+  try {
+	// Logging in saves the session through persistSession.
+	await blueskyAgent(userId).login({ identifier: identifier.replace(/^@/, ''), password });
+  } catch (error) {
+	logger.warn(`Bluesky login failed for user ${userId}: ${error.message}`);
+	throw requestError(400, 'Bluesky rejected that handle or app password');
+  }
+  return listConnections(userId).find((connection) => connection.network === 'bluesky');
+}
+
+async function postToBluesky(userId, connection, { content, url }) {
+  const agent = blueskyAgent(userId);
+  await agent.resumeSession(JSON.parse(connection.credentials));
+
+  const rt = new RichText({ text: content });
+  await rt.detectFacets(agent);
+  const preview = await getPreview(url).catch(() => null);
+
+  const { uri } = await agent.post({
+	text: rt.text,
+	facets: rt.facets,
+	embed: {
+	  $type: 'app.bsky.embed.external',
+	  external: {
+		uri: url,
+		title: preview?.title || url,
+		description: preview?.description || '',
+	  },
+	},
+  });
+  return {
+	uri,
+	permalink: `https://bsky.app/profile/${agent.session.did}/post/${uri.split('/').pop()}`,
+  };
+}
+
+// --- mastodon
+
+// https://<host> for what users type as their instance: "mastodon.social",
+// "https://mastodon.social/", "@me@mastodon.social".
+function parseInstance(input) {
+  const host = typeof input === 'string' ? input.trim().replace(/^@?[^@/]*@/, '') : '';
+  let parsed;
+  try {
+	parsed = checkUrl(/^https?:\/\//i.test(host) ? host : `https://${host}`);
+  } catch (error) {
+	throw requestError(400, 'Enter your Mastodon instance, e.g. mastodon.social');
+  }
+  if (parsed.protocol !== 'https:') {
+	throw requestError(400, 'Mastodon instances must be reached over https');
+  }
+  return parsed.origin;
+}
+
+async function instanceRequest(instance, path, options = {}) {
+  const { method = 'GET', token, form, body, headers } = options;
+  const url = new URL(path, instance);
+  const response = await fetch(url.toString(), {
+	method,
+	agent: safeAgent(url),
+	redirect: 'error',
+	timeout: REQUEST_TIMEOUT_MS,
+	headers: {
+	  Accept: 'application/json',
+	  ...(token && { Authorization: `Bearer ${token}` }),
+	  ...(body && { 'Content-Type': 'application/json' }),
+	  ...headers,
+	},
+	body: form ? new URLSearchParams(form) : body && JSON.stringify(body),
+  });
+  if (!response.ok) {
+	const data = await response.json().catch(() => ({}));
+	const error = new Error(
+	  data.error_description || data.error || `HTTP error! status: ${response.status}`
+	);
+	error.upstreamStatus = response.status;
+	throw error;
+  }
+  return response.json();
+}
+
+async function mastodonApp(instance, redirectUri) {
+  const existing = statements.mastodonApp.get(instance);
+  if (existing && existing.redirect_uri === redirectUri) {
+	return existing;
+  }
+
+  const app = await instanceRequest(instance, '/api/v1/apps', {
+	method: 'POST',
+	form: {
+	  client_name: 'Community Sources',
+	  redirect_uris: redirectUri,
+	  scopes: MASTODON_SCOPES,
+	  website: new URL(redirectUri).origin,
+	},
+  });
+  const row = {
+	instance,
+	clientId: app.client_id,
+	clientSecret: app.client_secret,
+	redirectUri,
+	createdAt: new Date().toISOString(),
+  };
+  statements.saveMastodonApp.run(row);
+  logger.info(`Registered with Mastodon instance ${instance}`);
+  return statements.mastodonApp.get(instance);
+}
+
+// Start connecting a Mastodon account: resolves to the instance's
+// authorization page, which sends the user back to `redirectUri`.
+async function startMastodonConnection(userId, input, redirectUri) {
+  const instance = parseInstance(input);
+  let app;
+  try {
+	app = await mastodonApp(instance, redirectUri);
+  } catch (error) {
+	logger.warn(`Could not register with ${instance}: ${error.message}`);
+	throw requestError(502, `Couldn't reach ${new URL(instance).host} as a Mastodon instance`);
+  }
+
+  const state = crypto.randomBytes(16).toString('base64url');
+  pendingConnections.set(state, { userId, instance });
+  const params = new URLSearchParams({
+	client_id: app.client_id,
+	redirect_uri: redirectUri,
+	response_type: 'code',
+	scope: MASTODON_SCOPES,
+	state,
+  });
+  return { authorizeUrl: `${instance}/oauth/authorize?${params}` };
+}
+
+// The instance sent the user back with an authorization code: trade it for
+// a token and remember the account.
+async function finishMastodonConnection({ state, code }) {
+  const pending = typeof state === 'string' ? pendingConnections.take(state) : undefined;
+  if (!pending) {
+	throw requestError(400, 'This Mastodon sign-in has expired, please try again');
+  }
+  if (typeof code !== 'string' || !code) {
+	throw requestError(400, 'Mastodon sign-in was cancelled');
+  }
+
+  const { userId, instance } = pending;
+  const app = statements.mastodonApp.get(instance);
+  try {
+	const token = await instanceRequest(instance, '/oauth/token', {
+	  method: 'POST',
+	  form: {
+		grant_type: 'authorization_code',
+		code,
+		client_id: app.client_id,
+		client_secret: app.client_secret,
+		redirect_uri: app.redirect_uri,
+		scope: MASTODON_SCOPES,
+	  },
+	});
+	const account = await instanceRequest(instance, '/api/v1/accounts/verify_credentials', {
+	  token: token.access_token,
+	});
+	saveConnection(userId, 'mastodon', `@${account.acct}@${new URL(instance).host}`, {
+	  instance,
+	  accessToken: token.access_token,
+	});
+  } catch (error) {
+	logger.warn(`Mastodon sign-in with ${instance} failed: ${error.message}`);
+	throw requestError(502, `${new URL(instance).host} didn't accept the sign-in`);
+  }
+}
+
+async function postToMastodon(userId, connection, { content }) {
+  const { instance, accessToken } = JSON.parse(connection.credentials);
+  try {
+	const status = await instanceRequest(instance, '/api/v1/statuses', {
+	  method: 'POST',
+	  token: accessToken,
+	  body: { status: content, visibility: 'public' },
+	  headers: { 'Idempotency-Key': crypto.randomUUID() },
+	});
+	return { uri: status.uri, permalink: status.url };
+  } catch (error) {
+	if (error.upstreamStatus === 401) {
+	  statements.deleteConnection.run(userId, 'mastodon');
+	  throw new Error('Mastodon signed you out; connect your account again');
+	}
+	throw error;
+  }
+}
+
+// --- nostr
+
+// The browser signed the event; make sure it is the post being published.
+function checkNostrEvent(event, content) {
+  if (!event || !validateEvent(event) || !verifySignature(event)) {
+	throw requestError(400, 'The Nostr event is missing or its signature is invalid');
+  }
+  if (event.kind !== 1 || event.content !== content) {
+	throw requestError(400, "The signed Nostr event doesn't match the post");
+  }
+  if (Math.abs(event.created_at - Date.now() / 1000) > NOSTR_CLOCK_SKEW_SECONDS) {
+	throw requestError(400, 'The Nostr event was signed too long ago');
+  }
+}
+
+async function postToNostr(event) {
+  const relays = await publishEvent(event);
+  return {
+	uri: event.id,
+	permalink: `https://njump.me/${nip19.noteEncode(event.id)}`,
+	relays: relays.filter((relay) => relay.ok).map((relay) => relay.url),
+  };
+}
+
+// --- publishing
+
+// Publish one post to the chosen networks. Everything is checked before
+// anything is sent; after that each network succeeds or fails on its own.
+// The cited URL is posted as citedUrl() normalizes it, so signed Nostr
+// events must be built from that form (the one checkCitation shows).
+// Resolves to { content, results: [{ network, status, permalink, error }] }.
+async function publishPost(userId, { text, url, networks: chosen, nostrEvent }) {
+  const cited = await citedUrl(url);
+  const content = validatePost({ text, url: cited, typed: url, networks: chosen });
+  const networks = Array.from(new Set(chosen));
+
+  const connections = new Map();
+  for (const network of networks.filter((name) => name !== 'nostr')) {
+	const connection = statements.connection.get(userId, network);
+	if (!connection) {
+	  throw requestError(400, `Connect your ${network} account first`);
+	}
+	connections.set(network, connection);
+  }
+  if (networks.includes('nostr')) {
+	checkNostrEvent(nostrEvent, content);
+  }
+
+  const publishers = {
+	bluesky: () => postToBluesky(userId, connections.get('bluesky'), { content, url: cited }),
+	mastodon: () => postToMastodon(userId, connections.get('mastodon'), { content }),
+	nostr: () => postToNostr(nostrEvent),
+  };
+  const results = await Promise.all(
+	networks.map(async (network) => {
+	  try {
+		return { network, status: 'published', error: null, ...(await publishers[network]()) };
+	  } catch (error) {
+		logger.warn(`Publishing to ${network} for user ${userId} failed: ${error.message}`);
+		return { network, status: 'failed', permalink: null, error: error.message };
+	  }
+	})
+  );
+  return { content, results };
+}
+
+module.exports = {
+  checkCitation,
+  listConnections,
+  connectBluesky,
+  startMastodonConnection,
+  finishMastodonConnection,
+  disconnect,
+  publishPost,
+  validatePost,
+  checkNostrEvent,
+};
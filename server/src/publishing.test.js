@@ -0,0 +1,86 @@
+const { generatePrivateKey, finishEvent } = require('nostr-tools');
+const { validatePost, checkNostrEvent, publishPost, checkCitation } = require('./publishing');
+
+const URL = 'https://example.org/story';
+
+const status = (status) => expect.objectContaining({ status });
+
+describe('validatePost', () => {
+  test('adds the cited URL to the text unless it is already there', () => {
+	expect(validatePost({ text: 'Worth a read ', url: URL, networks: ['mastodon'] })).toBe(
+	  `Worth a read\n\n${URL}`
+	);
+	expect(validatePost({ text: `Read ${URL} now`, url: URL, networks: ['mastodon'] })).toBe(
+	  `Read ${URL} now`
+	);
+  });
+
+  test('leaves the URL out when the author typed it in another form', () => {
+	const typed = 'https://Example.org/story/?utm_source=x';
+	const options = { url: URL, typed, networks: ['mastodon'] };
+	expect(validatePost({ text: `Read ${typed}`, ...options })).toBe(`Read ${typed}`);
+	expect(validatePost({ text: 'Read this', ...options })).toBe(`Read this\n\n${URL}`);
+  });
+
+  test('needs text, a URL and known networks', () => {
+	expect(() => validatePost({ text: 'Hi', url: ' ', networks: ['mastodon'] })).toThrow(
+	  status(400)
+	);
+	expect(() => validatePost({ text: 'Hi', url: URL, networks: [] })).toThrow(status(400));
+	expect(() => validatePost({ text: 'Hi', url: URL, networks: ['myspace'] })).toThrow(
+	  status(400)
+	);
+  });
+
+  test("enforces the strictest chosen network's length limit", () => {
+	const text = 'x'.repeat(300);
+	expect(() => validatePost({ text, url: URL, networks: ['mastodon'] })).not.toThrow();
+	expect(() => validatePost({ text, url: URL, networks: ['mastodon', 'bluesky'] })).toThrow(
+	  /Bluesky posts can be at most 300 characters/
+	);
+  });
+});
+
+describe('checkNostrEvent', () => {
+  const key = generatePrivateKey();
+  // Round-tripped through JSON as if posted by the browser, which also drops
+  // the verification result nostr-tools caches on the object.
+  const sign = (fields) => {
+	const createdAt = Math.floor(Date.now() / 1000);
+	const template = { kind: 1, created_at: createdAt, tags: [], content: 'Hi', ...fields };
+	const event = finishEvent(template, key);
+	return JSON.parse(JSON.stringify(event));
+  };
+
+  test('accepts a fresh signed note with the post text', () => {
+	expect(() => checkNostrEvent(sign(), 'Hi')).not.toThrow();
+  });
+
+  test('rejects missing, tampered or mismatched events', () => {
+	expect(() => checkNostrEvent(undefined, 'Hi')).toThrow(status(400));
+	expect(() => checkNostrEvent({ ...sign(), content: 'Bye' }, 'Bye')).toThrow(/signature/);
+	expect(() => checkNostrEvent(sign(), 'Bye')).toThrow(/doesn't match/);
+	expect(() => checkNostrEvent(sign({ kind: 7 }), 'Hi')).toThrow(/doesn't match/);
+  });
+
+  test('rejects events signed long ago', () => {
+	const old = sign({ created_at: Math.floor(Date.now() / 1000) - 60 * 60 });
+	expect(() => checkNostrEvent(old, 'Hi')).toThrow(/too long ago/);
+  });
+});
+
+describe('cited URLs', () => {
+  test('are normalized the same way when checked and when published', async () => {
+	const { url } = await checkCitation('econ', 'https://Example.org/story/?utm_source=x#top');
+	expect(url).toBe(URL);
+  });
+
+  test('must be http(s) before anything is published', async () => {
+	await expect(
+	  publishPost(1, { text: 'Hi', url: 'javascript:alert(1)', networks: ['mastodon'] })
+	).rejects.toThrow(/http:\/\/ or https:\/\//);
+	await expect(
+	  publishPost(1, { text: 'Hi', url: 'ftp://example.org/file', networks: ['mastodon'] })
+	).rejects.toThrow(status(400));
+  });
+});
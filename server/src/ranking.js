@@ -0,0 +1,115 @@
+// server/src/ranking.js
+//
+// Feed orders other than newest-first. Both rank stories (posts citing the
+// same source, see stories.js; a post without one stands alone) and show
+// each story's best post:
+//
+//   top       the most engaged-with stories of the past week
+//   trending  what is being cited and engaged with right now: every post
+//             citing a story adds to it, weighted by engagement and halved
+//             for every few hours of age
+//
+// Raw counts aren't comparable across networks (an average Bluesky post
+// outdraws a popular Nostr note), so a post's engagement is first turned
+// into its percentile among posts from the same network in the window.
+
+const { db, encodeOffsetCursor } = require('./store');
+
+const SORTS = ['recent', 'top', 'trending'];
+
+const WINDOW_MS = {
+  top: 7 * 24 * 60 * 60 * 1000,
+  trending: 2 * 24 * 60 * 60 * 1000,
+};
+const TRENDING_HALF_LIFE_HOURS = 6;
+// Upper bound on the posts scored per request.
+const MAX_CANDIDATES = 5000;
+
+const statements = {
+  candidates: db.prepare(`
+	SELECT posts.data, post_topics.story_url FROM post_topics
+	JOIN posts USING (network, id)
+	WHERE post_topics.topic = @topic AND post_topics.created_at >= @since AND posts.hidden = 0
+	ORDER BY post_topics.created_at DESC
+	LIMIT @limit
+  `),
+};
+
+// Reposts and quotes spread a post further than a like, so they count
+// double. Unknown counts count as none.
+function engagementTotal(post) {
+  const { likes, reposts, replies, quotes } = post.engagement;
+  return (likes || 0) + 2 * ((reposts || 0) + (quotes || 0)) + (replies || 0);
+}
+
+// Each post's engagement percentile within its own network, between 0 and 1.
+// Tied posts share the midpoint of their ranks, so a network where nobody
+// engaged with anything sits at 0.5 rather than 0.
+function networkPercentiles(posts) {
+  const byNetwork = new Map();
+  for (const post of posts) {
+	byNetwork.set(post.network, (byNetwork.get(post.network) || []).concat(post));
+  }
+
+  const percentiles = new Map();
+  for (const group of byNetwork.values()) {
+	const totals = group.map(engagementTotal).sort((a, b) => a - b);
+	const ranks = new Map();
+	totals.forEach((total, index) => {
+	  const rank = ranks.get(total) || { first: index };
+	  ranks.set(total, { ...rank, last: index });
+	});
+
+	for (const post of group) {
+	  const { first, last } = ranks.get(engagementTotal(post));
+	  percentiles.set(post, (first + last + 1) / (2 * totals.length));
+	}
+  }
+  return percentiles;
+}
+
+function decay(post, now) {
+  const ageHours = Math.max(0, now - new Date(post.createdAt).getTime()) / (60 * 60 * 1000);
+  return Math.pow(0.5, ageHours / TRENDING_HALF_LIFE_HOURS);
+}
+
+// One page of a topic's stories in `top` or `trending` order, as
+// { posts, nextCursor } like getPosts(). Each post carries its story's
+// `score`. The ranking is recomputed for every page, so posts can move
+// between pages as engagement comes in.
+function getRankedPosts({ topic, sort, limit = 50, offset = 0, now = Date.now() }) {
+  const rows = statements.candidates.all({
+	topic,
+	since: new Date(now - WINDOW_MS[sort]).toISOString(),
+	limit: MAX_CANDIDATES,
+  });
+  const posts = rows.map((row) => JSON.parse(row.data));
+  const percentiles = networkPercentiles(posts);
+
+  const stories = new Map();
+  posts.forEach((post, index) => {
+	const key = rows[index].story_url || `${post.network} ${post.id}`;
+	const weight = sort === 'trending' ? percentiles.get(post) * decay(post, now) : percentiles.get(post);
+	const story = stories.get(key) || { score: 0, lead: null, leadWeight: -1 };
+
+	story.score = sort === 'trending' ? story.score + weight : Math.max(story.score, weight);
+	if (weight > story.leadWeight) {
+	  story.lead = post;
+	  story.leadWeight = weight;
+	}
+	stories.set(key, story);
+  });
+
+  const ranked = Array.from(stories.values()).sort(
+	(a, b) => b.score - a.score || b.lead.createdAt.localeCompare(a.lead.createdAt)
+  );
+
+  return {
+	posts: ranked
+	  .slice(offset, offset + limit)
+	  .map((story) => ({ ...story.lead, score: Math.round(story.score * 1000) / 1000 })),
+	nextCursor: offset + limit < ranked.length ? encodeOffsetCursor(sort, offset + limit) : null,
+  };
+}
+
+module.exports = { SORTS, getRankedPosts };
@@ -0,0 +1,114 @@
+const { createPost } = require('./posts');
+const { savePosts } = require('./store');
+const { getRankedPosts } = require('./ranking');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const STORY_DOMAIN = 'news.example';
+
+function post(id, { network = 'bluesky', likes = 0, reposts = 0, hoursAgo = 1, story = null }) {
+  return createPost({
+	id,
+	network,
+	author: { id: `${network}-author` },
+	text: id,
+	createdAt: new Date(NOW - hoursAgo * HOUR).toISOString(),
+	engagement: { likes, reposts },
+	citations: story ? [{ url: story, matches: [{ topic: 'stories', domain: STORY_DOMAIN }] }] : [],
+  });
+}
+
+function rank(topic, sort, options = {}) {
+  return getRankedPosts({ topic, sort, now: NOW, ...options });
+}
+
+const summary = ({ posts }) => posts.map(({ id, score }) => [id, score]);
+
+describe('engagement percentiles', () => {
+  beforeAll(() =>
+	savePosts('percentiles', [
+	  post('bsky-big', { likes: 300 }),
+	  post('bsky-small', { likes: 10 }),
+	  post('nostr-big', { network: 'nostr', likes: 3, hoursAgo: 2 }),
+	  post('nostr-none', { network: 'nostr', hoursAgo: 2 }),
+	])
+  );
+
+  test('compare posts with others from the same network', () => {
+	expect(summary(rank('percentiles', 'top'))).toEqual([
+	  ['bsky-big', 0.75],
+	  ['nostr-big', 0.75],
+	  ['bsky-small', 0.25],
+	  ['nostr-none', 0.25],
+	]);
+  });
+
+  test('give tied posts the same middle percentile', () => {
+	savePosts('ties', [post('tie-a', {}), post('tie-b', {})]);
+	expect(summary(rank('ties', 'top'))).toEqual([
+	  ['tie-a', 0.5],
+	  ['tie-b', 0.5],
+	]);
+  });
+});
+
+describe('stories', () => {
+  const STORY = 'https://news.example/story';
+
+  beforeAll(() =>
+	savePosts('stories', [
+	  post('story-popular', { likes: 50, story: STORY }),
+	  post('story-quiet', { likes: 1, story: STORY }),
+	  post('alone', { likes: 20 }),
+	])
+  );
+
+  test('collapse posts citing the same source, led by the most engaged one', () => {
+	const { posts } = rank('stories', 'top');
+	expect(posts.map((story) => story.id)).toEqual(['story-popular', 'alone']);
+  });
+
+  test('add up their posts when trending, but take the best one for top', () => {
+	expect(summary(rank('stories', 'top'))).toEqual([
+	  ['story-popular', 0.833],
+	  ['alone', 0.5],
+	]);
+	const trendingScore = (0.833 + 0.167) * Math.pow(0.5, 1 / 6);
+	expect(rank('stories', 'trending').posts[0].score).toBeCloseTo(trendingScore, 2);
+  });
+});
+
+describe('time windows', () => {
+  beforeAll(() =>
+	savePosts('windows', [
+	  post('fresh', { hoursAgo: 1 }),
+	  post('days-old', { hoursAgo: 3 * 24 }),
+	  post('weeks-old', { hoursAgo: 8 * 24 }),
+	])
+  );
+
+  test('top covers the past week and trending the past two days', () => {
+	const ids = (sort) => rank('windows', sort).posts.map((ranked) => ranked.id);
+	expect(ids('top').sort()).toEqual(['days-old', 'fresh']);
+	expect(ids('trending')).toEqual(['fresh']);
+  });
+
+  test('trending halves a post every six hours', () => {
+	savePosts('decay', [post('now', { hoursAgo: 0 }), post('later', { hoursAgo: 6 })]);
+	const [newer, older] = rank('decay', 'trending').posts;
+	expect(newer.score).toBeCloseTo(0.5, 3);
+	expect(older.score).toBeCloseTo(0.25, 3);
+  });
+});
+
+describe('paging', () => {
+  test('pages through the ranking with offset cursors', () => {
+	const first = rank('percentiles', 'top', { limit: 3 });
+	expect(first.posts).toHaveLength(3);
+	expect(first.nextCursor).toEqual(expect.any(String));
+
+	const last = rank('percentiles', 'top', { limit: 3, offset: 3 });
+	expect(last.posts.map((ranked) => ranked.id)).toEqual(['nostr-none']);
+	expect(last.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+// server/src/registry.js
+//
+// The source registry: who is behind the domains posts cite, loaded from
+// config/sources.json or the file named by SOURCES_CONFIG. Each entry has:
+//
+//   domain    a domain rule, as in the topics config (`*.gov`, `bls.gov`,
+//             `amazon.com/gp/video`)
+//   name      the organization, e.g. "U.S. Bureau of Labor Statistics"
+//   type      one of the registry's `types`, e.g. "preprint-server"; each
+//             type has a label and whether its work is peer-reviewed (true,
+//             false, or null where that doesn't apply)
+//   country   ISO 3166 code, or null for international organizations
+//
+// When rules overlap the most specific one wins: `bls.gov` over `*.gov`,
+// `open.spotify.com/episode` over `spotify.com`. Citations carry the
+// matching description from the time they were classified (see sources.js).
+
+const fs = require('fs');
+const path = require('path');
+const { parseDomainRule } = require('./sources');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/sources.json');
+
+function validateSource(source, types, index) {
+  for (const field of ['domain', 'name', 'type']) {
+	if (!source[field]) {
+	  throw new Error(`Source #${index} in sources config is missing "${field}"`);
+	}
+  }
+  if (!types[source.type]) {
+	throw new Error(`Source "${source.domain}" has unknown type "${source.type}"`);
+  }
+}
+
+// Wildcards last, then deeper hosts and longer paths first.
+function bySpecificity(a, b) {
+  return (
+	a.rule.wildcard - b.rule.wildcard ||
+	b.rule.host.split('.').length - a.rule.host.split('.').length ||
+	(b.rule.pathPrefix || '').length - (a.rule.pathPrefix || '').length
+  );
+}
+
+function loadRegistry(configPath = process.env.SOURCES_CONFIG || DEFAULT_CONFIG_PATH) {
+  const { types, sources } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  return sources
+	.map((source, index) => {
+	  validateSource(source, types, index);
+	  const type = types[source.type];
+	  return {
+		rule: parseDomainRule(source.domain),
+		source: {
+		  name: source.name,
+		  type: source.type,
+		  label: type.label,
+		  peerReviewed: type.peerReviewed ?? null,
+		  country: source.country || null,
+		},
+	  };
+	})
+	.sort(bySpecificity);
+}
+
+const registry = loadRegistry();
+
+function getRegistry() {
+  return registry;
+}
+
+module.exports = { loadRegistry, getRegistry };
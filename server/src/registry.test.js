@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describeSource } = require('./sources');
+const { loadRegistry, getRegistry } = require('./registry');
+
+const TYPES = {
+  agency: { label: 'Agency', peerReviewed: null },
+  journal: { label: 'Journal', peerReviewed: true },
+  store: { label: 'Store' },
+};
+
+let directory;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+});
+
+afterAll(() => fs.rmSync(directory, { recursive: true }));
+
+// Loads a registry from a config with these sources.
+function registryOf(sources, types = TYPES) {
+  const configPath = path.join(directory, 'sources.json');
+  fs.writeFileSync(configPath, JSON.stringify({ types, sources }));
+  return loadRegistry(configPath);
+}
+
+describe('loadRegistry', () => {
+  // Listed least specific first, so only the sorting can make them win.
+  const registry = () =>
+	registryOf([
+	  { domain: '*.example', name: 'Anything', type: 'agency' },
+	  { domain: 'shop.example', name: 'Shop', type: 'store' },
+	  { domain: 'shop.example/journal', name: 'Shop journal', type: 'journal', country: 'DE' },
+	  { domain: 'shop.example/journal/archive', name: 'Archive', type: 'journal' },
+	  { domain: 'eu.shop.example', name: 'EU shop', type: 'store' },
+	]);
+
+  test.each([
+	['https://agency.example/report', 'Anything'],
+	['https://shop.example/cart', 'Shop'],
+	['https://www.shop.example/journal/2026', 'Shop journal'],
+	['https://shop.example/journal/archive/1999', 'Archive'],
+	['https://eu.shop.example/journal/2026', 'EU shop'],
+  ])('puts the most specific rule for %s first', (url, name) => {
+	expect(describeSource(url, registry()).name).toBe(name);
+  });
+
+  test('describes sources with their type', () => {
+	expect(describeSource('https://shop.example/journal/1', registry())).toEqual({
+	  name: 'Shop journal',
+	  type: 'journal',
+	  label: 'Journal',
+	  peerReviewed: true,
+	  country: 'DE',
+	});
+	expect(describeSource('https://shop.example/', registry())).toMatchObject({
+	  peerReviewed: null,
+	  country: null,
+	});
+  });
+
+  test('rejects sources missing fields or with unknown types', () => {
+	expect(() => registryOf([{ domain: 'a.example', type: 'agency' }])).toThrow(/missing "name"/);
+	expect(() => registryOf([{ domain: 'a.example', name: 'A', type: 'blog' }])).toThrow(
+	  /unknown type "blog"/
+	);
+  });
+});
+
+describe('the shipped registry', () => {
+  test.each([
+	['https://www.bls.gov/news.release/empsit.nr0.htm', 'statistical-agency'],
+	['https://www.whitehouse.gov/briefings', 'government'],
+	['https://open.spotify.com/episode/123', 'podcast-platform'],
+	['https://open.spotify.com/track/123', 'music-streaming'],
+  ])('files %s as %s', (url, type) => {
+	expect(describeSource(url, getRegistry()).type).toBe(type);
+  });
+});
@@ -0,0 +1,245 @@
+// server/src/relays.js
+//
+// Nostr relay manager. Keeps the configured relay list (config/nostr.json or
+// the file named by NOSTR_RELAYS_CONFIG), learns which relays support NIP-50
+// search from their NIP-11 information document, and scores relays by how
+// they behave: connection failures, time to EOSE, and timeouts.
+//
+// Relays that fail several queries in a row, by not connecting or by never
+// sending EOSE before the deadline, are dropped for a cooldown that grows
+// with each further failure, then tried again.
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { relayInit } = require('nostr-tools');
+const logger = require('./logger');
+
+// nostr-tools expects a browser-style global WebSocket.
+if (typeof global.WebSocket === 'undefined') {
+  global.WebSocket = require('ws');
+}
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/nostr.json');
+
+const CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_QUERY_TIMEOUT_MS = 10000;
+const INFO_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILURES_BEFORE_DROP = 3;
+const BASE_COOLDOWN_MS = 15 * 60 * 1000;
+const MAX_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+function loadRelays(configPath = process.env.NOSTR_RELAYS_CONFIG || DEFAULT_CONFIG_PATH) {
+  const { relays } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return relays.map((relay) => ({
+	url: relay.url,
+	// true/false pins NIP-50 support; left out, it is read from NIP-11.
+	search: typeof relay.search === 'boolean' ? relay.search : null,
+	searchConfigured: typeof relay.search === 'boolean',
+	infoCheckedAt: 0,
+	queries: 0,
+	failures: 0,
+	consecutiveFailures: 0,
+	timeouts: 0,
+	eoses: 0,
+	events: 0,
+	latencyMs: null,
+	lastError: null,
+	droppedUntil: 0,
+  }));
+}
+
+const relays = loadRelays();
+
+function isDropped(relay) {
+  return relay.droppedUntil > Date.now();
+}
+
+// NIP-11: GET the relay URL over http(s) with Accept: application/nostr+json.
+async function refreshInfo(relay) {
+  if (relay.searchConfigured || Date.now() - relay.infoCheckedAt < INFO_TTL_MS) {
+	return;
+  }
+  relay.infoCheckedAt = Date.now();
+
+  try {
+	const response = await fetch(relay.url.replace(/^ws/, 'http'), {
+	  headers: { Accept: 'application/nostr+json' },
+	  timeout: CONNECT_TIMEOUT_MS,
+	});
+	const info = await response.json();
+	relay.search = Array.isArray(info.supported_nips) && info.supported_nips.includes(50);
+  } catch (error) {
+	relay.search = false;
+  }
+}
+
+// A subscription that ran. One that hit the deadline without EOSE counts as
+// a failure too, so relays that always time out get dropped.
+function recordQuery(relay, { eose, latencyMs, events }) {
+  relay.events += events;
+  if (!eose) {
+	relay.timeouts++;
+	recordFailure(relay, new Error('Timed out before EOSE'));
+	return;
+  }
+  relay.consecutiveFailures = 0;
+  relay.droppedUntil = 0;
+  relay.eoses++;
+  // Exponentially weighted, so the score follows recent behaviour.
+  relay.latencyMs = relay.latencyMs === null ? latencyMs : Math.round(relay.latencyMs * 0.7 + latencyMs * 0.3);
+}
+
+function recordFailure(relay, error) {
+  relay.failures++;
+  relay.consecutiveFailures++;
+  relay.lastError = error.message;
+
+  if (relay.consecutiveFailures >= FAILURES_BEFORE_DROP) {
+	const cooldown = Math.min(
+	  BASE_COOLDOWN_MS * 2 ** (relay.consecutiveFailures - FAILURES_BEFORE_DROP),
+	  MAX_COOLDOWN_MS
+	);
+	relay.droppedUntil = Date.now() + cooldown;
+	logger.warn(`Dropping Nostr relay ${relay.url} for ${cooldown / 60000} minutes: ${error.message}`);
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+	promise,
+	new Promise((resolve, reject) => {
+	  timer = setTimeout(() => reject(new Error(message)), ms);
+	}),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Run one subscription on one relay until it sends EOSE or the deadline
+// passes. Resolves with whether the relay could be reached at all.
+async function queryRelay(relay, filters, { deadline, onEvent }) {
+  const connection = relayInit(relay.url);
+  const startedAt = Date.now();
+  relay.queries++;
+
+  try {
+	await withTimeout(connection.connect(), CONNECT_TIMEOUT_MS, 'Connection timed out');
+  } catch (error) {
+	// nostr-tools rejects connect() without a reason.
+	recordFailure(relay, error || new Error('Connection failed'));
+	connection.close();
+	return false;
+  }
+
+  let events = 0;
+  const eose = await new Promise((resolve) => {
+	const sub = connection.sub(filters);
+	const timer = setTimeout(() => finish(false), Math.max(deadline - Date.now(), 0));
+
+	let done = false;
+	function finish(receivedEose) {
+	  if (done) return;
+	  done = true;
+	  clearTimeout(timer);
+	  sub.unsub();
+	  resolve(receivedEose);
+	}
+
+	sub.on('event', (event) => {
+	  events++;
+	  onEvent(event);
+	});
+	sub.on('eose', () => finish(true));
+  });
+
+  connection.close();
+  recordQuery(relay, { eose, latencyMs: Date.now() - startedAt, events });
+  return true;
+}
+
+// Query every live relay at once. `filtersFor(relay)` builds the filters for
+// a relay (so search-capable relays can get NIP-50 filters), or returns null
+// to skip it. Events are de-duplicated by id and passed through `accept`
+// as they arrive; the query resolves as soon as every relay has sent EOSE,
+// or after `timeoutMs` at the latest. Fails only if no relay was reachable.
+async function queryRelays(filtersFor, { timeoutMs = DEFAULT_QUERY_TIMEOUT_MS, accept = () => true } = {}) {
+  const live = relays.filter((relay) => !isDropped(relay));
+  await Promise.all(live.map(refreshInfo));
+
+  const deadline = Date.now() + timeoutMs;
+  const events = new Map();
+  const onEvent = (event) => {
+	if (!events.has(event.id) && accept(event)) {
+	  events.set(event.id, event);
+	}
+  };
+
+  const reached = await Promise.all(
+	live.map((relay) => {
+	  const filters = filtersFor(relay);
+	  return filters ? queryRelay(relay, filters, { deadline, onEvent }) : false;
+	})
+  );
+
+  if (!reached.includes(true)) {
+	throw new Error(`No Nostr relays reachable (${live.length} tried)`);
+  }
+  return Array.from(events.values());
+}
+
+// Send a signed event to every live relay. Resolves with which relays took
+// it ({ url, ok, error }); fails only if none did.
+async function publishEvent(event) {
+  const live = relays.filter((relay) => !isDropped(relay));
+  const results = await Promise.all(
+	live.map(async (relay) => {
+	  const connection = relayInit(relay.url);
+	  try {
+		await withTimeout(connection.connect(), CONNECT_TIMEOUT_MS, 'Connection timed out');
+		await withTimeout(connection.publish(event), DEFAULT_QUERY_TIMEOUT_MS, 'Publish timed out');
+		return { url: relay.url, ok: true, error: null };
+	  } catch (error) {
+		// nostr-tools rejects with the relay's OK message, or nothing at all.
+		const message = error instanceof Error ? error.message : String(error || 'Failed');
+		return { url: relay.url, ok: false, error: message };
+	  } finally {
+		connection.close();
+	  }
+	})
+  );
+
+  if (!results.some((result) => result.ok)) {
+	throw new Error(`No Nostr relay accepted the event (${live.length} tried)`);
+  }
+  return results;
+}
+
+// Health score from 0 to 100: share of queries that reached EOSE, less a
+// penalty for slow relays.
+function scoreRelay(relay) {
+  if (relay.queries === 0) {
+	return null;
+  }
+  const completion = relay.eoses / relay.queries;
+  const slowness = relay.latencyMs === null ? 0 : Math.min(relay.latencyMs / DEFAULT_QUERY_TIMEOUT_MS, 1);
+  return Math.round(100 * completion * (1 - 0.5 * slowness));
+}
+
+function getRelayHealth() {
+  return relays.map((relay) => ({
+	url: relay.url,
+	search: relay.search,
+	score: scoreRelay(relay),
+	dropped: isDropped(relay),
+	droppedUntil: isDropped(relay) ? new Date(relay.droppedUntil).toISOString() : null,
+	queries: relay.queries,
+	eoses: relay.eoses,
+	timeouts: relay.timeouts,
+	failures: relay.failures,
+	latencyMs: relay.latencyMs,
+	events: relay.events,
+	lastError: relay.lastError,
+  }));
+}
+
+module.exports = { queryRelays, publishEvent, getRelayHealth };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { generatePrivateKey, finishEvent } = require('nostr-tools');
+
+const MINUTE = 60 * 1000;
+const FILTERS = [{ kinds: [1] }];
+
+const key = generatePrivateKey();
+const note = (content) =>
+  finishEvent({ kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content }, key);
+
+// Local relays: `good` and `echo` answer every REQ with a shared note and
+// EOSE, `silent` never sends EOSE, and `dead` isn't listening at all.
+const shared = note('Seen on two relays');
+const servers = {};
+const connections = { good: 0, echo: 0, silent: 0 };
+
+function startRelay(name, answer) {
+  return new Promise((resolve) => {
+	const server = new WebSocket.Server({ host: '127.0.0.1', port: 0 }, resolve);
+	server.on('connection', (socket) => {
+	  connections[name]++;
+	  socket.on('message', (message) => {
+		const [type, id] = JSON.parse(message);
+		if (type === 'REQ') {
+		  answer(socket, id);
+		}
+	  });
+	});
+	servers[name] = server;
+  });
+}
+
+const answerWith = (events) => (socket, id) => {
+  events.forEach((event) => socket.send(JSON.stringify(['EVENT', id, event])));
+  socket.send(JSON.stringify(['EOSE', id]));
+};
+
+const url = (name) => `ws://127.0.0.1:${servers[name].address().port}`;
+
+let configDir;
+let deadPort;
+let relays;
+
+beforeAll(async () => {
+  await startRelay('good', answerWith([shared, note('Only on the good relay')]));
+  await startRelay('echo', answerWith([shared]));
+  await startRelay('silent', () => {});
+  await startRelay('dead', () => {});
+  const deadUrl = url('dead');
+  deadPort = new URL(deadUrl).port;
+  await new Promise((resolve) => servers.dead.close(resolve));
+
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relays-'));
+  const config = path.join(configDir, 'nostr.json');
+  fs.writeFileSync(
+	config,
+	JSON.stringify({
+	  relays: [
+		{ url: url('good'), search: true },
+		{ url: url('echo'), search: false },
+		{ url: url('silent'), search: false },
+		{ url: deadUrl, search: false },
+	  ],
+	})
+  );
+  process.env.NOSTR_RELAYS_CONFIG = config;
+  relays = require('./relays');
+});
+
+afterAll(async () => {
+  delete process.env.NOSTR_RELAYS_CONFIG;
+  fs.rmSync(configDir, { recursive: true });
+  await Promise.all(
+	['good', 'echo', 'silent'].map((name) => new Promise((resolve) => servers[name].close(resolve)))
+  );
+  jest.restoreAllMocks();
+});
+
+const health = () =>
+  Object.fromEntries(relays.getRelayHealth().map((relay) => [new URL(relay.url).port, relay]));
+const relayHealth = (name) => health()[new URL(url(name)).port];
+const query = () => relays.queryRelays(() => FILTERS, { timeoutMs: 300 });
+
+describe('queryRelays', () => {
+  test('keeps one copy of events several relays send', async () => {
+	const events = await query();
+	expect(events.map((event) => event.content).sort()).toEqual([
+	  'Only on the good relay',
+	  'Seen on two relays',
+	]);
+  });
+
+  test('skips relays the filters leave out', async () => {
+	const before = connections.echo;
+	const events = await relays.queryRelays((relay) => (relay.search ? FILTERS : null), {
+	  timeoutMs: 300,
+	});
+	expect(events).toHaveLength(2);
+	expect(connections.echo).toBe(before);
+  });
+});
+
+describe('relay health', () => {
+  test('scores relays that answer and counts timeouts and failures', () => {
+	expect(relayHealth('good')).toMatchObject({ queries: 2, eoses: 2, events: 4, dropped: false });
+	expect(relayHealth('good').score).toBeGreaterThan(90);
+	expect(relayHealth('silent')).toMatchObject({
+	  timeouts: 1,
+	  score: 0,
+	  lastError: 'Timed out before EOSE',
+	});
+	expect(health()[deadPort]).toMatchObject({ queries: 1, failures: 1, score: 0 });
+  });
+
+  test('drops relays after three failures in a row, for a cooldown', async () => {
+	await query();
+	expect(relayHealth('silent').dropped).toBe(false);
+	await query();
+	expect(health()[deadPort]).toMatchObject({ failures: 3, dropped: true });
+	const silent = relayHealth('silent');
+	expect(silent.dropped).toBe(true);
+	const cooldown = Date.parse(silent.droppedUntil) - Date.now();
+	expect(cooldown).toBeGreaterThan(14 * MINUTE);
+	expect(cooldown).toBeLessThanOrEqual(15 * MINUTE);
+	expect(relayHealth('good').dropped).toBe(false);
+  });
+
+  test('leaves dropped relays out, so queries finish on the last EOSE', async () => {
+	const before = connections.silent;
+	const startedAt = Date.now();
+	await relays.queryRelays(() => FILTERS, { timeoutMs: 5000 });
+	expect(Date.now() - startedAt).toBeLessThan(2000);
+	expect(connections.silent).toBe(before);
+  });
+
+  test('retries a dropped relay after its cooldown, doubling it if it fails again', async () => {
+	const now = Date.now.bind(Date);
+	jest.spyOn(Date, 'now').mockImplementation(() => now() + 16 * MINUTE);
+
+	await query();
+	const silent = relayHealth('silent');
+	expect(silent.timeouts).toBe(4);
+	const cooldown = Date.parse(silent.droppedUntil) - Date.now();
+	expect(cooldown).toBeGreaterThan(29 * MINUTE);
+	expect(cooldown).toBeLessThanOrEqual(30 * MINUTE);
+  });
+});
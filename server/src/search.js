@@ -0,0 +1,98 @@
+// server/src/search.js
+//
+// Full-text search over ingested posts: their text, author names and handles,
+// and the domains they cite (see the posts_search index in store.js).
+//
+// Queries are words, all of which must match; "quoted phrases" match as a
+// phrase and a trailing * makes a prefix (gdp*). Anything else is treated as
+// plain text, so readers never have to know FTS5 syntax and can't trip over
+// it: bea.gov searches for the phrase "bea gov", which is how the index splits
+// domains.
+
+const { db, encodeOffsetCursor } = require('./store');
+const { escapeHtml } = require('./html');
+
+// Highlight markers inside snippets, swapped for <mark> after escaping.
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+const SNIPPET_TOKENS = 16;
+
+const statements = {
+  search: db.prepare(`
+	SELECT posts.data,
+	  snippet(posts_search, 0, char(1), char(2), '…', ${SNIPPET_TOKENS}) AS snippet
+	FROM posts_search
+	JOIN posts ON posts.rowid = posts_search.rowid
+	WHERE posts_search MATCH @query
+	  AND posts.hidden = 0
+	  AND (@network IS NULL OR posts.network = @network)
+	  AND (@since IS NULL OR posts.created_at >= @since)
+	  AND (@topic IS NULL OR EXISTS (
+		SELECT 1 FROM post_topics
+		WHERE post_topics.network = posts.network
+		  AND post_topics.id = posts.id
+		  AND post_topics.topic = @topic
+	  ))
+	ORDER BY posts_search.rank, posts.created_at DESC
+	LIMIT @limit OFFSET @offset
+  `),
+};
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// One FTS5 string: its words as a quoted phrase, optionally as a prefix.
+function quote(text, prefix) {
+  const words = text.match(WORD);
+  return words ? `"${words.join(' ')}"${prefix ? '*' : ''}` : null;
+}
+
+// Turn what a reader typed into an FTS5 query, or null if it has nothing to
+// search for.
+function buildQuery(input) {
+  const terms = [];
+  const pattern = /"([^"]*)"(\*?)|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+	const [, phrase, phrasePrefix, word] = match;
+	const term =
+	  phrase !== undefined
+		? quote(phrase, phrasePrefix === '*')
+		: quote(word, word.endsWith('*'));
+	if (term) {
+	  terms.push(term);
+	}
+  }
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+function renderSnippet(snippet) {
+  return escapeHtml(snippet || '')
+	.split(MARK_START)
+	.join('<mark>')
+	.split(MARK_END)
+	.join('</mark>');
+}
+
+// Best matches first, as { posts, nextCursor }. Each post carries a `snippet`
+// of its text as HTML with the matched words in <mark>. Returns null if the
+// query has nothing to search for.
+function searchPosts({ q, topic = null, network = null, since = null, limit = 20, offset = 0 }) {
+  const query = buildQuery(q || '');
+  if (!query) {
+	return null;
+  }
+
+  // One extra row tells us whether there is another page.
+  const rows = statements.search.all({ query, topic, network, since, limit: limit + 1, offset });
+  const posts = rows.slice(0, limit).map((row) => ({
+	...JSON.parse(row.data),
+	snippet: renderSnippet(row.snippet),
+  }));
+
+  return {
+	posts,
+	nextCursor: rows.length > limit ? encodeOffsetCursor('search', offset + limit) : null,
+  };
+}
+
+module.exports = { searchPosts, buildQuery };
@@ -0,0 +1,81 @@
+const { createPost } = require('./posts');
+const { savePosts } = require('./store');
+const { buildQuery, searchPosts } = require('./search');
+
+describe('buildQuery', () => {
+  test.each([
+	['inflation', '"inflation"'],
+	['gdp growth', '"gdp" "growth"'],
+	['"central bank" rates', '"central bank" "rates"'],
+	['gdp*', '"gdp"*'],
+	['"interest rat"*', '"interest rat"*'],
+	['bea.gov', '"bea gov"'],
+	['Ökonomie 2026', '"Ökonomie" "2026"'],
+  ])('turns %s into %s', (input, query) => {
+	expect(buildQuery(input)).toBe(query);
+  });
+
+  test('treats FTS5 syntax as plain text', () => {
+	expect(buildQuery('NOT rates OR taxes')).toBe('"NOT" "rates" "OR" "taxes"');
+	expect(buildQuery('text:gdp (a AND b)')).toBe('"text gdp" "a" "AND" "b"');
+	expect(buildQuery('"unclosed phrase')).toBe('"unclosed" "phrase"');
+	expect(buildQuery('-rates ^gdp')).toBe('"rates" "gdp"');
+  });
+
+  test('returns null when there is nothing to search for', () => {
+	expect(buildQuery('')).toBeNull();
+	expect(buildQuery('  "" * -- ')).toBeNull();
+  });
+});
+
+describe('searchPosts', () => {
+  beforeAll(() =>
+	savePosts('econ', [
+	  createPost({
+		id: 'gdp',
+		network: 'bluesky',
+		author: { name: 'Ada Economist', handle: 'ada.bsky.social' },
+		text: 'GDP grew <faster> than expected this quarter',
+		createdAt: '2026-02-01T00:00:00Z',
+		citations: [
+		  {
+			url: 'https://www.bea.gov/news',
+			host: 'bea.gov',
+			matches: [{ topic: 'econ', domain: 'bea.gov' }],
+		  },
+		],
+	  }),
+	  createPost({
+		id: 'rates',
+		network: 'nostr',
+		author: { name: 'Rate Watcher' },
+		text: 'The central bank held interest rates',
+		createdAt: '2026-02-02T00:00:00Z',
+	  }),
+	])
+  );
+
+  const ids = (q, options) => searchPosts({ q, ...options }).posts.map((post) => post.id);
+
+  test('matches text, authors and cited domains', () => {
+	expect(ids('grew')).toEqual(['gdp']);
+	expect(ids('ada.bsky.social')).toEqual(['gdp']);
+	expect(ids('bea.gov')).toEqual(['gdp']);
+	expect(ids('interest rat*')).toEqual(['rates']);
+	expect(ids('"bank interest"')).toEqual([]);
+  });
+
+  test('filters by network and topic', () => {
+	expect(ids('the', { network: 'nostr' })).toEqual(['rates']);
+	expect(ids('gdp', { topic: 'sci' })).toEqual([]);
+  });
+
+  test('marks matches in an escaped snippet', () => {
+	const [post] = searchPosts({ q: 'faster' }).posts;
+	expect(post.snippet).toBe('GDP grew &lt;<mark>faster</mark>&gt; than expected this quarter');
+  });
+
+  test('returns null for queries with nothing to search for', () => {
+	expect(searchPosts({ q: '***' })).toBeNull();
+  });
+});
@@ -4,31 +4,77 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
-const { AtpAgent, RichText } = require('@atproto/api');
-const { SimplePool, nip19 } = require('nostr-tools');
-const NodeCache = require('node-cache');
 const rateLimit = require('express-rate-limit');
-const winston = require('winston');
-const fetch = require('node-fetch'); // Ensure you have node-fetch installed
+const logger = require('./logger');
+const {
+  getAdapters,
+  getAdapter,
+  describeAdapter,
+  getNetworkStatus,
+  getHealth,
+} = require('./adapters');
+const { withoutRaw } = require('./posts');
+const { getTopics, getTopic, describeTopic } = require('./topics');
+const { getPosts, decodeCursor, decodeOffsetCursor } = require('./store');
+const { startIngestion, backfillTopic } = require('./ingest');
+const { startJetstream, getJetstreamStatus } = require('./jetstream');
+const { attachStories, getStories } = require('./stories');
+const { SORTS, getRankedPosts } = require('./ranking');
+const { searchPosts } = require('./search');
+const { subscribe } = require('./live');
+const { getThread } = require('./threads');
+const {
+  register,
+  login,
+  logout,
+  authenticate,
+  requireUser,
+  requireAdmin,
+  requestError,
+  applyAdminList,
+} = require('./accounts');
+const {
+  listBookmarks,
+  saveBookmark,
+  updateBookmark,
+  deleteBookmark,
+  importBookmarks,
+  listTags,
+  listCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  snapshotPost,
+} = require('./bookmarks');
+const { EXPORT_FORMATS, exportPosts } = require('./exports');
+const { FEED_FORMATS, renderFeed } = require('./feeds');
+const { getPreview } = require('./previews');
+const {
+  checkCitation,
+  listConnections,
+  connectBluesky,
+  startMastodonConnection,
+  finishMastodonConnection,
+  disconnect,
+  publishPost,
+} = require('./publishing');
+const {
+  reportPost,
+  reporterId,
+  listQueue,
+  reviewPost,
+  listRules,
+  addRule,
+  removeRule,
+} = require('./moderation');
 
 const app = express();
 const port = process.env.PORT || 3001;
 const host = '0.0.0.0';
 
-// Logging configuration
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  defaultMeta: { service: 'community-sources' },
-  transports: [
-	new winston.transports.Console({
-	  format: winston.format.simple(),
-	}),
-  ],
-});
-
-// Middleware
-app.use(express.json());
+// Middleware. The body limit leaves room for importing a device's
+// bookmarks in one request.
+app.use(express.json({ limit: '2mb' }));
 
 // CORS configuration
 if (process.env.NODE_ENV === 'development') {
@@ -37,296 +83,629 @@ if (process.env.NODE_ENV === 'development') {
   app.use(cors());
 }
 
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAMS_PER_IP = 5;
+const openStreams = new Map(); // IP -> open /api/stream connections
+
+// Newly ingested posts for a topic as Server-Sent Events: a `posts` event
+// carrying { posts } (shaped like /api/feed's) each time ingestion files new
+// ones. Comments go out in between so proxies keep the connection open.
+//
+// Mounted ahead of the API rate limit, since browsers reconnect on their own;
+// instead each address can hold a few streams open at once.
+app.get('/api/stream', (req, res) => {
+  const topic = resolveTopic(req.query);
+  if (!topic) {
+	return res.status(404).json({ error: `Unknown topic "${req.query.topic}"` });
+  }
+  const open = openStreams.get(req.ip) || 0;
+  if (open >= MAX_STREAMS_PER_IP) {
+	return res.status(429).json({ error: 'Too many open streams' });
+  }
+  openStreams.set(req.ip, open + 1);
+
+  res.set({
+	'Content-Type': 'text/event-stream',
+	'Cache-Control': 'no-cache',
+	Connection: 'keep-alive',
+	'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 10000\n\n');
+
+  const unsubscribe = subscribe(topic.slug, (posts) => {
+	try {
+	  const page = attachStories(topic.slug, posts).map(withoutRaw);
+	  res.write(`event: posts\ndata: ${JSON.stringify({ posts: page })}\n\n`);
+	} catch (error) {
+	  logger.error(`Error in /api/stream: ${error.message}`);
+	}
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+	clearInterval(heartbeat);
+	unsubscribe();
+	const remaining = openStreams.get(req.ip) - 1;
+	if (remaining > 0) {
+	  openStreams.set(req.ip, remaining);
+	} else {
+	  openStreams.delete(req.ip);
+	}
+  });
+});
+
 // Rate limiting
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
 });
 app.use('/api/', apiLimiter);
+app.use('/api/', authenticate);
+
+// The export format asked for in `?format=`, JSON by default.
+function exportFormat(req) {
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+	throw requestError(
+	  400,
+	  `Unknown format "${format}", expected one of ${EXPORT_FORMATS.join(', ')}`
+	);
+  }
+  return format;
+}
 
-// Token bucket for Bluesky rate limiting
-const tokenBucket = {
-  tokens: 5,
-  lastRefill: Date.now(),
-  refillRate: 60000, // 1 token per minute
-  capacity: 5,
-};
+function sendFile(res, { body, contentType, filename }) {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
 
-function getToken() {
-  const now = Date.now();
-  const timeSinceLastRefill = now - tokenBucket.lastRefill;
-  const refillAmount = Math.floor(timeSinceLastRefill / tokenBucket.refillRate);
+// Where the app is served from, for absolute links in feeds and OAuth
+// callbacks. Set PUBLIC_URL when running behind a proxy that changes the
+// scheme or host.
+function siteUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
 
-  if (refillAmount > 0) {
-	tokenBucket.tokens = Math.min(tokenBucket.capacity, tokenBucket.tokens + refillAmount);
-	tokenBucket.lastRefill = now;
-  }
+// Where the client is served from; the dev server runs apart from the API.
+function appUrl(req) {
+  return process.env.NODE_ENV === 'development'
+	? process.env.FRONTEND_URL || 'http://localhost:3000'
+	: siteUrl(req);
+}
 
-  if (tokenBucket.tokens > 0) {
-	tokenBucket.tokens--;
-	return true;
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+}
+
+// Errors thrown with a `status` (see accounts.js) are the client's fault and
+// are passed on as they are; anything else is logged as a server error.
+function sendError(res, error, route) {
+  if (error.status) {
+	return res.status(error.status).json({ error: error.message });
   }
+  logger.error(`Error in ${route}: ${error.message}`);
+  res.status(500).json({ error: 'Something went wrong' });
+}
 
-  return false;
+// Resolve the topic for a request: `?topic=<slug>`, or the legacy numeric
+// `?activeTab=N` which indexes into the configured topics.
+function resolveTopic(query) {
+  if (query.topic) {
+	return getTopic(query.topic);
+  }
+  const topics = getTopics();
+  return topics[parseInt(query.activeTab) || 0] || topics[0];
 }
 
-const nostrCache = new NodeCache({ stdTTL: 600 }); // Cache for 10 minutes
+// API Routes
+app.get('/api/topics', (req, res) => {
+  res.json({ topics: getTopics().map(describeTopic) });
+});
 
-const feedLinks = [
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/aaap7msb6vmdg',
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/aaap7i2f6e3kq',
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/aaacsjo76q5g4',
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/aaab4n3ofdehe',
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/aaaburmrbef3k',
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/aaab4xs76ypte',
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/aaabut5jyrc6c',
-  'at://did:plc:hd4p7hmwqy3egilcv6lgjpzf/app.bsky.feed.generator/gggp7i2f6e3kq',
-];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// `sort` is recent (default), top or trending; see ranking.js. Cursors only
+// work with the sort they came from. Each of `networks` carries the `status`
+// of its last fetch for the topic (see getNetworkStatus), so the client can
+// tell a quiet network from a failing one.
+app.get('/api/feed', (req, res) => {
+  const topic = resolveTopic(req.query);
+  const includeRaw = req.query.raw === 'true';
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const sort = req.query.sort || 'recent';
+  const ranked = sort !== 'recent';
+
+  if (!topic) {
+	return res.status(404).json({ error: `Unknown topic "${req.query.topic}"` });
+  }
+  if (!SORTS.includes(sort)) {
+	return res.status(400).json({ error: `Unknown sort "${sort}", expected one of ${SORTS.join(', ')}` });
+  }
+
+  let after = null;
+  if (req.query.cursor) {
+	after = ranked ? decodeOffsetCursor(req.query.cursor, sort) : decodeCursor(req.query.cursor);
+	if (after === null) {
+	  return res.status(400).json({ error: 'Invalid cursor' });
+	}
+  }
 
-const nostrSearchPatterns = [
-  /\.gov\/|bea\.gov|stlouisfed\.org|worldbank\.org|bls\.gov|imf\.org|oecd\.org|europa\.eu\/eurostat|unstats\.un\.org|arxiv\.org|nih\.gov|nasa\.gov|science\.org|cell\.com|pnas\.org/i,
-  /\.gov\//i,
-  /bea\.gov|stlouisfed\.org|worldbank\.org|bls\.gov|imf\.org|oecd\.org|europa\.eu\/eurostat|unstats\.un\.org/i,
-  /arxiv\.org|nih\.gov|nasa\.gov|science\.org|cell\.com|pnas\.org/i,
-  /imdb\.com|rottentomatoes\.com|netflix\.com|hulu\.com|amazon\.com\/gp\/video\/|play\.max\.com/i,
-  /podcasts\.apple\.com|open\.spotify\.com\/episode\/|open\.spotify\.com\/show\//i,
-  /spotify\.com\/artist|spotify\.com\/track|spotify\.com\/album|music\.apple\.com|soundcloud\.com/i,
-].map((regex) => new RegExp(regex.source, 'i'));
+  logger.info(`Received request for topic ${topic.slug} by ${sort}${after ? ' (next page)' : ''}`);
 
-async function fetchBlueskyPosts(activeTab, preferredLanguages) {
-  logger.info('Fetching Bluesky posts for tab:', activeTab);
+  try {
+	let page;
+	if (ranked) {
+	  page = getRankedPosts({ topic: topic.slug, sort, limit, offset: after || 0 });
+	} else {
+	  page = getPosts({ topic: topic.slug, limit, after });
+
+	  // Past the end of what's stored: pull older posts from the networks
+	  // in the background. The page is answered from the store right away,
+	  // and /api/stream delivers whatever the backfill finds.
+	  if (page.posts.length < limit) {
+		backfillTopic(topic).catch((error) =>
+		  logger.warn(`Backfill for topic ${topic.slug} failed: ${error.message}`)
+		);
+	  }
+	}
 
-  if (!getToken()) {
-	logger.warn('Rate limit exceeded for Bluesky');
-	return [];
+	logger.info(`Sending response with ${page.posts.length} posts`);
+	const posts = attachStories(topic.slug, page.posts);
+	res.json({
+	  topic: describeTopic(topic),
+	  sort,
+	  networks: getAdapters().map((adapter) => ({
+		...describeAdapter(adapter),
+		status: getNetworkStatus(adapter.name, topic.slug),
+	  })),
+	  posts: includeRaw ? posts : posts.map(withoutRaw),
+	  nextCursor: page.nextCursor,
+	});
+  } catch (error) {
+	logger.error('Error in /api/feed:', error);
+	res.status(500).json({
+	  error: 'Error fetching feed',
+	  details: error.message,
+	  stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+	});
   }
+});
+
+// Upstream health: every network's last fetches and adapter details, and
+// the Jetstream connection. `status` is `ok` when every network's last fetch
+// worked, `down` when none did, and `degraded` otherwise; down answers 503
+// so uptime monitors notice.
+app.get('/api/health', (req, res) => {
+  const networks = getHealth();
+  const runs = networks.map((network) => network.lastRun).filter(Boolean);
+  const failed = runs.filter((run) => run.status !== 'ok' && run.status !== 'partial');
+  const status =
+	runs.length > 0 && failed.length === runs.length
+	  ? 'down'
+	  : runs.some((run) => run.status !== 'ok')
+	  ? 'degraded'
+	  : 'ok';
+
+  res.status(status === 'down' ? 503 : 200).json({
+	status,
+	checkedAt: new Date().toISOString(),
+	networks,
+	jetstream: getJetstreamStatus(),
+  });
+});
 
-  const agent = new AtpAgent({ service: 'https://bsky.social' });
+const DEFAULT_STORY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+app.get('/api/stories', (req, res) => {
+  const topic = resolveTopic(req.query);
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+  const since = req.query.since
+	? new Date(req.query.since)
+	: new Date(Date.now() - DEFAULT_STORY_WINDOW_MS);
+
+  if (!topic) {
+	return res.status(404).json({ error: `Unknown topic "${req.query.topic}"` });
+  }
+  if (isNaN(since)) {
+	return res.status(400).json({ error: 'Invalid since date' });
+  }
 
   try {
-	await agent.login({
-	  identifier: process.env.BLUESKY_IDENTIFIER,
-	  password: process.env.BLUESKY_PASSWORD,
+	res.json({
+	  topic: describeTopic(topic),
+	  since: since.toISOString(),
+	  stories: getStories({ topic: topic.slug, since: since.toISOString(), limit }),
 	});
+  } catch (error) {
+	logger.error('Error in /api/stories:', error);
+	res.status(500).json({ error: 'Error fetching stories', details: error.message });
+  }
+});
 
-	const { data } = await agent.api.app.bsky.feed.getFeed(
-	  {
-		feed: feedLinks[activeTab],
-		limit: 50,
-	  },
-	  {
-		headers: {
-		  'Accept-Language': preferredLanguages,
-		},
-	  }
-	);
-	const { feed: postsArray } = data;
-
-	const processedPosts = await Promise.all(
-	  postsArray.map(async (item) => {
-		const rt = new RichText({ text: item.post.record.text });
-		await rt.detectFacets(agent);
-
-		let markdown = '';
-		for (const segment of rt.segments()) {
-		  if (segment.isLink()) {
-			markdown += `${segment.link?.uri}`;
-		  } else if (segment.isMention()) {
-			markdown += `[${segment.text}](https://my-bsky-app.com/user/${segment.mention?.did})`;
-		  } else {
-			markdown += segment.text;
-		  }
-		}
-
-		return {
-		  ...item,
-		  markdown,
-		  post: {
-			...item.post,
-			facets: item.post.record.facets,
-			embed: item.post.record.embed,
-		  },
-		};
-	  })
-	);
+// Full-text search; see search.js for the query syntax. `topic`, `network`
+// and `since` narrow the results.
+app.get('/api/search', (req, res) => {
+  const topic = req.query.topic ? getTopic(req.query.topic) : null;
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+  const since = req.query.since ? new Date(req.query.since) : null;
+  const offset = req.query.cursor ? decodeOffsetCursor(req.query.cursor, 'search') : 0;
 
-	logger.info(`Processed ${processedPosts.length} Bluesky posts`);
-	return processedPosts;
+  if (!req.query.q || !req.query.q.trim()) {
+	return res.status(400).json({ error: 'Missing search query' });
+  }
+  if (req.query.topic && !topic) {
+	return res.status(404).json({ error: `Unknown topic "${req.query.topic}"` });
+  }
+  if (req.query.network && !getAdapter(req.query.network)) {
+	return res.status(400).json({ error: `Unknown network "${req.query.network}"` });
+  }
+  if (since && isNaN(since)) {
+	return res.status(400).json({ error: 'Invalid since date' });
+  }
+  if (offset === null) {
+	return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+	const results = searchPosts({
+	  q: req.query.q,
+	  topic: topic ? topic.slug : null,
+	  network: req.query.network || null,
+	  since: since ? since.toISOString() : null,
+	  limit,
+	  offset,
+	});
+	if (!results) {
+	  return res.status(400).json({ error: 'Search query has no words to look for' });
+	}
+	res.json({ query: req.query.q, posts: results.posts.map(withoutRaw), nextCursor: results.nextCursor });
   } catch (error) {
-	logger.error('Error fetching Bluesky posts:', error);
-	return [];
+	logger.error(`Error in /api/search: ${error.message}`);
+	res.status(500).json({ error: 'Error searching posts', details: error.message });
   }
-}
+});
+
+// The reply thread around a stored post: { post, ancestors, replies }, see
+// threads.js.
+app.get('/api/thread', async (req, res) => {
+  if (!req.query.network || !req.query.id) {
+	return res.status(400).json({ error: 'Missing network or id' });
+  }
+  try {
+	res.json(await getThread(req.query.network, req.query.id));
+  } catch (error) {
+	sendError(res, error, '/api/thread');
+  }
+});
 
-async function fetchNostrPosts(activeTab) {
-  logger.info('Fetching Nostr posts for tab:', activeTab);
+// Accounts. Register and login answer with { token, user }; the token goes
+// in an `Authorization: Bearer` header from then on.
+app.post('/api/auth/register', async (req, res) => {
+  try {
+	res.status(201).json(await register(req.body.username, req.body.password));
+  } catch (error) {
+	sendError(res, error, '/api/auth/register');
+  }
+});
 
-  const cacheKey = `nostr_${activeTab}`;
-  const cachedResult = nostrCache.get(cacheKey);
-  if (cachedResult) {
-	logger.info(`Returning ${cachedResult.length} cached Nostr events`);
-	return cachedResult;
+app.post('/api/auth/login', async (req, res) => {
+  try {
+	res.json(await login(req.body.username, req.body.password));
+  } catch (error) {
+	sendError(res, error, '/api/auth/login');
   }
+});
 
-  const relays = [
-	'wss://relay.nostr.band',
-	'wss://relay.damus.io',
-	'wss://sources.nostr1.com',
-	'wss://relay.nos.social',
-	'wss://nostr-relay.app',
-	'wss://nostr.land',
-	'wss://nos.lol',
-	'wss://relay.nostr.bg',
-	'wss://relay.current.fyi',
-	'wss://relay.snort.social',
-	'wss://relay.nostr.info',
-  ];
+app.post('/api/auth/logout', requireUser, (req, res) => {
+  logout(req.sessionToken);
+  res.status(204).end();
+});
 
-  const pool = new SimplePool();
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ user: req.user });
+});
 
+// Bookmarks, filtered by `collection` (id) or `tag`.
+app.get('/api/bookmarks', requireUser, (req, res) => {
   try {
-	const oneWeekAgo = Math.floor(Date.now() / 1000) - 14 * 24 * 60 * 60;
-
-	const events = await new Promise((resolve) => {
-	  let collectedEvents = [];
-	  const sub = pool.sub(relays, [
-		{
-		  kinds: [1],
-		  since: oneWeekAgo,
-		},
-	  ]);
-
-	  sub.on('event', (event) => {
-		if (nostrSearchPatterns[activeTab].test(event.content)) {
-		  collectedEvents.push(event);
-		}
-	  });
-
-	  setTimeout(() => {
-		sub.unsub();
-		resolve(collectedEvents);
-	  }, 10000); // Wait for 10 seconds to collect events
+	res.json({
+	  bookmarks: listBookmarks(req.user.id, {
+		collectionId: req.query.collection ? parseInt(req.query.collection) : null,
+		tag: req.query.tag || null,
+	  }),
+	  collections: listCollections(req.user.id),
+	  tags: listTags(req.user.id),
 	});
+  } catch (error) {
+	sendError(res, error, '/api/bookmarks');
+  }
+});
 
-	const processedEvents = events.map((event) => ({
-	  id: event.id,
-	  pubkey: event.pubkey,
-	  content: event.content,
-	  created_at: event.created_at,
-	  tags: event.tags,
-	  npub: nip19.npubEncode(event.pubkey),
-	}));
-
-	logger.info(`Filtered ${processedEvents.length} Nostr events`);
-	nostrCache.set(cacheKey, processedEvents);
-	pool.close(relays);
-	return processedEvents;
+// Saved posts as a file in one of EXPORT_FORMATS (see exports.js), all of
+// them or those in one `collection` or with one `tag`.
+app.get('/api/bookmarks/export', requireUser, (req, res) => {
+  try {
+	const format = exportFormat(req);
+	const collections = listCollections(req.user.id);
+	const collectionId = req.query.collection ? parseInt(req.query.collection) : null;
+	const collection = collections.find(({ id }) => id === collectionId);
+	const bookmarks = listBookmarks(req.user.id, { collectionId, tag: req.query.tag || null });
+
+	const file = exportPosts(
+	  format,
+	  bookmarks.map((bookmark) => ({
+		...bookmark,
+		collectionNames: bookmark.collections
+		  .map((id) => collections.find((candidate) => candidate.id === id)?.name)
+		  .filter(Boolean),
+	  })),
+	  { name: collection ? slugify(collection.name) : 'saved-posts' }
+	);
+	sendFile(res, file);
   } catch (error) {
-	logger.error('Error fetching NOSTR posts:', error);
-	pool.close(relays);
-	return [];
+	sendError(res, error, '/api/bookmarks/export');
   }
-}
+});
 
-async function fetchMastodonPosts(activeTab) {
-  logger.info('Fetching Mastodon posts for tab:', activeTab);
+// Body: { post, note?, tags?, collections? }
+app.post('/api/bookmarks', requireUser, (req, res) => {
+  try {
+	res.status(201).json(saveBookmark(req.user.id, req.body));
+  } catch (error) {
+	sendError(res, error, '/api/bookmarks');
+  }
+});
 
-  const accessToken = process.env.MASTODON_ACCESS_TOKEN;
-  const baseUrl = 'https://mastodon.social/api/v2/';
+// Body: { posts } as saved in the browser before signing in.
+app.post('/api/bookmarks/import', requireUser, (req, res) => {
+  try {
+	res.json(importBookmarks(req.user.id, req.body.posts));
+  } catch (error) {
+	sendError(res, error, '/api/bookmarks/import');
+  }
+});
 
-  const searchPattern = nostrSearchPatterns[activeTab];
-  const searchQuery = searchPattern.source.replace(/\\\./g, '.').replace(/\|/g, ' OR ');
+// Posts saved in the browser in an older shape, converted the way an import
+// would convert them but not stored, for readers who aren't signed in.
+// Body: { posts }. Answers { posts } in the same order, null for any that
+// can't be bookmarked.
+app.post('/api/bookmarks/convert', (req, res) => {
+  if (!Array.isArray(req.body.posts)) {
+	return res.status(400).json({ error: 'Expected a list of posts' });
+  }
+  res.json({ posts: req.body.posts.map((post) => snapshotPost(post)) });
+});
 
-  let allPosts = [];
-  let maxId = null;
-  const postsPerPage = 40;
-  const maxPages = 10;
+// Body: any of { note, tags, collections }
+app.patch('/api/bookmarks/:id', requireUser, (req, res) => {
+  try {
+	res.json(updateBookmark(req.user.id, parseInt(req.params.id), req.body));
+  } catch (error) {
+	sendError(res, error, '/api/bookmarks/:id');
+  }
+});
 
+app.delete('/api/bookmarks/:id', requireUser, (req, res) => {
   try {
-	for (let page = 0; page < maxPages; page++) {
-	  logger.info(`Fetching Mastodon posts page ${page + 1}`);
-
-	  const params = new URLSearchParams({
-		q: searchQuery,
-		type: 'statuses',
-		limit: postsPerPage.toString(),
-		...(maxId && { max_id: maxId }),
-	  });
-
-	  const response = await fetch(`${baseUrl}search?${params}`, {
-		method: 'GET',
-		headers: {
-		  Authorization: `Bearer ${accessToken}`,
-		},
-	  });
-
-	  if (!response.ok) {
-		throw new Error(`HTTP error! status: ${response.status}`);
-	  }
+	deleteBookmark(req.user.id, parseInt(req.params.id));
+	res.status(204).end();
+  } catch (error) {
+	sendError(res, error, '/api/bookmarks/:id');
+  }
+});
 
-	  const data = await response.json();
+app.get('/api/collections', requireUser, (req, res) => {
+  res.json({ collections: listCollections(req.user.id) });
+});
 
-	  if (!data || !data.statuses || data.statuses.length === 0) {
-		break;
-	  }
+app.post('/api/collections', requireUser, (req, res) => {
+  try {
+	res.status(201).json(createCollection(req.user.id, req.body.name));
+  } catch (error) {
+	sendError(res, error, '/api/collections');
+  }
+});
 
-	  const filteredPosts = data.statuses.filter((post) =>
-		searchPattern.test(post.content)
-	  );
+app.patch('/api/collections/:id', requireUser, (req, res) => {
+  try {
+	res.json(renameCollection(req.user.id, parseInt(req.params.id), req.body.name));
+  } catch (error) {
+	sendError(res, error, '/api/collections/:id');
+  }
+});
+
+app.delete('/api/collections/:id', requireUser, (req, res) => {
+  try {
+	deleteCollection(req.user.id, parseInt(req.params.id));
+	res.status(204).end();
+  } catch (error) {
+	sendError(res, error, '/api/collections/:id');
+  }
+});
 
-	  allPosts = allPosts.concat(filteredPosts);
+// The same export for posts saved in the browser while signed out.
+// Body: { posts }
+app.post('/api/export', (req, res) => {
+  if (!Array.isArray(req.body.posts)) {
+	return res.status(400).json({ error: 'Expected a list of posts' });
+  }
 
-	  if (data.statuses.length < postsPerPage) {
-		break;
-	  }
+  try {
+	const format = exportFormat(req);
+	sendFile(res, exportPosts(format, req.body.posts.map(snapshotPost).filter(Boolean)));
+  } catch (error) {
+	sendError(res, error, '/api/export');
+  }
+});
+
+// What the composer shows about a cited URL: the topic domain it matches,
+// if any, and who publishes it. Expanding shortened links means requests to
+// other hosts, so only signed-in users can ask.
+app.get('/api/publish/check', requireUser, async (req, res) => {
+  try {
+	res.json(await checkCitation(req.query.topic, req.query.url));
+  } catch (error) {
+	sendError(res, error, '/api/publish/check');
+  }
+});
+
+// Body: { text, url, networks, nostrEvent }; nostrEvent is the post signed
+// in the browser, needed when posting to nostr.
+app.post('/api/publish', requireUser, async (req, res) => {
+  try {
+	res.json(await publishPost(req.user.id, req.body));
+  } catch (error) {
+	sendError(res, error, '/api/publish');
+  }
+});
+
+app.get('/api/connections', requireUser, (req, res) => {
+  res.json({ connections: listConnections(req.user.id) });
+});
 
-	  maxId = data.statuses[data.statuses.length - 1].id;
+// Body: { identifier, password }, with an app password.
+app.post('/api/connections/bluesky', requireUser, async (req, res) => {
+  try {
+	res.status(201).json(await connectBluesky(req.user.id, req.body));
+  } catch (error) {
+	sendError(res, error, '/api/connections/bluesky');
+  }
+});
+
+// Body: { instance }. Responds with the instance's authorization page, which
+// returns to the callback below.
+app.post('/api/connections/mastodon', requireUser, async (req, res) => {
+  try {
+	const redirectUri = `${siteUrl(req)}/api/connections/mastodon/callback`;
+	res.json(await startMastodonConnection(req.user.id, req.body.instance, redirectUri));
+  } catch (error) {
+	sendError(res, error, '/api/connections/mastodon');
+  }
+});
+
+// The browser arrives here from the instance, so there is no bearer token:
+// the OAuth state says whose account it is. Sends the user back to the app.
+app.get('/api/connections/mastodon/callback', async (req, res) => {
+  try {
+	await finishMastodonConnection(req.query);
+	res.redirect(`${appUrl(req)}/?connected=mastodon`);
+  } catch (error) {
+	if (!error.status) {
+	  logger.error(`Error in /api/connections/mastodon/callback: ${error.message}`);
 	}
+	const message = error.status ? error.message : 'Something went wrong';
+	res.redirect(`${appUrl(req)}/?connectionError=${encodeURIComponent(message)}`);
+  }
+});
 
-	const processedPosts = allPosts.map((post) => ({
-	  id: post.id,
-	  content: post.content,
-	  createdAt: post.created_at,
-	  account: {
-		username: post.account.username,
-		displayName: post.account.display_name,
-	  },
-	  url: post.url,
-	}));
-
-	logger.info(`Processed ${processedPosts.length} Mastodon posts`);
-	return processedPosts;
+app.delete('/api/connections/:network', requireUser, (req, res) => {
+  try {
+	disconnect(req.user.id, req.params.network);
+	res.status(204).end();
   } catch (error) {
-	logger.error('Error fetching Mastodon posts:', error.message);
-	return [];
+	sendError(res, error, '/api/connections/:network');
   }
-}
+});
 
-// API Routes
-app.get('/api/feed', async (req, res) => {
-  const activeTab = parseInt(req.query.activeTab) || 0;
-  const preferredLanguages = req.query.preferredLanguages || 'en-US';
+// A reader flags a post for review. Body: { network, id, reason }
+app.post('/api/reports', (req, res) => {
+  try {
+	reportPost({ ...req.body, reporter: reporterId(req.user, req.ip) });
+	res.status(204).end();
+  } catch (error) {
+	sendError(res, error, '/api/reports');
+  }
+});
 
-  logger.info(`Received request for tab ${activeTab} with languages ${preferredLanguages}`);
+// Admin review queue. `?status=` is a comma-separated list of held,
+// reported, hidden and approved; held and reported posts by default.
+app.get('/api/admin/queue', requireAdmin, (req, res) => {
+  try {
+	const statuses = req.query.status ? req.query.status.split(',') : undefined;
+	res.json({ queue: listQueue({ statuses }) });
+  } catch (error) {
+	sendError(res, error, '/api/admin/queue');
+  }
+});
 
+// Body: { network, id, decision: 'approve' | 'hide' | 'block' }
+app.post('/api/admin/review', requireAdmin, (req, res) => {
   try {
-	const [blueskyFeed, nostrFeed, mastodonFeed] = await Promise.all([
-	  fetchBlueskyPosts(activeTab, preferredLanguages),
-	  fetchNostrPosts(activeTab),
-	  fetchMastodonPosts(activeTab),
-	]);
-
-	logger.info(
-	  `Sending response with ${blueskyFeed.length} Bluesky posts, ${nostrFeed.length} Nostr posts, and ${mastodonFeed.length} Mastodon posts`
-	);
-	res.json({ blueskyFeed, nostrFeed, mastodonFeed });
+	res.json(reviewPost(req.user.id, req.body));
   } catch (error) {
-	logger.error('Error in /api/feed:', error);
-	res.status(500).json({
-	  error: 'Error fetching feed',
-	  details: error.message,
-	  stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+	sendError(res, error, '/api/admin/review');
+  }
+});
+
+app.get('/api/admin/rules', requireAdmin, (req, res) => {
+  res.json({ rules: listRules() });
+});
+
+// Body: { kind: 'author' | 'domain' | 'keyword', network, value }; network
+// defaults to '*', every network.
+app.post('/api/admin/rules', requireAdmin, (req, res) => {
+  try {
+	res.status(201).json(addRule(req.user.id, req.body));
+  } catch (error) {
+	sendError(res, error, '/api/admin/rules');
+  }
+});
+
+// ?kind=&network=&value= as the rule was added.
+app.delete('/api/admin/rules', requireAdmin, (req, res) => {
+  try {
+	removeRule(req.query);
+	res.status(204).end();
+  } catch (error) {
+	sendError(res, error, '/api/admin/rules');
+  }
+});
+
+// URLs the server won't fetch (not http(s), private addresses, ...) are
+// refused with a 400 by getPreview's checkUrl.
+app.get('/api/preview', async (req, res) => {
+  try {
+	const preview = await getPreview(req.query.url);
+	if (!preview) {
+	  return res.status(404).json({ error: 'No preview available' });
+	}
+	res.set('Cache-Control', 'public, max-age=3600');
+	res.json(preview);
+  } catch (error) {
+	sendError(res, error, '/api/preview');
+  }
+});
+
+const FEED_SIZE = 50;
+
+// A topic's newest posts as a feed for feed readers: /feeds/econ.rss,
+// /feeds/econ.atom or /feeds/econ.json (JSON Feed). See feeds.js.
+app.get('/feeds/:topic.:format', (req, res) => {
+  const topic = getTopic(req.params.topic);
+  if (!topic) {
+	return res.status(404).json({ error: `Unknown topic "${req.params.topic}"` });
+  }
+  if (!FEED_FORMATS.includes(req.params.format)) {
+	return res.status(404).json({
+	  error: `Unknown feed format "${req.params.format}", expected one of ${FEED_FORMATS.join(', ')}`,
+	});
+  }
+
+  try {
+	const { posts } = getPosts({ topic: topic.slug, limit: FEED_SIZE });
+	const { body, contentType } = renderFeed(req.params.format, {
+	  topic,
+	  posts: attachStories(topic.slug, posts),
+	  siteUrl: siteUrl(req),
 	});
+	res.set('Content-Type', contentType);
+	res.set('Cache-Control', 'public, max-age=300');
+	res.send(body);
+  } catch (error) {
+	sendError(res, error, '/feeds/:topic');
   }
 });
 
@@ -348,6 +727,12 @@ app.use((err, req, res, next) => {
 });
 
 // Start the server
+logger.info(`Admin accounts: ${applyAdminList()}`);
 app.listen(port, host, () => {
   logger.info(`Server running on http://${host}:${port}`);
+
+  if (process.env.INGEST_DISABLED !== 'true') {
+	startIngestion();
+	startJetstream();
+  }
 });
\ No newline at end of file
@@ -0,0 +1,249 @@
+// server/src/sources.js
+//
+// Source classification: works out which primary sources a post cites. URLs
+// already extracted by the adapters are expanded (for known shorteners),
+// normalized, and matched against each topic's domain rules and the source
+// registry.
+//
+// Domain rules come from the topics config:
+//   *.gov               any host under the gov suffix
+//   bls.gov             bls.gov and its subdomains
+//   europa.eu/eurostat  europa.eu (or a subdomain) with a path under /eurostat
+
+const fetch = require('node-fetch');
+const NodeCache = require('node-cache');
+const logger = require('./logger');
+const { checkUrl, safeAgent } = require('./previews');
+
+const SHORTENER_HOSTS = new Set([
+  't.co',
+  'bit.ly',
+  'buff.ly',
+  'ow.ly',
+  'tinyurl.com',
+  'goo.gl',
+  'dlvr.it',
+  'trib.al',
+  'lnkd.in',
+  'is.gd',
+  'tiny.cc',
+  'shorturl.at',
+  'rebrand.ly',
+  'fb.me',
+]);
+
+const TRACKING_PARAMS = [/^utm_/, /^fbclid$/, /^gclid$/, /^mc_cid$/, /^mc_eid$/, /^igshid$/, /^ref_src$/];
+
+const MAX_REDIRECTS = 5;
+const RESOLVE_TIMEOUT_MS = 3000;
+
+const resolvedCache = new NodeCache({ stdTTL: 24 * 60 * 60 }); // Cache for a day
+
+function parseUrl(url) {
+  try {
+	return new URL(url);
+  } catch (error) {
+	return null;
+  }
+}
+
+function normalizeHost(host) {
+  return host.toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+}
+
+// Canonical form of a URL: lowercase host without `www.`, no tracking
+// parameters, fragment or trailing slash. Returns null for non-web URLs.
+function normalizeUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+	return null;
+  }
+
+  parsed.hostname = normalizeHost(parsed.hostname);
+  parsed.hash = '';
+  for (const key of Array.from(parsed.searchParams.keys())) {
+	if (TRACKING_PARAMS.some((pattern) => pattern.test(key.toLowerCase()))) {
+	  parsed.searchParams.delete(key);
+	}
+  }
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+	parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+function isShortener(url) {
+  const parsed = parseUrl(url);
+  return Boolean(parsed) && SHORTENER_HOSTS.has(normalizeHost(parsed.hostname));
+}
+
+// Default resolver: follow redirects from shortener hosts without
+// downloading the target page. Links come from posts and from readers, so
+// each hop gets the same address checks as link previews.
+async function followRedirects(url) {
+  let current = url;
+  for (let hop = 0; hop < MAX_REDIRECTS && isShortener(current); hop++) {
+	const parsed = checkUrl(current);
+	const response = await fetch(parsed.toString(), {
+	  method: 'HEAD',
+	  agent: safeAgent(parsed),
+	  redirect: 'manual',
+	  timeout: RESOLVE_TIMEOUT_MS,
+	});
+	const location = response.headers.get('location');
+	if (!location) {
+	  break;
+	}
+	current = new URL(location, current).toString();
+  }
+  return current;
+}
+
+let linkResolver = followRedirects;
+
+// Replace the function used to expand shortened links, e.g. with a stub in
+// development or a shared resolution service.
+function setLinkResolver(resolver) {
+  linkResolver = resolver;
+}
+
+async function resolveLink(url) {
+  if (!isShortener(url)) {
+	return url;
+  }
+
+  const cached = resolvedCache.get(url);
+  if (cached) {
+	return cached;
+  }
+
+  try {
+	const resolved = await linkResolver(url);
+	resolvedCache.set(url, resolved);
+	return resolved;
+  } catch (error) {
+	logger.warn(`Could not expand ${url}: ${error.message}`);
+	return url;
+  }
+}
+
+function parseDomainRule(rule) {
+  const [hostPart, ...pathParts] = rule.toLowerCase().split('/');
+  const wildcard = hostPart.startsWith('*.');
+  return {
+	rule,
+	host: normalizeHost(wildcard ? hostPart.slice(2) : hostPart),
+	wildcard,
+	pathPrefix: pathParts.length > 0 ? `/${pathParts.filter(Boolean).join('/')}` : null,
+  };
+}
+
+function matchesRule(parsedUrl, { host, wildcard, pathPrefix }) {
+  const urlHost = normalizeHost(parsedUrl.hostname);
+  const hostMatches = urlHost.endsWith(`.${host}`) || (!wildcard && urlHost === host);
+  if (!hostMatches) {
+	return false;
+  }
+  if (!pathPrefix) {
+	return true;
+  }
+  const urlPath = parsedUrl.pathname.toLowerCase();
+  return urlPath === pathPrefix || urlPath.startsWith(`${pathPrefix}/`);
+}
+
+// The first of a list of parsed domain rules that the URL matches, or null.
+function matchDomainRules(url, rules) {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+	return null;
+  }
+  const match = rules.find((rule) => matchesRule(parsed, rule));
+  return match ? match.rule : null;
+}
+
+// The first of a topic's domain rules that the URL matches, or null.
+function matchTopic(url, topic) {
+  return matchDomainRules(url, topic.rules);
+}
+
+// The registry's description of whoever publishes the URL, or null.
+// `registry` is sorted most specific rule first (see registry.js).
+function describeSource(url, registry) {
+  const parsed = parseUrl(url);
+  const entry = parsed && registry.find((candidate) => matchesRule(parsed, candidate.rule));
+  return entry ? entry.source : null;
+}
+
+// Cheap pre-filter for high-volume streams: could any of these links end up
+// matching the topic once shorteners are expanded?
+function isCandidate(links, topic) {
+  return links.some((link) => isShortener(link) || matchTopic(link, topic));
+}
+
+// Work out the citations of a post: each cited URL (expanded and normalized)
+// together with the topics and domain rules it matched and its registry
+// entry. Unmatched links are left out.
+async function classifyPost(post, topics, registry = []) {
+  const citations = [];
+  const seen = new Set();
+
+  for (const link of post.links) {
+	const url = normalizeUrl(await resolveLink(link));
+	if (!url || seen.has(url)) {
+	  continue;
+	}
+	seen.add(url);
+
+	const matches = [];
+	for (const topic of topics) {
+	  const domain = matchTopic(url, topic);
+	  if (domain) {
+		matches.push({ topic: topic.slug, domain });
+	  }
+	}
+
+	if (matches.length > 0) {
+	  citations.push({
+		url,
+		host: new URL(url).hostname,
+		matches,
+		source: describeSource(url, registry),
+	  });
+	}
+  }
+
+  return { ...post, citations };
+}
+
+// The citation a post is filed under in a topic (given by slug): the first
+// one matching the topic's domains, else the first one. Its URL names the
+// post's story in that topic (see stories.js).
+function topicCitation(post, topic) {
+  return (
+	post.citations.find((citation) => citation.matches.some((match) => match.topic === topic)) ||
+	post.citations[0] ||
+	null
+  );
+}
+
+function citesTopic(post, topic) {
+  return post.citations.some((citation) =>
+	citation.matches.some((match) => match.topic === topic.slug)
+  );
+}
+
+module.exports = {
+  normalizeUrl,
+  isShortener,
+  setLinkResolver,
+  resolveLink,
+  parseDomainRule,
+  matchDomainRules,
+  matchTopic,
+  describeSource,
+  isCandidate,
+  classifyPost,
+  topicCitation,
+  citesTopic,
+};
@@ -0,0 +1,407 @@
+// server/src/store.js
+//
+// SQLite-backed post store. Ingestion writes normalized posts here and the
+// API reads from it, so page loads never wait on the networks and posts
+// outlive any upstream search window.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { topicCitation } = require('./sources');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '../data/community-sources.db');
+
+// Schema migrations, applied in order. The database's user_version records
+// how many have run; append new steps, never edit ones that have shipped.
+const MIGRATIONS = [
+  `
+  CREATE TABLE IF NOT EXISTS posts (
+	network TEXT NOT NULL,
+	id TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	ingested_at TEXT NOT NULL,
+	data TEXT NOT NULL,
+	PRIMARY KEY (network, id)
+  );
+
+  CREATE TABLE IF NOT EXISTS post_topics (
+	network TEXT NOT NULL,
+	id TEXT NOT NULL,
+	topic TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	PRIMARY KEY (network, id, topic),
+	FOREIGN KEY (network, id) REFERENCES posts (network, id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS post_topics_by_date ON post_topics (topic, created_at DESC);
+
+  -- Where backfilling older posts should resume, per topic and network.
+  -- A NULL cursor with exhausted = 1 means the network has nothing older.
+  CREATE TABLE IF NOT EXISTS backfill_cursors (
+	topic TEXT NOT NULL,
+	network TEXT NOT NULL,
+	cursor TEXT,
+	exhausted INTEGER NOT NULL DEFAULT 0,
+	PRIMARY KEY (topic, network)
+  );
+  `,
+  // Story clustering: the canonical URL of each post's primary citation.
+  `
+  ALTER TABLE post_topics ADD COLUMN story_url TEXT;
+  CREATE INDEX post_topics_by_story ON post_topics (topic, story_url, created_at DESC);
+  `,
+  // Nostr profiles (kind 0 metadata) and their NIP-05 verification.
+  `
+  CREATE TABLE nostr_profiles (
+	pubkey TEXT PRIMARY KEY,
+	data TEXT NOT NULL,
+	fetched_at TEXT NOT NULL
+  );
+  `,
+  // Small pieces of server state that must survive restarts (sessions,
+  // stream positions), stored as JSON.
+  `
+  CREATE TABLE settings (
+	key TEXT PRIMARY KEY,
+	value TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+  );
+  `,
+  // Full-text index over post text, author and cited domains, keyed by the
+  // posts table's rowid.
+  `
+  CREATE VIRTUAL TABLE posts_search USING fts5(
+	text, author, domains,
+	tokenize = 'unicode61 remove_diacritics 2',
+	prefix = '2 3'
+  );
+  INSERT INTO posts_search (rowid, text, author, domains)
+  SELECT rowid,
+	json_extract(data, '$.text'),
+	concat_ws(' ', json_extract(data, '$.author.name'), json_extract(data, '$.author.handle')),
+	(SELECT group_concat(json_extract(value, '$.host'), ' ') FROM json_each(data, '$.citations'))
+  FROM posts;
+  `,
+  // User accounts, login sessions and their bookmarks. A bookmark points at a
+  // stored post and keeps a snapshot in case the post isn't (or is no
+  // longer) in the store.
+  `
+  CREATE TABLE users (
+	id INTEGER PRIMARY KEY,
+	username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+	password_hash TEXT NOT NULL,
+	created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE user_sessions (
+	token_hash TEXT PRIMARY KEY,
+	user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+	created_at TEXT NOT NULL,
+	expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE collections (
+	id INTEGER PRIMARY KEY,
+	user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+	name TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	UNIQUE (user_id, name)
+  );
+
+  CREATE TABLE bookmarks (
+	id INTEGER PRIMARY KEY,
+	user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+	network TEXT NOT NULL,
+	post_id TEXT NOT NULL,
+	snapshot TEXT NOT NULL,
+	note TEXT NOT NULL DEFAULT '',
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL,
+	UNIQUE (user_id, network, post_id)
+  );
+
+  CREATE TABLE bookmark_tags (
+	bookmark_id INTEGER NOT NULL REFERENCES bookmarks (id) ON DELETE CASCADE,
+	tag TEXT NOT NULL,
+	PRIMARY KEY (bookmark_id, tag)
+  );
+
+  CREATE TABLE bookmark_collections (
+	bookmark_id INTEGER NOT NULL REFERENCES bookmarks (id) ON DELETE CASCADE,
+	collection_id INTEGER NOT NULL REFERENCES collections (id) ON DELETE CASCADE,
+	PRIMARY KEY (bookmark_id, collection_id)
+  );
+  `,
+  // Moderation (see moderation.js): hidden posts stay stored but out of
+  // every feed. Rules added by admins, the review queue, and readers'
+  // reports, one per reader and post.
+  `
+  ALTER TABLE posts ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0;
+
+  CREATE TABLE moderation_rules (
+	kind TEXT NOT NULL,
+	network TEXT NOT NULL,
+	value TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+	PRIMARY KEY (kind, network, value)
+  );
+
+  CREATE TABLE moderation_queue (
+	network TEXT NOT NULL,
+	id TEXT NOT NULL,
+	status TEXT NOT NULL,
+	reasons TEXT NOT NULL,
+	flagged_at TEXT NOT NULL,
+	reviewed_at TEXT,
+	reviewed_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+	PRIMARY KEY (network, id),
+	FOREIGN KEY (network, id) REFERENCES posts (network, id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX moderation_queue_by_status ON moderation_queue (status, flagged_at DESC);
+
+  CREATE TABLE post_reports (
+	network TEXT NOT NULL,
+	id TEXT NOT NULL,
+	reporter TEXT NOT NULL,
+	reason TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	PRIMARY KEY (network, id, reporter),
+	FOREIGN KEY (network, id) REFERENCES posts (network, id) ON DELETE CASCADE
+  );
+  `,
+  `
+  CREATE TABLE user_connections (
+	user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+	network TEXT NOT NULL,
+	account TEXT NOT NULL,
+	credentials TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	PRIMARY KEY (user_id, network)
+  );
+
+  CREATE TABLE mastodon_apps (
+	instance TEXT PRIMARY KEY,
+	client_id TEXT NOT NULL,
+	client_secret TEXT NOT NULL,
+	redirect_uri TEXT NOT NULL,
+	created_at TEXT NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE users ADD COLUMN admin INTEGER NOT NULL DEFAULT 0;
+  `,
+];
+
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  for (let index = version; index < MIGRATIONS.length; index++) {
+	db.transaction(() => {
+	  db.exec(MIGRATIONS[index]);
+	  db.pragma(`user_version = ${index + 1}`);
+	})();
+  }
+}
+
+function openDatabase(databasePath = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH) {
+  if (databasePath !== ':memory:') {
+	fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+  }
+
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+const db = openDatabase();
+
+const statements = {
+  upsertPost: db.prepare(`
+	INSERT INTO posts (network, id, created_at, ingested_at, data)
+	VALUES (@network, @id, @createdAt, @ingestedAt, @data)
+	ON CONFLICT (network, id) DO UPDATE SET data = excluded.data
+  `),
+  isTagged: db.prepare(`
+	SELECT 1 FROM post_topics WHERE network = @network AND id = @id AND topic = @topic
+  `),
+  tagPost: db.prepare(`
+	INSERT INTO post_topics (network, id, topic, created_at, story_url)
+	VALUES (@network, @id, @topic, @createdAt, @storyUrl)
+	ON CONFLICT (network, id, topic) DO UPDATE SET story_url = excluded.story_url
+  `),
+  // Posts citing the same story are collapsed into the newest of them.
+  // Hidden posts (see moderation.js) are left out, and don't hide others.
+  postsForTopic: db.prepare(`
+	SELECT posts.data FROM post_topics
+	JOIN posts USING (network, id)
+	WHERE post_topics.topic = @topic
+	  AND posts.hidden = 0
+	  AND (@createdAt IS NULL
+		OR (post_topics.created_at, post_topics.network, post_topics.id)
+		  < (@createdAt, @network, @id))
+	  AND (post_topics.story_url IS NULL OR NOT EXISTS (
+		SELECT 1 FROM post_topics AS newer
+		JOIN posts AS newer_post ON newer_post.network = newer.network AND newer_post.id = newer.id
+		WHERE newer.topic = post_topics.topic
+		  AND newer_post.hidden = 0
+		  AND newer.story_url = post_topics.story_url
+		  AND (newer.created_at, newer.network, newer.id)
+			> (post_topics.created_at, post_topics.network, post_topics.id)
+	  ))
+	ORDER BY post_topics.created_at DESC, post_topics.network DESC, post_topics.id DESC
+	LIMIT @limit
+  `),
+  latestForTopic: db.prepare(`
+	SELECT MAX(created_at) AS latest FROM post_topics
+	WHERE topic = @topic AND network = @network
+  `),
+  getBackfillCursor: db.prepare(`
+	SELECT cursor, exhausted FROM backfill_cursors WHERE topic = @topic AND network = @network
+  `),
+  setBackfillCursor: db.prepare(`
+	INSERT INTO backfill_cursors (topic, network, cursor, exhausted)
+	VALUES (@topic, @network, @cursor, @exhausted)
+	ON CONFLICT (topic, network) DO UPDATE SET cursor = excluded.cursor, exhausted = excluded.exhausted
+  `),
+  unindexPost: db.prepare(`
+	DELETE FROM posts_search
+	WHERE rowid = (SELECT rowid FROM posts WHERE network = @network AND id = @id)
+  `),
+  indexPost: db.prepare(`
+	INSERT INTO posts_search (rowid, text, author, domains)
+	SELECT rowid, @text, @author, @domains FROM posts WHERE network = @network AND id = @id
+  `),
+  getSetting: db.prepare('SELECT value FROM settings WHERE key = ?'),
+  setSetting: db.prepare(`
+	INSERT INTO settings (key, value, updated_at) VALUES (@key, @value, @updatedAt)
+	ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `),
+  deleteSetting: db.prepare('DELETE FROM settings WHERE key = ?'),
+};
+
+// Insert or refresh posts and file them under a topic. Existing posts keep
+// their ingestion time but pick up new engagement counts and citations. A
+// post's story is the source it cites for the topic (see topicCitation).
+// Returns the posts that weren't in the topic before.
+const savePosts = db.transaction((topic, posts) => {
+  const ingestedAt = new Date().toISOString();
+  const added = [];
+  for (const post of posts) {
+	const row = { network: post.network, id: post.id, createdAt: post.createdAt };
+	if (!statements.isTagged.get({ ...row, topic })) {
+	  added.push(post);
+	}
+	statements.unindexPost.run(row);
+	statements.upsertPost.run({ ...row, ingestedAt, data: JSON.stringify(post) });
+	statements.indexPost.run({
+	  ...row,
+	  text: post.text,
+	  author: [post.author.name, post.author.handle].filter(Boolean).join(' '),
+	  domains: Array.from(new Set(post.citations.map((citation) => citation.host))).join(' '),
+	});
+	statements.tagPost.run({ ...row, topic, storyUrl: topicCitation(post, topic)?.url || null });
+  }
+  return added;
+});
+
+// Feed cursors point at the last post of a page, so the next page starts
+// strictly after it in (createdAt, network, id) order.
+function encodeCursor(post) {
+  return Buffer.from(JSON.stringify([post.createdAt, post.network, post.id])).toString('base64');
+}
+
+// Returns null if the cursor is malformed.
+function decodeCursor(cursor) {
+  try {
+	const [createdAt, network, id] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+	if ([createdAt, network, id].every((part) => typeof part === 'string')) {
+	  return { createdAt, network, id };
+	}
+  } catch (error) {
+	// fall through
+  }
+  return null;
+}
+
+// Cursors for result lists that are recomputed on every request (rankings,
+// search) are offsets, tagged with the kind of list they belong to.
+function encodeOffsetCursor(kind, offset) {
+  return Buffer.from(JSON.stringify([kind, offset])).toString('base64');
+}
+
+// Returns the offset, or null if the cursor is malformed or from another kind
+// of list.
+function decodeOffsetCursor(cursor, kind) {
+  try {
+	const [cursorKind, offset] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+	if (cursorKind === kind && Number.isInteger(offset) && offset >= 0) {
+	  return offset;
+	}
+  } catch (error) {
+	// fall through
+  }
+  return null;
+}
+
+// One page of a topic's posts, newest first. `after` is a decoded cursor.
+// `nextCursor` is null when the page is the last one currently stored.
+function getPosts({ topic, limit = 50, after = null }) {
+  const position = after || { createdAt: null, network: null, id: null };
+  const posts = statements.postsForTopic
+	.all({ topic, limit, ...position })
+	.map((row) => JSON.parse(row.data));
+
+  return {
+	posts,
+	nextCursor: posts.length === limit ? encodeCursor(posts[posts.length - 1]) : null,
+  };
+}
+
+// Timestamp of the newest stored post for a topic on one network, or null.
+function getLatestPostDate(topic, network) {
+  return statements.latestForTopic.get({ topic, network }).latest;
+}
+
+// Upstream cursor to resume backfilling from: { cursor, exhausted }, or
+// null if the topic has never been polled on this network.
+function getBackfillCursor(topic, network) {
+  const row = statements.getBackfillCursor.get({ topic, network });
+  return row ? { cursor: row.cursor, exhausted: Boolean(row.exhausted) } : null;
+}
+
+function setBackfillCursor(topic, network, cursor) {
+  statements.setBackfillCursor.run({ topic, network, cursor, exhausted: cursor ? 0 : 1 });
+}
+
+// Persisted server state by key; values round-trip through JSON. Setting a
+// key to null removes it.
+function getSetting(key) {
+  const row = statements.getSetting.get(key);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function setSetting(key, value) {
+  if (value === null || value === undefined) {
+	statements.deleteSetting.run(key);
+  } else {
+	statements.setSetting.run({ key, value: JSON.stringify(value), updatedAt: new Date().toISOString() });
+  }
+}
+
+module.exports = {
+  db,
+  openDatabase,
+  savePosts,
+  getPosts,
+  decodeCursor,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  getLatestPostDate,
+  getBackfillCursor,
+  setBackfillCursor,
+  getSetting,
+  setSetting,
+};
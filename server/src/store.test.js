@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPost } = require('./posts');
+const {
+  openDatabase,
+  savePosts,
+  getPosts,
+  decodeCursor,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+} = require('./store');
+const { attachStories } = require('./stories');
+
+const STORY_MATCH = { topic: 'stories', domain: 'news.example' };
+
+function post(id, { network = 'bluesky', createdAt = '2026-03-01T00:00:00Z', story = null } = {}) {
+  return createPost({
+	id,
+	network,
+	author: { id: `${id}-author` },
+	text: id,
+	createdAt,
+	citations: story ? [{ url: story, host: 'news.example', matches: [STORY_MATCH] }] : [],
+  });
+}
+
+const ids = (posts) => posts.map((saved) => saved.id);
+
+describe('savePosts', () => {
+  test('returns only the posts new to the topic', () => {
+	expect(ids(savePosts('saving', [post('first'), post('second')]))).toEqual(['first', 'second']);
+	expect(ids(savePosts('saving', [post('first'), post('third')]))).toEqual(['third']);
+	expect(ids(savePosts('elsewhere', [post('first')]))).toEqual(['first']);
+  });
+});
+
+describe('getPosts', () => {
+  // Three posts share a timestamp, so pages have to break ties by network
+  // and id to neither skip nor repeat them.
+  const posts = [
+	post('a', { createdAt: '2026-03-01T05:00:00Z' }),
+	post('b', { createdAt: '2026-03-01T04:00:00Z' }),
+	post('c', { createdAt: '2026-03-01T04:00:00Z', network: 'nostr' }),
+	post('d', { createdAt: '2026-03-01T04:00:00Z', network: 'mastodon' }),
+	post('e', { createdAt: '2026-03-01T03:00:00Z' }),
+	post('f', { createdAt: '2026-03-01T02:00:00Z' }),
+	post('g', { createdAt: '2026-03-01T01:00:00Z' }),
+  ];
+
+  beforeAll(() => savePosts('paging', posts));
+
+  test('returns the newest posts first', () => {
+	expect(ids(getPosts({ topic: 'paging' }).posts)).toEqual(['a', 'c', 'd', 'b', 'e', 'f', 'g']);
+  });
+
+  test('pages through every post once with cursors', () => {
+	const seen = [];
+	let after = null;
+	let pages = 0;
+	do {
+	  const page = getPosts({ topic: 'paging', limit: 2, after });
+	  seen.push(...ids(page.posts));
+	  after = page.nextCursor && decodeCursor(page.nextCursor);
+	  pages++;
+	} while (after && pages < 10);
+
+	expect(seen).toEqual(['a', 'c', 'd', 'b', 'e', 'f', 'g']);
+	expect(pages).toBe(4);
+  });
+
+  test('has no next cursor on a short last page', () => {
+	const first = getPosts({ topic: 'paging', limit: 4 });
+	const last = getPosts({ topic: 'paging', limit: 4, after: decodeCursor(first.nextCursor) });
+	expect(ids(last.posts)).toEqual(['e', 'f', 'g']);
+	expect(last.nextCursor).toBeNull();
+  });
+});
+
+describe('cursors', () => {
+  test.each([
+	'garbage',
+	'',
+	Buffer.from('{"createdAt":"2026"}').toString('base64'),
+	Buffer.from('["2026-03-01T00:00:00Z","bluesky",7]').toString('base64'),
+  ])('refuses the malformed feed cursor %p', (cursor) => {
+	expect(decodeCursor(cursor)).toBeNull();
+  });
+
+  test('only accept offsets from the same kind of list', () => {
+	expect(decodeOffsetCursor(encodeOffsetCursor('top', 20), 'top')).toBe(20);
+	expect(decodeOffsetCursor(encodeOffsetCursor('top', 20), 'search')).toBeNull();
+	expect(decodeOffsetCursor(encodeOffsetCursor('top', -1), 'top')).toBeNull();
+	expect(decodeOffsetCursor('garbage', 'top')).toBeNull();
+  });
+});
+
+describe('stories', () => {
+  const STORY = 'https://news.example/story';
+
+  beforeAll(() =>
+	savePosts('stories', [
+	  post('older', { createdAt: '2026-03-01T01:00:00Z', story: STORY }),
+	  post('newer', { createdAt: '2026-03-01T02:00:00Z', network: 'nostr', story: STORY }),
+	  post('alone', { createdAt: '2026-03-01T00:00:00Z' }),
+	])
+  );
+
+  test('collapse posts citing the same source into the newest one', () => {
+	expect(ids(getPosts({ topic: 'stories' }).posts)).toEqual(['newer', 'alone']);
+  });
+
+  test('carry every post citing the source', () => {
+	const [story, alone] = attachStories('stories', getPosts({ topic: 'stories' }).posts);
+	expect(story.story).toMatchObject({
+	  url: STORY,
+	  count: 2,
+	  people: 2,
+	  networks: ['nostr', 'bluesky'],
+	  latestAt: '2026-03-01T02:00:00.000Z',
+	});
+	expect(ids(story.story.posts)).toEqual(['newer', 'older']);
+	expect(alone.story).toBeNull();
+  });
+});
+
+describe('migrations', () => {
+  let directory;
+  let databasePath;
+
+  beforeAll(() => {
+	directory = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+	databasePath = path.join(directory, 'test.db');
+  });
+
+  afterAll(() => fs.rmSync(directory, { recursive: true }));
+
+  const columns = (db, table) => db.pragma(`table_info(${table})`).map((column) => column.name);
+
+  test('build the whole schema in a new database', () => {
+	const db = openDatabase(databasePath);
+	expect(db.pragma('user_version', { simple: true })).toBeGreaterThan(0);
+	expect(columns(db, 'post_topics')).toContain('story_url');
+	expect(columns(db, 'users')).toContain('admin');
+	db.close();
+  });
+
+  test('leave an up-to-date database as it is', () => {
+	const db = openDatabase(databasePath);
+	const version = db.pragma('user_version', { simple: true });
+	db.close();
+
+	const reopened = openDatabase(databasePath);
+	expect(reopened.pragma('user_version', { simple: true })).toBe(version);
+	reopened.close();
+  });
+
+  test('run only the steps an older database is missing', () => {
+	const db = openDatabase(databasePath);
+	const version = db.pragma('user_version', { simple: true });
+	db.prepare("INSERT INTO settings (key, value, updated_at) VALUES ('kept', '1', 'now')").run();
+	// Undo the last step, which adds users.admin.
+	db.exec('ALTER TABLE users DROP COLUMN admin');
+	db.pragma(`user_version = ${version - 1}`);
+	db.close();
+
+	const migrated = openDatabase(databasePath);
+	expect(migrated.pragma('user_version', { simple: true })).toBe(version);
+	expect(columns(migrated, 'users')).toContain('admin');
+	expect(migrated.prepare("SELECT value FROM settings WHERE key = 'kept'").get()).toEqual({
+	  value: '1',
+	});
+	migrated.close();
+  });
+});
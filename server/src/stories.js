@@ -0,0 +1,102 @@
+// server/src/stories.js
+//
+// Stories group the posts in a topic that cite the same source, identified by
+// the canonical URL of the citation each post is filed under in the topic
+// (see topicCitation in sources.js). The
+// feed shows one card per story; /api/stories ranks stories by how many
+// distinct people cited them.
+
+const { db } = require('./store');
+const { withoutRaw } = require('./posts');
+const { topicCitation } = require('./sources');
+
+const statements = {
+  storyPosts: db.prepare(`
+	SELECT post_topics.story_url AS url, posts.data FROM post_topics
+	JOIN posts USING (network, id)
+	WHERE post_topics.topic = @topic
+	  AND post_topics.story_url IN (SELECT value FROM json_each(@urls))
+	  AND posts.hidden = 0
+	ORDER BY post_topics.created_at DESC
+  `),
+  rankedStories: db.prepare(`
+	SELECT post_topics.story_url AS url,
+	  COUNT(DISTINCT post_topics.network || ' ' || json_extract(posts.data, '$.author.id')) AS people
+	FROM post_topics
+	JOIN posts USING (network, id)
+	WHERE post_topics.topic = @topic
+	  AND posts.hidden = 0
+	  AND post_topics.story_url IS NOT NULL
+	  AND post_topics.created_at >= @since
+	GROUP BY post_topics.story_url
+	ORDER BY people DESC, MAX(post_topics.created_at) DESC
+	LIMIT @limit
+  `),
+};
+
+function summarizePost(post) {
+  return {
+	id: post.id,
+	network: post.network,
+	author: { name: post.author.name, url: post.author.url },
+	permalink: post.permalink,
+	createdAt: post.createdAt,
+  };
+}
+
+// The posts of several stories in one query: a map from each story URL to
+// its posts, newest first.
+function loadStoryPosts(topic, urls) {
+  const posts = new Map(urls.map((url) => [url, []]));
+  if (urls.length > 0) {
+	const urlList = JSON.stringify(Array.from(posts.keys()));
+	const rows = statements.storyPosts.all({ topic, urls: urlList });
+	for (const row of rows) {
+	  posts.get(row.url).push(JSON.parse(row.data));
+	}
+  }
+  return posts;
+}
+
+function buildStory(url, posts) {
+  const people = new Set(posts.map((post) => `${post.network} ${post.author.id}`));
+
+  return {
+	url,
+	count: posts.length,
+	people: people.size,
+	networks: Array.from(new Set(posts.map((post) => post.network))),
+	latestAt: posts[0]?.createdAt || null,
+	posts: posts.map(summarizePost),
+  };
+}
+
+// Attach story details to the posts of a feed page. Posts without a cited
+// source get `story: null`.
+function attachStories(topic, posts) {
+  const citations = posts.map((post) => topicCitation(post, topic));
+  const storyPosts = loadStoryPosts(
+	topic,
+	citations.filter(Boolean).map((citation) => citation.url)
+  );
+  return posts.map((post, index) => {
+	const citation = citations[index];
+	return {
+	  ...post,
+	  story: citation ? buildStory(citation.url, storyPosts.get(citation.url)) : null,
+	};
+  });
+}
+
+// Stories in a topic since the given time, most widely cited first. Each
+// story carries the newest post citing it as `lead`.
+function getStories({ topic, since, limit = 20 }) {
+  const urls = statements.rankedStories.all({ topic, since, limit }).map((row) => row.url);
+  const storyPosts = loadStoryPosts(topic, urls);
+  return urls.map((url) => {
+	const posts = storyPosts.get(url);
+	return { ...buildStory(url, posts), lead: withoutRaw(posts[0]) };
+  });
+}
+
+module.exports = { attachStories, getStories };
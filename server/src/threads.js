@@ -0,0 +1,67 @@
+// server/src/threads.js
+//
+// Reply context for stored posts: the posts a post replies to and the
+// replies it got, fetched live from its network (see each adapter's
+// thread()) and cached for a few minutes. Replies go through the same
+// moderation as ingested posts, so blocked authors and domains and posts
+// hidden from the feed stay out of threads too; a hidden reply takes its
+// own replies with it.
+
+const NodeCache = require('node-cache');
+const logger = require('./logger');
+const { db } = require('./store');
+const { getAdapter } = require('./adapters');
+const { describeFailure } = require('./adapters/errors');
+const { withoutRaw } = require('./posts');
+const { requestError } = require('./accounts');
+const { isShowable } = require('./moderation');
+
+const threadCache = new NodeCache({ stdTTL: 5 * 60 }); // Cache for 5 minutes
+
+const statements = {
+  visiblePost: db.prepare('SELECT data FROM posts WHERE network = ? AND id = ? AND hidden = 0'),
+};
+
+function pruneReplies(replies) {
+  return replies
+	.filter((reply) => isShowable(reply.post))
+	.map((reply) => ({ post: withoutRaw(reply.post), replies: pruneReplies(reply.replies) }));
+}
+
+// { post, ancestors, replies } for a stored post; replies are
+// [{ post, replies }], nested as deep as the network returned them.
+async function getThread(network, id) {
+  const row = statements.visiblePost.get(network, id);
+  if (!row) {
+	throw requestError(404, 'Post not found');
+  }
+  const post = JSON.parse(row.data);
+  const adapter = getAdapter(network);
+  if (!adapter || !adapter.thread) {
+	return { post: withoutRaw(post), ancestors: [], replies: [] };
+  }
+
+  const key = `${network} ${id}`;
+  let thread = threadCache.get(key);
+  if (!thread) {
+	try {
+	  thread = await adapter.thread(post);
+	} catch (error) {
+	  const { status } = describeFailure(error);
+	  logger.warn(`Could not load ${network} thread for ${id}: ${error.message}`);
+	  throw requestError(
+		status === 'rate_limited' ? 503 : 502,
+		`Couldn't load the thread from ${adapter.label || network}`
+	  );
+	}
+	threadCache.set(key, thread);
+  }
+
+  return {
+	post: withoutRaw(post),
+	ancestors: thread.ancestors.filter(isShowable).map(withoutRaw),
+	replies: pruneReplies(thread.replies),
+  };
+}
+
+module.exports = { getThread };
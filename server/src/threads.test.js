@@ -0,0 +1,126 @@
+jest.mock('./relays', () => ({ queryRelays: jest.fn(), getRelayHealth: () => [] }));
+jest.mock('./profiles', () => ({ getProfiles: async () => new Map() }));
+
+const { savePosts } = require('./store');
+const { queryRelays } = require('./relays');
+const { normalize } = require('./adapters/nostr');
+const { upstreamError } = require('./adapters/errors');
+const { addRule, saveModeratedPosts } = require('./moderation');
+const { getThread } = require('./threads');
+
+const ALICE = '1'.repeat(64);
+const SPAMMER = '2'.repeat(64);
+
+let nextId = 1;
+
+// A kind 1 note whose `e` tags are [id, marker] pairs; a missing marker
+// gives the deprecated positional form.
+function note(content, references = [], pubkey = ALICE) {
+  const id = (nextId++).toString(16).padStart(64, '0');
+  return {
+	id,
+	pubkey,
+	kind: 1,
+	created_at: 1767225600 + nextId,
+	tags: references.map(([target, marker]) =>
+	  marker ? ['e', target, '', marker] : ['e', target]
+	),
+	content,
+	sig: '0'.repeat(128),
+  };
+}
+
+const contents = (posts) => posts.map((post) => post.text);
+const tree = (replies) =>
+  replies.map((reply) => [reply.post.text, ...(reply.replies.length ? [tree(reply.replies)] : [])]);
+
+describe('getThread', () => {
+  const root = note('Root');
+  const parent = note('Parent', [[root.id, 'root']]);
+  const post = note('Post', [
+	[root.id, 'root'],
+	[parent.id, 'reply'],
+  ]);
+  const answer = note('Answer', [
+	[root.id, 'root'],
+	[post.id, 'reply'],
+  ]);
+  const followUp = note('Follow-up', [
+	[root.id, 'root'],
+	[answer.id, 'reply'],
+  ]);
+  // Positional tags: the last `e` tag is the note replied to.
+  const positional = note('Positional', [[root.id], [post.id]]);
+  // A mention of the post in a reply to the root isn't a reply to the post.
+  const mention = note('Mention', [
+	[root.id, 'root'],
+	[post.id, 'mention'],
+  ]);
+  const spam = note(
+	'Spam',
+	[
+	  [root.id, 'root'],
+	  [post.id, 'reply'],
+	],
+	SPAMMER
+  );
+  const underSpam = note('Under spam', [
+	[root.id, 'root'],
+	[spam.id, 'reply'],
+  ]);
+
+  beforeAll(() => {
+	addRule(null, { kind: 'author', network: 'nostr', value: SPAMMER });
+	savePosts('econ', [normalize(post)]);
+	queryRelays.mockResolvedValue(
+	  [root, parent, answer, followUp, positional, mention, spam, underSpam].map((event) =>
+		JSON.parse(JSON.stringify(event))
+	  )
+	);
+  });
+
+  test('follows NIP-10 markers up to the root', async () => {
+	const thread = await getThread('nostr', post.id);
+	expect(thread.post.text).toBe('Post');
+	expect(contents(thread.ancestors)).toEqual(['Root', 'Parent']);
+  });
+
+  test('nests replies under the note they answer, oldest first', async () => {
+	const { replies } = await getThread('nostr', post.id);
+	expect(tree(replies)).toEqual([['Answer', [['Follow-up']]], ['Positional']]);
+  });
+
+  test('leaves out blocked replies along with the replies to them', async () => {
+	const { replies } = await getThread('nostr', post.id);
+	expect(JSON.stringify(tree(replies))).not.toMatch(/Spam|Under spam/);
+  });
+
+  test('drops the raw events and caches the thread', async () => {
+	const thread = await getThread('nostr', post.id);
+	expect(thread.post.raw).toBeUndefined();
+	expect(thread.ancestors[0].raw).toBeUndefined();
+	expect(thread.replies[0].post.raw).toBeUndefined();
+	expect(queryRelays).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getThread failures', () => {
+  test('answers 404 for posts that are not stored or are hidden', async () => {
+	await expect(getThread('nostr', 'f'.repeat(64))).rejects.toMatchObject({ status: 404 });
+
+	const blocked = note('Blocked', [], SPAMMER);
+	saveModeratedPosts('econ', [normalize(blocked)]);
+	await expect(getThread('nostr', blocked.id)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('answers 503 when the network is rate limiting and 502 otherwise', async () => {
+	const lonely = note('Lonely');
+	const unlucky = note('Unlucky');
+	savePosts('econ', [normalize(lonely), normalize(unlucky)]);
+
+	queryRelays.mockRejectedValueOnce(upstreamError('rate_limited', 'Slow down'));
+	await expect(getThread('nostr', lonely.id)).rejects.toMatchObject({ status: 503 });
+	queryRelays.mockRejectedValueOnce(new Error('No Nostr relays reachable (4 tried)'));
+	await expect(getThread('nostr', unlucky.id)).rejects.toMatchObject({ status: 502 });
+  });
+});
@@ -0,0 +1,72 @@
+// server/src/topics.js
+//
+// Topic (tab) definitions, loaded from config/topics.json or the file named by
+// TOPICS_CONFIG. Each topic has:
+//
+//   slug      identifier used in URLs (`/api/feed?topic=econ`)
+//   label     tab name shown in the client
+//   emoji     tab icon
+//   bluesky   { feed } - AT URI of the Bluesky feed generator for the topic
+//   domains   cited sources that put a post in the topic; `*.gov` matches any
+//             host under gov, `europa.eu/eurostat` also requires a path prefix
+//   queries   optional per-network search queries (a string or a list),
+//             keyed by adapter name
+
+const fs = require('fs');
+const path = require('path');
+const { parseDomainRule } = require('./sources');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/topics.json');
+
+function validateTopic(topic, index) {
+  for (const field of ['slug', 'label']) {
+	if (!topic[field]) {
+	  throw new Error(`Topic #${index} in topics config is missing "${field}"`);
+	}
+  }
+  if (!Array.isArray(topic.domains) || topic.domains.length === 0) {
+	throw new Error(`Topic "${topic.slug}" needs at least one domain`);
+  }
+}
+
+function loadTopics(configPath = process.env.TOPICS_CONFIG || DEFAULT_CONFIG_PATH) {
+  const { topics } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const seen = new Set();
+  return topics.map((topic, index) => {
+	validateTopic(topic, index);
+	if (seen.has(topic.slug)) {
+	  throw new Error(`Duplicate topic slug "${topic.slug}" in topics config`);
+	}
+	seen.add(topic.slug);
+
+	return {
+	  emoji: '',
+	  bluesky: {},
+	  queries: {},
+	  ...topic,
+	  rules: topic.domains.map(parseDomainRule),
+	};
+  });
+}
+
+const topics = loadTopics();
+
+function getTopics() {
+  return topics;
+}
+
+function getTopic(slug) {
+  return topics.find((topic) => topic.slug === slug);
+}
+
+function describeTopic(topic) {
+  return {
+	slug: topic.slug,
+	label: topic.label,
+	emoji: topic.emoji,
+	domains: topic.domains,
+  };
+}
+
+module.exports = { loadTopics, getTopics, getTopic, describeTopic };